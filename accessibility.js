@@ -0,0 +1,193 @@
+/**
+ * 专注力波浪计时器 - 无障碍辅助
+ * 为屏幕阅读器提供节流的实时播报、计时画面的文字描述和朗读用的时长文本，
+ * 与计时逻辑无关；播报时机和设置面板在 script.js 中处理，文字由传入的 Translator（i18n.js）按界面语言生成
+ */
+
+/**
+ * 进度播报间隔（秒 -> 显示名称），0 表示只在阶段变化时播报
+ */
+const ANNOUNCE_INTERVALS = {
+    0: '仅阶段变化时',
+    60: '每分钟',
+    300: '每 5 分钟',
+    600: '每 10 分钟'
+};
+
+const DEFAULT_ANNOUNCE_INTERVAL = 300;
+
+// 进入最后一分钟时总是播报一次（间隔长于一分钟时）
+const FINAL_ANNOUNCE_SECONDS = 60;
+
+// 同一时刻的多条播报合并为一句，避免后一句打断前一句
+const ANNOUNCE_MERGE_DELAY = 100;
+
+/**
+ * 规范化播报间隔，未知值使用默认间隔
+ * @param {*} value - 保存的间隔
+ * @returns {number} 间隔（秒）
+ */
+function normalizeAnnounceInterval(value) {
+    const interval = Number(value);
+    return Object.prototype.hasOwnProperty.call(ANNOUNCE_INTERVALS, interval) ? interval : DEFAULT_ANNOUNCE_INTERVAL;
+}
+
+/**
+ * 朗读用的时长文本，如 "12 分 30 秒"、"25 分钟"、"45 秒"
+ * @param {number} seconds - 秒数
+ * @param {Translator} i18n - 界面语言的翻译
+ * @returns {string}
+ */
+function formatSpokenDuration(seconds, i18n) {
+    const total = Math.max(0, Math.round(seconds));
+    const minutes = Math.floor(total / 60);
+    const rest = total % 60;
+
+    if (minutes === 0) return i18n.t('duration.seconds', { count: rest });
+    if (rest === 0) return i18n.t('duration.minutes', { count: minutes });
+    return i18n.t('duration.minutesSeconds', { minutes, seconds: rest });
+}
+
+/**
+ * 查找剩余时间从 previousLeft 减少到 timeLeft 时经过的刻度（interval 的正整数倍）
+ * 一次跳过多个刻度时（如页面休眠后）只返回离当前最近的一个
+ * @param {number|null} previousLeft - 上一次的剩余时间（秒），未知时为 null
+ * @param {number} timeLeft - 当前剩余时间（秒）
+ * @param {number} interval - 刻度间隔（秒）
+ * @returns {number|null} 经过的刻度（秒），没有时为 null
+ */
+function findCrossedMark(previousLeft, timeLeft, interval) {
+    if (!(interval > 0) || previousLeft === null || timeLeft >= previousLeft) return null;
+
+    const mark = Math.ceil(timeLeft / interval) * interval;
+    return mark > 0 && mark < previousLeft ? mark : null;
+}
+
+/**
+ * 判断本次计时刷新是否需要播报剩余时间
+ * 每经过一个播报间隔的整数倍播报一次，间隔长于一分钟时另在进入最后一分钟时播报
+ * @param {number|null} previousLeft - 上一次的剩余时间（秒）
+ * @param {number} timeLeft - 当前剩余时间（秒）
+ * @param {number} interval - 播报间隔（秒），0 表示不播报
+ * @returns {number|null} 需要播报的剩余时间刻度（秒），不需要时为 null
+ */
+function getAnnouncementMark(previousLeft, timeLeft, interval) {
+    if (!(interval > 0)) return null;
+
+    if (interval > FINAL_ANNOUNCE_SECONDS) {
+        const final = findCrossedMark(previousLeft, timeLeft, FINAL_ANNOUNCE_SECONDS);
+        if (final === FINAL_ANNOUNCE_SECONDS) return final;
+    }
+    return findCrossedMark(previousLeft, timeLeft, interval);
+}
+
+/**
+ * 计时画面的文字描述（供屏幕阅读器读取画布内容）
+ * 只使用粗略的进度和等级，使描述不会每秒变化
+ * @param {Object} state
+ * @param {string} state.phase - 阶段名称，如 "专注时间"
+ * @param {string} state.status - 计时状态 idle / running / paused
+ * @param {number} state.progress - 阶段进度 0~1
+ * @param {number} state.waveLevel - 波浪高度 0~1
+ * @param {number|null} [state.attention] - 注意力强度 0~1，非专注计时中为 null
+ * @param {Translator} i18n - 界面语言的翻译
+ * @returns {string}
+ */
+function describeWaveState({ phase, status, progress, waveLevel, attention = null }, i18n) {
+    if (status === 'idle') return i18n.t('wave.idle', { phase });
+
+    const percent = Math.floor(Math.min(1, Math.max(0, progress)) * 10) / 10;
+    let wave;
+    if (waveLevel >= 0.66) {
+        wave = 'wave.high';
+    } else if (waveLevel >= 0.33) {
+        wave = 'wave.medium';
+    } else if (waveLevel > 0.05) {
+        wave = 'wave.low';
+    } else {
+        wave = 'wave.calm';
+    }
+
+    let text = i18n.t('wave.state', {
+        phase,
+        status: i18n.t(status === 'paused' ? 'wave.paused' : 'wave.running'),
+        wave: i18n.t(wave),
+        percent: i18n.formatPercent(percent)
+    });
+    if (attention !== null) {
+        if (attention >= 0.85) {
+            text += i18n.t('wave.attentionHigh');
+        } else if (attention >= 0.65) {
+            text += i18n.t('wave.attentionSteady');
+        } else {
+            text += i18n.t('wave.attentionLow');
+        }
+    }
+    return text;
+}
+
+/**
+ * 屏幕阅读器实时播报
+ * 使用一个 polite 和一个 assertive 的 live region；每次先清空再写入，相同的文字也会重新朗读
+ */
+class LiveAnnouncer {
+    /**
+     * @param {Object} regions
+     * @param {HTMLElement} regions.polite - aria-live="polite" 的元素
+     * @param {HTMLElement} regions.assertive - aria-live="assertive" 的元素
+     */
+    constructor({ polite, assertive }) {
+        this.regions = { polite, assertive };
+        this.pending = { polite: [], assertive: [] };
+        this.timers = { polite: null, assertive: null };
+    }
+
+    /**
+     * 播报一条消息
+     * @param {string} message - 消息文本
+     * @param {Object} [options]
+     * @param {boolean} [options.assertive] - 是否立即打断当前朗读（用于阶段结束等重要变化）
+     */
+    announce(message, { assertive = false } = {}) {
+        const politeness = assertive ? 'assertive' : 'polite';
+        const region = this.regions[politeness];
+        const pending = this.pending[politeness];
+        if (!region || !message || pending.includes(message)) return;
+
+        pending.push(message);
+        if (this.timers[politeness]) return;
+
+        region.textContent = '';
+        this.timers[politeness] = setTimeout(() => {
+            region.textContent = pending.join(' ');
+            this.pending[politeness] = [];
+            this.timers[politeness] = null;
+        }, ANNOUNCE_MERGE_DELAY);
+    }
+
+    /**
+     * 取消尚未写入的播报并清空 live region
+     */
+    clear() {
+        Object.keys(this.regions).forEach(politeness => {
+            clearTimeout(this.timers[politeness]);
+            this.timers[politeness] = null;
+            this.pending[politeness] = [];
+            if (this.regions[politeness]) this.regions[politeness].textContent = '';
+        });
+    }
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANNOUNCE_INTERVALS,
+        DEFAULT_ANNOUNCE_INTERVAL,
+        normalizeAnnounceInterval,
+        formatSpokenDuration,
+        findCrossedMark,
+        getAnnouncementMark,
+        describeWaveState,
+        LiveAnnouncer
+    };
+}
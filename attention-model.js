@@ -0,0 +1,215 @@
+/**
+ * 专注力波浪计时器 - 注意力模型
+ * 根据专注时长估算注意力强度（0~1），驱动波浪幅度和速度
+ * 与界面无关，每个模型只是一条可调参数的曲线，便于预览和在 Node 中测试
+ */
+
+// 注意力强度范围
+const ATTENTION_MAX = 1.0;
+const ATTENTION_MIN = 0.3;
+
+/**
+ * 内置注意力模型
+ *
+ * evaluate(state, params) 中的 state：
+ * - sinceBoost: 距上次注意力恢复（阶段开始或波浪提醒）的秒数
+ * - sinceStart: 当前专注阶段已进行的秒数
+ */
+const ATTENTION_MODELS = {
+    // 线性衰减：稳定期后匀速下降到最低值
+    linear: {
+        label: '线性衰减',
+        params: {
+            floor: { label: '最低注意力', min: 0.3, max: 0.95, step: 0.05, default: 0.7 },
+            grace: { label: '稳定期（秒）', min: 0, max: 300, step: 10, default: 30 },
+            duration: { label: '衰减到零的时长（秒）', min: 60, max: 1800, step: 30, default: 300 }
+        },
+        evaluate(state, params) {
+            if (state.sinceBoost <= params.grace) return ATTENTION_MAX;
+            return Math.max(params.floor, 1 - state.sinceBoost / params.duration);
+        }
+    },
+
+    // 指数衰减：开始下降较快，逐渐趋近最低值
+    exponential: {
+        label: '指数衰减',
+        params: {
+            floor: { label: '最低注意力', min: 0.3, max: 0.95, step: 0.05, default: 0.6 },
+            grace: { label: '稳定期（秒）', min: 0, max: 300, step: 10, default: 30 },
+            halfLife: { label: '半衰期（秒）', min: 30, max: 1800, step: 30, default: 180 }
+        },
+        evaluate(state, params) {
+            return exponentialDecay(state.sinceBoost, params);
+        }
+    },
+
+    // 超昼夜节律：约 90 分钟一个周期的起伏，提醒只带来短暂回升
+    ultradian: {
+        label: '90 分钟节律',
+        params: {
+            floor: { label: '低谷注意力', min: 0.3, max: 0.95, step: 0.05, default: 0.6 },
+            period: { label: '周期（分钟）', min: 60, max: 120, step: 5, default: 90 },
+            offset: { label: '起始相位（分钟）', min: 0, max: 120, step: 5, default: 0 },
+            boost: { label: '提醒回升时长（秒）', min: 0, max: 300, step: 10, default: 60 }
+        },
+        evaluate(state, params) {
+            const minutes = state.sinceStart / 60 + params.offset;
+            const rhythm = params.floor + (1 - params.floor) * (0.5 + 0.5 * Math.cos(2 * Math.PI * minutes / params.period));
+            const boost = params.boost > 0 ? Math.max(0, 1 - state.sinceBoost / params.boost) : 0;
+            return rhythm + (1 - rhythm) * boost;
+        }
+    },
+
+    // 个人校准：指数曲线，参数来自个人校准数据，没有数据时使用默认值
+    calibrated: {
+        label: '个人校准',
+        params: {},
+        evaluate(state, params, calibration) {
+            const fitted = calibration || {};
+            return exponentialDecay(state.sinceBoost, {
+                floor: Number.isFinite(fitted.floor) ? fitted.floor : ATTENTION_MODELS.exponential.params.floor.default,
+                grace: 0,
+                halfLife: Number.isFinite(fitted.halfLife) ? fitted.halfLife : ATTENTION_MODELS.exponential.params.halfLife.default
+            });
+        }
+    }
+};
+
+// 默认模型
+const DEFAULT_ATTENTION_MODEL = 'linear';
+
+// 拟合个人曲线所需的最少自评次数
+const CALIBRATION_MIN_CHECK_INS = 3;
+
+/**
+ * 指数衰减曲线
+ * @param {number} seconds - 距上次恢复的秒数
+ * @param {Object} params - { floor, grace, halfLife }
+ * @returns {number} 注意力强度
+ */
+function exponentialDecay(seconds, params) {
+    const decaying = Math.max(0, seconds - params.grace);
+    return params.floor + (1 - params.floor) * Math.pow(0.5, decaying / params.halfLife);
+}
+
+/**
+ * 规范化模型参数：补齐默认值并限制在允许范围内
+ * @param {string} modelId - 模型 id
+ * @param {Object} [params] - 参数
+ * @returns {Object} 规范化后的参数
+ */
+function normalizeAttentionParams(modelId, params = {}) {
+    const model = ATTENTION_MODELS[modelId] || ATTENTION_MODELS[DEFAULT_ATTENTION_MODEL];
+    const result = {};
+    Object.keys(model.params).forEach(key => {
+        const definition = model.params[key];
+        const value = Number(params[key]);
+        result[key] = Number.isFinite(value) ?
+            Math.min(definition.max, Math.max(definition.min, value)) : definition.default;
+    });
+    return result;
+}
+
+/**
+ * 创建注意力模型实例
+ * @param {string} modelId - 模型 id，未知时使用默认模型
+ * @param {Object} [params] - 模型参数
+ * @param {Object} [calibration] - 个人校准数据（仅 calibrated 模型使用）
+ * @returns {Object} { id, params, evaluate(state) }
+ */
+function createAttentionModel(modelId, params, calibration) {
+    const id = ATTENTION_MODELS[modelId] ? modelId : DEFAULT_ATTENTION_MODEL;
+    const model = ATTENTION_MODELS[id];
+    const normalized = normalizeAttentionParams(id, params);
+
+    return {
+        id,
+        params: normalized,
+        evaluate(state) {
+            const value = model.evaluate(state, normalized, calibration);
+            return Math.min(ATTENTION_MAX, Math.max(ATTENTION_MIN, value));
+        }
+    };
+}
+
+/**
+ * 将 1~5 分的专注自评换算为注意力强度
+ * @param {number} rating - 自评分数
+ * @returns {number} 注意力强度
+ */
+function ratingToAttention(rating) {
+    return ATTENTION_MIN + (ATTENTION_MAX - ATTENTION_MIN) * (rating - 1) / 4;
+}
+
+/**
+ * 根据专注自评拟合个人指数衰减曲线
+ * 在参数网格上做最小二乘，并向默认参数轻微收缩，避免自评集中在同一时刻时曲线失真
+ * @param {Object[]} checkIns - 自评记录 [{ sinceBoost, rating }]
+ * @returns {Object|null} { floor, halfLife, samples }，自评不足时返回 null
+ */
+function fitAttentionCalibration(checkIns) {
+    const samples = checkIns.filter(checkIn => checkIn &&
+        Number.isFinite(checkIn.sinceBoost) && checkIn.sinceBoost >= 0 &&
+        Number.isInteger(checkIn.rating) && checkIn.rating >= 1 && checkIn.rating <= 5);
+    if (samples.length < CALIBRATION_MIN_CHECK_INS) return null;
+
+    const defaults = ATTENTION_MODELS.exponential.params;
+    const floorRange = defaults.floor;
+    const halfLifeRange = defaults.halfLife;
+    let best = null;
+
+    for (let floor = floorRange.min; floor <= floorRange.max + 1e-9; floor += floorRange.step) {
+        for (let halfLife = halfLifeRange.min; halfLife <= halfLifeRange.max; halfLife += halfLifeRange.step) {
+            const params = { floor, grace: 0, halfLife };
+            const error = samples.reduce((sum, checkIn) => {
+                const diff = exponentialDecay(checkIn.sinceBoost, params) - ratingToAttention(checkIn.rating);
+                return sum + diff * diff;
+            }, 0) / samples.length;
+            const prior = Math.pow(floor - defaults.floor.default, 2) +
+                Math.pow((halfLife - defaults.halfLife.default) / halfLifeRange.max, 2);
+            const score = error + 0.01 * prior;
+
+            if (!best || score < best.score) {
+                best = { score, floor, halfLife };
+            }
+        }
+    }
+
+    return {
+        floor: Math.round(best.floor * 100) / 100,
+        halfLife: best.halfLife,
+        samples: samples.length
+    };
+}
+
+/**
+ * 采样一次专注阶段内的注意力曲线（用于预览），在每个提醒点恢复注意力
+ * @param {Object} model - createAttentionModel() 返回的模型
+ * @param {number} duration - 专注时长（秒）
+ * @param {number} reminderInterval - 提醒间隔（秒），0 表示没有提醒
+ * @param {number} [samples] - 采样点数
+ * @returns {Object[]} [{ time, value }]
+ */
+function sampleAttentionCurve(model, duration, reminderInterval, samples = 120) {
+    const points = [];
+    for (let i = 0; i <= samples; i++) {
+        const time = duration * i / samples;
+        const sinceBoost = reminderInterval > 0 ? time % reminderInterval : time;
+        points.push({ time, value: model.evaluate({ sinceBoost, sinceStart: time }) });
+    }
+    return points;
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATTENTION_MODELS,
+        DEFAULT_ATTENTION_MODEL,
+        CALIBRATION_MIN_CHECK_INS,
+        createAttentionModel,
+        fitAttentionCalibration,
+        ratingToAttention,
+        normalizeAttentionParams,
+        sampleAttentionCurve
+    };
+}
@@ -0,0 +1,509 @@
+/**
+ * 专注力波浪计时器 - 声音引擎
+ * 全局共用一个 AudioContext：合成提示音（多种音色）、主音量与静音、
+ * 以及程序生成的循环背景音（白/粉/棕噪音、雨声），不依赖任何音频文件
+ */
+
+// 提示音音色：play(context, destination, time, frequency) 在指定时刻安排发声
+const CHIME_STYLES = {
+    bell: {
+        label: '铃声',
+        play(context, destination, time, frequency) {
+            // 钟声的非谐波泛音
+            [[1, 0.5], [2.76, 0.2], [5.4, 0.08]].forEach(([ratio, gain]) => {
+                scheduleTone(context, destination, { frequency: frequency * ratio, start: time, attack: 0.005, duration: 2.2 / ratio + 0.4, gain });
+            });
+        }
+    },
+    marimba: {
+        label: '木琴',
+        play(context, destination, time, frequency) {
+            // 上行两音
+            [0, 0.14].forEach((offset, index) => {
+                const note = frequency * (index === 0 ? 1 : 1.5);
+                scheduleTone(context, destination, { frequency: note, start: time + offset, attack: 0.004, duration: 0.6, gain: 0.45 });
+                scheduleTone(context, destination, { frequency: note * 4, start: time + offset, attack: 0.002, duration: 0.12, gain: 0.1 });
+            });
+        }
+    },
+    chord: {
+        label: '柔和和弦',
+        play(context, destination, time, frequency) {
+            [1, 1.25, 1.5].forEach(ratio => {
+                scheduleTone(context, destination, { frequency: frequency * ratio, start: time, attack: 0.25, duration: 1.8, gain: 0.2 });
+            });
+        }
+    },
+    beep: {
+        label: '经典提示音',
+        play(context, destination, time, frequency) {
+            scheduleTone(context, destination, { frequency, start: time, attack: 0.005, duration: 0.5, gain: 0.3 });
+        }
+    },
+    wood: {
+        label: '木鱼',
+        play(context, destination, time, frequency) {
+            scheduleTone(context, destination, { type: 'triangle', frequency: frequency / 2, start: time, attack: 0.002, duration: 0.18, gain: 0.5 });
+        }
+    }
+};
+
+// 声音事件：默认音色和音高
+const SOUND_EVENTS = {
+    focusEnd: { label: '专注结束', style: 'bell', frequency: 660 },
+    breakEnd: { label: '休息结束', style: 'chord', frequency: 523 },
+    reminder: { label: '波浪提醒', style: 'marimba', frequency: 880 }
+};
+
+// 背景音：generate(data, sampleRate) 填充噪音样本，filter 为可选的滤波器
+const AMBIENT_TYPES = {
+    none: { label: '无' },
+    white: {
+        label: '白噪音',
+        generate(data) {
+            for (let i = 0; i < data.length; i++) {
+                data[i] = (Math.random() * 2 - 1) * 0.5;
+            }
+        }
+    },
+    pink: {
+        label: '粉红噪音',
+        generate: generatePinkNoise
+    },
+    brown: {
+        label: '棕色噪音',
+        generate(data) {
+            let last = 0;
+            for (let i = 0; i < data.length; i++) {
+                last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+                data[i] = last * 3.5;
+            }
+        }
+    },
+    rain: {
+        label: '雨声',
+        filter: { type: 'highpass', frequency: 500 },
+        generate(data, sampleRate) {
+            // 粉红噪音作底，叠加随机的雨滴
+            generatePinkNoise(data);
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= 0.6;
+            }
+            const drops = Math.round(data.length / sampleRate * 40);
+            for (let d = 0; d < drops; d++) {
+                const start = Math.floor(Math.random() * data.length);
+                const length = Math.floor(sampleRate * (0.005 + Math.random() * 0.02));
+                const amplitude = 0.2 + Math.random() * 0.5;
+                for (let i = 0; i < length && start + i < data.length; i++) {
+                    data[start + i] += (Math.random() * 2 - 1) * amplitude * Math.exp(-6 * i / length);
+                }
+            }
+        }
+    }
+};
+
+// 倒计时提示的秒数，以及提前安排滴答声的时长（毫秒）
+const COUNTDOWN_SECONDS = 10;
+const CUE_LOOKAHEAD_MS = 2000;
+
+// 背景音循环长度（秒）和首尾交叉淡化长度（秒）
+const AMBIENT_LOOP_SECONDS = 6;
+const AMBIENT_CROSSFADE_SECONDS = 0.25;
+
+/**
+ * 在指定时刻安排一个带包络的音
+ * @param {AudioContext} context - 音频上下文
+ * @param {AudioNode} destination - 输出节点
+ * @param {Object} tone - { type, frequency, start, attack, duration, gain }
+ * @returns {OscillatorNode} 振荡器（可用于提前取消）
+ */
+function scheduleTone(context, destination, tone) {
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
+    const end = tone.start + tone.duration;
+
+    oscillator.type = tone.type || 'sine';
+    oscillator.frequency.setValueAtTime(tone.frequency, tone.start);
+    gainNode.gain.setValueAtTime(0.0001, tone.start);
+    gainNode.gain.exponentialRampToValueAtTime(tone.gain, tone.start + tone.attack);
+    gainNode.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    oscillator.connect(gainNode);
+    gainNode.connect(destination);
+    oscillator.start(tone.start);
+    oscillator.stop(end + 0.05);
+    return oscillator;
+}
+
+/**
+ * 生成粉红噪音（Paul Kellet 滤波法）
+ * @param {Float32Array} data - 样本数组
+ */
+function generatePinkNoise(data) {
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    for (let i = 0; i < data.length; i++) {
+        const white = Math.random() * 2 - 1;
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+        b6 = white * 0.115926;
+    }
+}
+
+/**
+ * 声音引擎
+ */
+class AudioEngine {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.AudioContext] - AudioContext 构造函数，默认使用浏览器实现
+     */
+    constructor(options = {}) {
+        this.AudioContextClass = options.AudioContext ||
+            (typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null) || null;
+        this.context = null;
+        this.masterGain = null;
+        this.volume = 0.6;
+        this.muted = false;
+        this.sounds = {};
+        Object.keys(SOUND_EVENTS).forEach(event => {
+            this.sounds[event] = SOUND_EVENTS[event].style;
+        });
+        this.ambient = { type: 'none', volume: 0.4, active: false, source: null, gain: null };
+        this.noiseBuffers = {};
+        this.cues = { phaseEndTime: 0, ticking: false, countdown: false, scheduledUntil: 0, nodes: [] };
+    }
+
+    /**
+     * 当前环境是否支持 Web Audio
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return Boolean(this.AudioContextClass);
+    }
+
+    /**
+     * 获取共享的音频上下文（首次使用时创建）
+     * @returns {AudioContext|null} 不支持时返回 null
+     */
+    ensureContext() {
+        if (this.context || !this.isSupported) return this.context;
+
+        this.context = new this.AudioContextClass();
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+        this.applyMasterGain();
+        return this.context;
+    }
+
+    /**
+     * 在用户操作时恢复被浏览器自动播放策略挂起的音频上下文
+     * @returns {Promise<void>}
+     */
+    unlock() {
+        const context = this.ensureContext();
+        if (!context || context.state !== 'suspended') return Promise.resolve();
+        return context.resume().catch(() => {});
+    }
+
+    /**
+     * 设置主音量
+     * @param {number} volume - 0~1
+     */
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+        this.applyMasterGain();
+    }
+
+    /**
+     * 设置静音
+     * @param {boolean} muted - 是否静音
+     */
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this.applyMasterGain();
+    }
+
+    /**
+     * 平滑更新主音量，避免爆音
+     */
+    applyMasterGain() {
+        if (!this.masterGain) return;
+        const target = this.muted ? 0 : this.volume;
+        this.masterGain.gain.setTargetAtTime(target, this.context.currentTime, 0.05);
+    }
+
+    /**
+     * 设置声音事件使用的音色
+     * @param {string} event - focusEnd / breakEnd / reminder
+     * @param {string} style - 音色 id，'none' 表示不发声
+     */
+    setSound(event, style) {
+        if (!SOUND_EVENTS[event]) return;
+        this.sounds[event] = CHIME_STYLES[style] || style === 'none' ? style : SOUND_EVENTS[event].style;
+    }
+
+    /**
+     * 播放声音事件
+     * @param {string} event - focusEnd / breakEnd / reminder
+     */
+    play(event) {
+        if (!SOUND_EVENTS[event]) return;
+        this.playChime(this.sounds[event], SOUND_EVENTS[event].frequency);
+    }
+
+    /**
+     * 播放指定音色
+     * @param {string} style - 音色 id
+     * @param {number} frequency - 基础音高（Hz）
+     */
+    playChime(style, frequency) {
+        const chime = CHIME_STYLES[style];
+        const context = chime && !this.muted ? this.ensureContext() : null;
+        if (!context) return;
+
+        chime.play(context, this.masterGain, context.currentTime + 0.01, frequency);
+    }
+
+    /**
+     * 播放引导呼吸的步骤提示：吸气上行、呼气下行、屏息为单音
+     * @param {string} step - 呼吸步骤 inhale / holdIn / exhale / holdOut
+     */
+    playBreathCue(step) {
+        const notes = { inhale: [392, 523], holdIn: [659], exhale: [523, 392], holdOut: [330] }[step];
+        const context = notes && !this.muted ? this.ensureContext() : null;
+        if (!context) return;
+
+        const time = context.currentTime + 0.01;
+        notes.forEach((frequency, index) => {
+            scheduleTone(context, this.masterGain, { frequency, start: time + index * 0.2, attack: 0.04, duration: 0.6, gain: 0.18 });
+        });
+    }
+
+    /**
+     * 播放声音化的阶段进度：音高随剩余时间降低（与波浪高度一致），专注为正弦音，休息为三角波
+     * @param {number} progress - 阶段进度 0~1
+     * @param {boolean} focus - 是否为专注阶段
+     */
+    playProgressCue(progress, focus) {
+        const context = this.muted ? null : this.ensureContext();
+        if (!context) return;
+
+        // 从 880Hz 在整个阶段内下降两个八度到 220Hz
+        const clamped = Math.min(1, Math.max(0, progress));
+        const frequency = 880 * Math.pow(2, -2 * clamped);
+        scheduleTone(context, this.masterGain, {
+            frequency,
+            type: focus ? 'sine' : 'triangle',
+            start: context.currentTime + 0.01,
+            attack: 0.03,
+            duration: 0.35,
+            gain: 0.15
+        });
+    }
+
+    /**
+     * 按计时进度在音频时钟上提前安排滴答声和最后几秒的倒计时提示
+     * 由计时刷新事件驱动，每次只安排未来一小段，主线程繁忙时声音仍然准时
+     * @param {Object} options
+     * @param {number} options.phaseEndTime - 当前阶段结束的时间戳（毫秒）
+     * @param {boolean} options.ticking - 是否播放每秒滴答声
+     * @param {boolean} options.countdown - 是否播放最后几秒的倒计时
+     */
+    scheduleCues({ phaseEndTime, ticking, countdown }) {
+        const context = (ticking || countdown) && !this.muted ? this.ensureContext() : null;
+        if (!context || context.state !== 'running') {
+            this.cancelCues();
+            return;
+        }
+
+        const cues = this.cues;
+        const nowMs = Date.now();
+        if (cues.phaseEndTime !== phaseEndTime || cues.ticking !== ticking || cues.countdown !== countdown) {
+            // 阶段、暂停后的结束时间或选项变化时重新安排
+            this.cancelCues();
+            Object.assign(cues, { phaseEndTime, ticking, countdown, scheduledUntil: nowMs });
+        }
+
+        // 进入倒计时范围后一次安排到阶段结束
+        const remaining = phaseEndTime - nowMs;
+        const horizon = nowMs + (remaining <= (COUNTDOWN_SECONDS + 2) * 1000 ? remaining : CUE_LOOKAHEAD_MS);
+        const from = Math.max(cues.scheduledUntil, nowMs);
+
+        for (let secondsLeft = Math.floor((phaseEndTime - from) / 1000); secondsLeft >= 1; secondsLeft--) {
+            const at = phaseEndTime - secondsLeft * 1000;
+            if (at <= from) continue;
+            if (at > horizon) break;
+
+            const time = context.currentTime + (at - nowMs) / 1000;
+            if (countdown && secondsLeft <= COUNTDOWN_SECONDS) {
+                this.scheduleCue(context, {
+                    frequency: secondsLeft <= 3 ? 1320 : 990,
+                    start: time,
+                    attack: 0.005,
+                    duration: secondsLeft <= 3 ? 0.18 : 0.1,
+                    gain: 0.25
+                });
+            } else if (ticking) {
+                // 滴、答交替
+                this.scheduleCue(context, {
+                    type: 'triangle',
+                    frequency: secondsLeft % 2 === 0 ? 1800 : 1500,
+                    start: time,
+                    attack: 0.002,
+                    duration: 0.03,
+                    gain: 0.06
+                });
+            }
+            cues.scheduledUntil = at;
+        }
+    }
+
+    /**
+     * 安排一个提示音并记录，以便计时变化时取消
+     * @param {AudioContext} context - 音频上下文
+     * @param {Object} tone - 见 scheduleTone()
+     */
+    scheduleCue(context, tone) {
+        const now = context.currentTime;
+        this.cues.nodes = this.cues.nodes.filter(cue => cue.start > now);
+        this.cues.nodes.push({ node: scheduleTone(context, this.masterGain, tone), start: tone.start });
+    }
+
+    /**
+     * 取消尚未发声的滴答声和倒计时（暂停、重置或阶段变化时）
+     */
+    cancelCues() {
+        const now = this.context ? this.context.currentTime : 0;
+        this.cues.nodes.forEach(cue => {
+            if (cue.start > now) cue.node.stop();
+        });
+        this.cues.nodes = [];
+        this.cues.phaseEndTime = 0;
+    }
+
+    /**
+     * 设置背景音类型和音量，正在播放时立即切换
+     * @param {string} type - 背景音 id
+     * @param {number} [volume] - 0~1
+     */
+    setAmbient(type, volume) {
+        const nextType = AMBIENT_TYPES[type] ? type : 'none';
+        if (volume !== undefined) {
+            this.ambient.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+            if (this.ambient.gain && nextType === this.ambient.type) {
+                this.ambient.gain.gain.setTargetAtTime(this.ambient.volume, this.context.currentTime, 0.1);
+            }
+        }
+        if (nextType === this.ambient.type) return;
+
+        this.ambient.type = nextType;
+        if (this.ambient.active) {
+            this.stopAmbientSource(0.5);
+            this.startAmbientSource(0.5);
+        }
+    }
+
+    /**
+     * 开始或停止背景音（淡入淡出）
+     * @param {boolean} active - 是否播放
+     * @param {number} [fadeSeconds] - 淡入淡出时长
+     */
+    setAmbientActive(active, fadeSeconds = 1.5) {
+        if (active === this.ambient.active) return;
+        this.ambient.active = active;
+
+        if (active) {
+            this.startAmbientSource(fadeSeconds);
+        } else {
+            this.stopAmbientSource(fadeSeconds);
+        }
+    }
+
+    /**
+     * 创建循环播放的背景音并淡入
+     * @param {number} fadeSeconds - 淡入时长
+     */
+    startAmbientSource(fadeSeconds) {
+        const type = AMBIENT_TYPES[this.ambient.type];
+        const context = type.generate ? this.ensureContext() : null;
+        if (!context) return;
+
+        const source = context.createBufferSource();
+        source.buffer = this.getNoiseBuffer(this.ambient.type);
+        source.loop = true;
+
+        const gainNode = context.createGain();
+        const now = context.currentTime;
+        gainNode.gain.setValueAtTime(0.0001, now);
+        gainNode.gain.linearRampToValueAtTime(this.ambient.volume, now + fadeSeconds);
+
+        let output = source;
+        if (type.filter) {
+            const filter = context.createBiquadFilter();
+            filter.type = type.filter.type;
+            filter.frequency.value = type.filter.frequency;
+            source.connect(filter);
+            output = filter;
+        }
+        output.connect(gainNode);
+        gainNode.connect(this.masterGain);
+        source.start();
+
+        this.ambient.source = source;
+        this.ambient.gain = gainNode;
+    }
+
+    /**
+     * 淡出并停止当前背景音
+     * @param {number} fadeSeconds - 淡出时长
+     */
+    stopAmbientSource(fadeSeconds) {
+        const { source, gain } = this.ambient;
+        if (!source) return;
+
+        const now = this.context.currentTime;
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(0.0001, now + fadeSeconds);
+        source.stop(now + fadeSeconds + 0.05);
+
+        this.ambient.source = null;
+        this.ambient.gain = null;
+    }
+
+    /**
+     * 生成（并缓存）首尾衔接的背景音循环
+     * @param {string} type - 背景音 id
+     * @returns {AudioBuffer} 音频缓冲
+     */
+    getNoiseBuffer(type) {
+        if (this.noiseBuffers[type]) return this.noiseBuffers[type];
+
+        const sampleRate = this.context.sampleRate;
+        const length = Math.floor(sampleRate * AMBIENT_LOOP_SECONDS);
+        const fade = Math.floor(sampleRate * AMBIENT_CROSSFADE_SECONDS);
+
+        // 多生成一段，用尾部与开头交叉淡化，消除循环接缝处的咔嗒声
+        const samples = new Float32Array(length + fade);
+        AMBIENT_TYPES[type].generate(samples, sampleRate);
+        for (let i = 0; i < fade; i++) {
+            const mix = i / fade;
+            samples[i] = samples[i] * mix + samples[length + i] * (1 - mix);
+        }
+
+        const buffer = this.context.createBuffer(1, length, sampleRate);
+        buffer.getChannelData(0).set(samples.subarray(0, length));
+        this.noiseBuffers[type] = buffer;
+        return buffer;
+    }
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioEngine, CHIME_STYLES, SOUND_EVENTS, AMBIENT_TYPES };
+}
@@ -0,0 +1,91 @@
+/**
+ * 专注力波浪计时器 - 引导呼吸
+ * 按呼吸节奏（吸气 → 屏息 → 呼气 → 屏息）计算休息中当前的呼吸步骤和肺部充盈程度，
+ * 与界面无关，由波浪、步骤标签和提示音共同使用
+ */
+
+// 呼吸步骤，顺序与节奏时长数组一致
+const BREATH_STEPS = [
+    { id: 'inhale', label: '吸气' },
+    { id: 'holdIn', label: '屏息' },
+    { id: 'exhale', label: '呼气' },
+    { id: 'holdOut', label: '屏息' }
+];
+
+// 单个步骤的时长范围（秒）；屏息可以为 0，表示跳过
+const BREATH_STEP_MAX = 12;
+
+/**
+ * 内置呼吸节奏：durations 为 [吸气, 屏息, 呼气, 屏息] 秒数
+ */
+const BREATHING_PATTERNS = {
+    box: { label: '方块呼吸 4-4-4-4', durations: [4, 4, 4, 4] },
+    relax: { label: '4-7-8 放松呼吸', durations: [4, 7, 8, 0] },
+    custom: { label: '自定义', durations: null }
+};
+
+const DEFAULT_BREATHING_PATTERN = 'box';
+const DEFAULT_CUSTOM_BREATHING = [4, 2, 6, 0];
+
+/**
+ * 规范化节奏时长：吸气和呼气至少 1 秒，屏息可为 0，均不超过上限
+ * @param {number[]} durations - [吸气, 屏息, 呼气, 屏息]
+ * @returns {number[]} 规范化后的时长，无效时返回默认自定义节奏
+ */
+function normalizeBreathingDurations(durations) {
+    if (!Array.isArray(durations) || durations.length !== BREATH_STEPS.length) {
+        return DEFAULT_CUSTOM_BREATHING.slice();
+    }
+
+    return durations.map((value, index) => {
+        const min = index % 2 === 0 ? 1 : 0;
+        const seconds = Math.round(Number(value));
+        if (!Number.isFinite(seconds)) return DEFAULT_CUSTOM_BREATHING[index];
+        return Math.min(BREATH_STEP_MAX, Math.max(min, seconds));
+    });
+}
+
+/**
+ * 计算休息开始后某一时刻的呼吸状态
+ * @param {number[]} durations - 规范化的节奏时长
+ * @param {number} elapsed - 休息已进行的秒数（不含暂停）
+ * @returns {Object} { step, label, level, secondsLeft, cycles }
+ *   level 为肺部充盈程度（0 呼尽 ~ 1 吸满），cycles 为已完成的呼吸次数
+ */
+function getBreathingState(durations, elapsed) {
+    const cycleLength = durations.reduce((sum, seconds) => sum + seconds, 0);
+    const time = Math.max(0, elapsed);
+    const cycles = Math.floor(time / cycleLength);
+    let offset = time - cycles * cycleLength;
+
+    let index = 0;
+    while (offset >= durations[index] && index < durations.length - 1) {
+        offset -= durations[index];
+        index++;
+    }
+
+    const duration = durations[index];
+    const progress = duration > 0 ? Math.min(1, offset / duration) : 1;
+    const eased = (1 - Math.cos(Math.PI * progress)) / 2;
+    const levels = [eased, 1, 1 - eased, 0];
+
+    return {
+        step: BREATH_STEPS[index].id,
+        label: BREATH_STEPS[index].label,
+        level: levels[index],
+        secondsLeft: Math.max(1, Math.ceil(duration - offset)),
+        cycles
+    };
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BREATH_STEPS,
+        BREATHING_PATTERNS,
+        DEFAULT_BREATHING_PATTERN,
+        DEFAULT_CUSTOM_BREATHING,
+        normalizeBreathingDurations,
+        getBreathingState
+    };
+}
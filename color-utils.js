@@ -0,0 +1,193 @@
+/**
+ * 专注力波浪计时器 - 颜色工具
+ * 解析 CSS 颜色（十六进制、rgb()/rgba()、hsl()/hsla() 和颜色名称），
+ * 生成带透明度的颜色和两色插值，供画布绘制统一使用
+ */
+
+// CSS 颜色名称
+const NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+    beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+    blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+    chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+    darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+    darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f',
+    darkslateblue: '#483d8b', darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+    deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff',
+    firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+    ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+    greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+    lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+    lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+    magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+    mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+    mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+    navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+    orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+    paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+    pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+    red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072',
+    sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0',
+    skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+    springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+    tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff',
+    whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// 无法解析的颜色按黑色处理，避免画布沿用上一次的填充色
+const FALLBACK_COLOR = { r: 0, g: 0, b: 0, a: 1 };
+
+/**
+ * 限制数值范围
+ * @param {number} value - 数值
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number}
+ */
+function clampNumber(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * 解析十六进制颜色（#rgb、#rgba、#rrggbb、#rrggbbaa）
+ * @param {string} hex - 不含 # 的十六进制部分
+ * @returns {Object|null} { r, g, b, a }
+ */
+function parseHexColor(hex) {
+    if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+
+    const full = hex.length <= 4 ? hex.split('').map(digit => digit + digit).join('') : hex;
+    const channel = index => parseInt(full.substring(index * 2, index * 2 + 2), 16);
+    return {
+        r: channel(0),
+        g: channel(1),
+        b: channel(2),
+        a: full.length === 8 ? channel(3) / 255 : 1
+    };
+}
+
+/**
+ * 解析 rgb()/hsl() 的参数，支持逗号和空格两种写法（如 `255, 0, 0, 0.5` 或 `255 0 0 / 50%`）
+ * @param {string} args - 括号内的参数
+ * @returns {string[]|null} 3~4 个参数
+ */
+function splitColorArgs(args) {
+    const parts = args.trim().split(/\s*,\s*|\s*\/\s*|\s+/).filter(Boolean);
+    return parts.length === 3 || parts.length === 4 ? parts : null;
+}
+
+/**
+ * 解析透明度参数（0.5 或 50%）
+ * @param {string} [value] - 参数
+ * @returns {number} 0~1
+ */
+function parseAlpha(value) {
+    if (value === undefined) return 1;
+    const number = parseFloat(value);
+    return clampNumber(value.endsWith('%') ? number / 100 : number, 0, 1);
+}
+
+/**
+ * HSL 转 RGB
+ * @param {number} hue - 色相（度）
+ * @param {number} saturation - 饱和度（0~1）
+ * @param {number} lightness - 亮度（0~1）
+ * @returns {number[]} [r, g, b]（0~255）
+ */
+function hslToRgb(hue, saturation, lightness) {
+    const h = ((hue % 360) + 360) % 360 / 30;
+    const amount = saturation * Math.min(lightness, 1 - lightness);
+    const channel = n => {
+        const k = (n + h) % 12;
+        return Math.round((lightness - amount * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+/**
+ * 解析色相参数（默认单位为度，支持 deg/turn/rad）
+ * @param {string} value - 参数
+ * @returns {number} 度
+ */
+function parseHue(value) {
+    const number = parseFloat(value);
+    if (value.endsWith('turn')) return number * 360;
+    if (value.endsWith('rad')) return number * 180 / Math.PI;
+    return number;
+}
+
+/**
+ * 解析 CSS 颜色
+ * @param {string} color - 十六进制、rgb()/rgba()、hsl()/hsla()、颜色名称或 transparent
+ * @returns {Object|null} { r, g, b, a }（r/g/b 为 0~255，a 为 0~1），无法解析时返回 null
+ */
+function parseColor(color) {
+    if (typeof color !== 'string') return null;
+    const value = color.trim().toLowerCase();
+
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, value)) return parseHexColor(NAMED_COLORS[value].slice(1));
+    if (value.startsWith('#')) return parseHexColor(value.slice(1));
+
+    const match = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+    const args = match && splitColorArgs(match[2]);
+    // 包括透明度在内的每个参数都必须是数字，否则视为无法解析
+    if (!args || args.some(arg => !Number.isFinite(parseFloat(arg)))) return null;
+
+    if (match[1].startsWith('rgb')) {
+        const [r, g, b] = args.slice(0, 3).map(arg =>
+            Math.round(clampNumber(arg.endsWith('%') ? parseFloat(arg) * 2.55 : parseFloat(arg), 0, 255)));
+        return { r, g, b, a: parseAlpha(args[3]) };
+    }
+
+    const saturation = clampNumber(parseFloat(args[1]) / 100, 0, 1);
+    const lightness = clampNumber(parseFloat(args[2]) / 100, 0, 1);
+    const [r, g, b] = hslToRgb(parseHue(args[0]), saturation, lightness);
+    return { r, g, b, a: parseAlpha(args[3]) };
+}
+
+/**
+ * 将颜色对象格式化为 rgba() 字符串
+ * @param {Object} color - { r, g, b, a }
+ * @returns {string} RGBA颜色值
+ */
+function formatColor(color) {
+    const alpha = Math.round(clampNumber(color.a, 0, 1) * 1000) / 1000;
+    return `rgba(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}, ${alpha})`;
+}
+
+/**
+ * 获取带透明度的颜色
+ * 颜色本身带透明度时两者相乘，例如 rgba(…, 0.5) 加透明度 0.5 得到 0.25
+ * @param {string} color - 任意 CSS 颜色
+ * @param {number} alpha - 透明度（0-1）
+ * @returns {string} RGBA颜色值
+ */
+function colorWithAlpha(color, alpha) {
+    const parsed = parseColor(color) || FALLBACK_COLOR;
+    return formatColor(Object.assign({}, parsed, { a: parsed.a * alpha }));
+}
+
+/**
+ * 两种颜色按比例插值（含透明度）
+ * @param {string} color1 - 起始颜色
+ * @param {string} color2 - 结束颜色
+ * @param {number} factor - 插值因子（0-1）
+ * @returns {string} 插值后的 RGBA 颜色
+ */
+function mixColors(color1, color2, factor) {
+    const from = parseColor(color1) || FALLBACK_COLOR;
+    const to = parseColor(color2) || FALLBACK_COLOR;
+    const t = clampNumber(factor, 0, 1);
+    const mix = key => from[key] + (to[key] - from[key]) * t;
+    return formatColor({ r: mix('r'), g: mix('g'), b: mix('b'), a: mix('a') });
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseColor, formatColor, colorWithAlpha, mixColors };
+}
@@ -0,0 +1,844 @@
+/**
+ * 专注力波浪计时器 - 多语言
+ * 提供中文和英文的界面文字、按浏览器语言选择界面语言，以及按语言格式化数字、百分比和日期，
+ * 与界面无关；页面文字的替换和语言切换在 script.js 中处理
+ *
+ * 各模块中的选项名称（label）本身就是中文原文，英文目录以「命名空间.id」的键覆盖，
+ * 由 Translator#label 查找，例如 quality.high、sound.bell、renderer.glass
+ */
+
+// 支持的语言（语言代码 -> 以该语言书写的名称）
+const LOCALES = {
+    'zh-CN': '简体中文',
+    en: 'English'
+};
+
+// 界面原文的语言，其他语言缺少的文字使用原文
+const SOURCE_LOCALE = 'zh-CN';
+
+// 浏览器语言都不受支持时使用的语言
+const FALLBACK_LOCALE = 'en';
+
+// 语言偏好：'auto' 跟随浏览器，或 LOCALES 中的语言代码
+const DEFAULT_LOCALE_PREFERENCE = 'auto';
+
+/**
+ * 界面文字目录（语言代码 -> 键 -> 文字）
+ * 文字中的 {name} 由参数替换；需要区分单复数时写成 { one, other }，按参数 count 选择
+ */
+const MESSAGES = {
+    'zh-CN': {
+        'app.title': '专注力波浪计时器',
+        'app.description': '专注力波浪计时器 - 基于番茄工作法和注意力波浪理论的时间管理工具',
+        'language.auto': '跟随浏览器',
+
+        'wave.label': '专注波浪',
+        'wave.idle': '{phase}，等待开始，波浪平静。',
+        'wave.state': '{phase}，{status}。{wave}，已完成约 {percent}。',
+        'wave.running': '计时中',
+        'wave.paused': '已暂停',
+        'wave.high': '波浪较高',
+        'wave.medium': '波浪中等',
+        'wave.low': '波浪较低',
+        'wave.calm': '波浪接近平静',
+        'wave.attentionHigh': '注意力充沛。',
+        'wave.attentionSteady': '注意力平稳。',
+        'wave.attentionLow': '注意力有所下降，可以稍作调整。',
+
+        'timer.start': '开始',
+        'timer.startLabel': '开始计时器',
+        'timer.pause': '暂停',
+        'timer.pauseLabel': '暂停计时器',
+        'timer.reset': '重置',
+        'timer.resetLabel': '重置计时器',
+        'timer.cycle': '第 {current} 个番茄钟',
+        'timer.cycleOfTotal': '第 {current} / {total} 个番茄钟',
+
+        'phase.focus': '专注时间',
+        'phase.break': '休息时间',
+        'phase.longBreak': '长休息时间',
+        'phaseShort.focus': '专注',
+        'phaseShort.break': '休息',
+        'phaseShort.longBreak': '长休息',
+        'phaseStart.focus': '开始专注',
+        'phaseStart.break': '开始休息',
+        'phaseStart.longBreak': '开始长休息',
+        'phaseNext.focus': '开始专注！',
+        'phaseNext.break': '休息一下吧！',
+        'phaseNext.longBreak': '完成一轮番茄钟，好好休息一下吧！',
+        'phaseNext.waiting': '{message}点击「开始」继续',
+
+        'duration.seconds': '{count} 秒',
+        'duration.minutes': '{count} 分钟',
+        'duration.minutesSeconds': '{minutes} 分 {seconds} 秒',
+
+        'notify.reminder': '注意力提醒：该调整一下啦！',
+        'notify.skipped': '已跳过，接下来：{phase}',
+        'notify.adjustIdle': '开始计时后才能调整本阶段的时长',
+        'notify.cannotShorten': '本阶段即将结束，无法再缩短',
+        'notify.extended': '本阶段已延长 {amount}',
+        'notify.shortened': '本阶段已缩短 {amount}',
+        'notify.muted': '已静音',
+        'notify.unmuted': '已取消静音',
+        'notify.checkInGood': '保持住，继续专注！',
+        'notify.checkInLow': '深呼吸，把注意力拉回来',
+        'notify.permissionDenied': '未获得通知权限，请在浏览器设置中允许通知',
+        'notify.unsupported': '当前浏览器不支持系统通知',
+
+        'completion.focus': '专注完成！',
+        'completion.break': '休息完成！',
+        'completion.continue': '继续',
+
+        'system.phaseEnd': '{phase}结束',
+        'system.waiting': '准备好后{action}',
+        'system.autoStarted': '{phase}已自动开始',
+        'system.snooze': '5 分钟后提醒',
+        'system.reminderTitle': '注意力提醒',
+        'system.reminderBody': '该调整一下啦！深呼吸，把注意力拉回来',
+
+        'announce.phaseStart': '{phase}开始，共 {duration}',
+        'announce.idle': '{phase}等待开始，共 {duration}',
+        'announce.remaining': '{phase}剩余 {duration}',
+        'announce.pausedRemaining': '{phase}已暂停，剩余 {duration}',
+        'announce.paused': '计时已暂停，剩余 {duration}',
+        'announce.resumed': '继续计时，剩余 {duration}',
+        'announce.reset': '计时器已重置',
+
+        'checkIn.question': '现在的专注程度如何？',
+        'checkIn.rating1': '完全走神',
+        'checkIn.rating2': '容易分心',
+        'checkIn.rating3': '一般',
+        'checkIn.rating4': '比较专注',
+        'checkIn.rating5': '非常专注',
+        'checkIn.hint': '1 = 完全走神，5 = 非常专注，可直接按数字键回答',
+
+        'tasks.title': '任务清单',
+        'tasks.hint': '点击任务设为当前专注任务',
+        'tasks.placeholder': '添加任务…',
+        'tasks.name': '任务名称',
+        'tasks.estimate': '预估番茄钟数',
+        'tasks.add': '添加',
+        'tasks.count': '实际 / 预估番茄钟数',
+        'tasks.complete': '完成任务：{title}',
+        'tasks.delete': '删除任务：{title}',
+        'tasks.current': '当前任务：{title}',
+        'tasks.confirmDelete': '确定删除任务「{title}」吗？',
+        'tasks.saveFailed': '任务保存失败',
+        'tasks.updateFailed': '任务更新失败',
+        'tasks.deleteFailed': '任务删除失败',
+
+        'settings.title': '计时器设置',
+        'settings.focusTime': '专注时间（分钟）:',
+        'settings.focusTimeLabel': '专注时间设置',
+        'settings.breakTime': '休息时间（分钟）:',
+        'settings.breakTimeLabel': '休息时间设置',
+        'settings.waveReminder': '波动提醒间隔（分钟）:',
+        'settings.waveReminderLabel': '波动提醒间隔设置',
+        'settings.longBreakTime': '长休息时间（分钟）:',
+        'settings.longBreakTimeLabel': '长休息时间设置',
+        'settings.longBreakInterval': '长休息间隔（番茄钟数）:',
+        'settings.longBreakIntervalLabel': '长休息间隔设置',
+        'settings.autoStartBreak': '专注结束后自动开始休息',
+        'settings.autoStartBreakLabel': '自动开始休息',
+        'settings.autoStartFocus': '休息结束后自动开始专注',
+        'settings.autoStartFocusLabel': '自动开始专注',
+        'settings.focusCheckIn': '提醒时询问专注程度',
+        'settings.systemNotifications': '页面在后台时发送系统通知',
+        'settings.systemNotificationsLabel': '系统通知',
+        'settings.visualization': '计时画面:',
+        'settings.visualizationLabel': '选择计时画面',
+        'settings.quality': '画面质量:',
+        'settings.qualityLabel': '选择画面质量',
+
+        'preset.label': '预设方案:',
+        'preset.select': '选择预设方案',
+        'preset.saveAs': '另存为',
+        'preset.rename': '重命名',
+        'preset.delete': '删除',
+        'preset.custom': '自定义',
+        'preset.customName': '自定义 {focus}/{break}',
+        'preset.switched': '已切换到预设「{name}」',
+        'preset.promptName': '新预设名称：',
+        'preset.promptRename': '重命名预设：',
+        'preset.confirmDelete': '确定删除预设「{name}」吗？',
+
+        'quality.autoNote': '按帧率自动调整，当前：{level}',
+        'quality.reducedMotion': '已按系统设置减少动态效果',
+
+        'waveStyle.layerCount': '波浪层数:',
+        'waveStyle.layerCountLabel': '波浪层数',
+        'waveStyle.layer': '第 {index} 层',
+        'waveStyle.baseLayer': '第 {index} 层（底层）',
+        'waveStyle.pass': '波浪{pass}',
+        'waveStyle.reset': '恢复默认波浪',
+
+        'theme.mode': '主题:',
+        'theme.modeLabel': '选择主题',
+        'theme.base': '底色:',
+        'theme.baseLabel': '自定义主题底色',
+        'theme.light': '浅色',
+        'theme.dark': '深色',
+        'theme.focus': '专注',
+        'theme.focusColor': '专注颜色',
+        'theme.focusAccent': '专注渐变颜色',
+        'theme.break': '休息',
+        'theme.breakColor': '休息颜色',
+        'theme.breakAccent': '休息渐变颜色',
+        'theme.idle': '空闲',
+        'theme.idleColor': '空闲颜色',
+        'theme.background': '背景',
+        'theme.backgroundColor': '背景渐变颜色 {index}',
+        'theme.export': '导出主题',
+        'theme.import': '导入主题',
+        'theme.imported': '主题已导入',
+        'theme.importFailed': '主题导入失败：{reason}',
+        'theme.error.invalidJson': '文件不是有效的 JSON',
+        'theme.error.unrecognized': '无法识别的主题文件',
+        'theme.error.newerVersion': '主题文件来自更新的版本，请先升级应用',
+
+        'breathing.guided': '休息时引导呼吸',
+        'breathing.pattern': '呼吸节奏:',
+        'breathing.patternLabel': '选择呼吸节奏',
+        'breathing.inhale': '吸气',
+        'breathing.hold': '屏息',
+        'breathing.exhale': '呼气',
+        'breathing.inhaleSeconds': '吸气秒数',
+        'breathing.holdInSeconds': '吸气后屏息秒数',
+        'breathing.exhaleSeconds': '呼气秒数',
+        'breathing.holdOutSeconds': '呼气后屏息秒数',
+        'breathing.cues': '呼吸提示音',
+
+        'attention.model': '注意力模型:',
+        'attention.modelLabel': '选择注意力模型',
+        'attention.preview': '注意力曲线预览',
+        'attention.note': '虚线为波浪提醒点，提醒后注意力恢复',
+        'attention.calibrated': '已根据 {samples} 次专注自评拟合：最低注意力 {floor}，半衰期 {halfLife} 秒',
+        'attention.uncalibrated': '专注自评不足 {min} 次（已有 {count} 次），暂按默认指数曲线估算',
+        'attention.switchedToCalibrated': '已根据 {samples} 次专注自评改用个人校准的注意力曲线',
+
+        'sound.volume': '音量:',
+        'sound.volumeLabel': '主音量',
+        'sound.mute': '静音',
+        'sound.focusEnd': '专注结束提示音:',
+        'sound.breakEnd': '休息结束提示音:',
+        'sound.reminder': '波浪提醒提示音:',
+        'sound.preview': '试听',
+        'sound.previewFocusEnd': '试听专注结束提示音',
+        'sound.previewBreakEnd': '试听休息结束提示音',
+        'sound.previewReminder': '试听波浪提醒提示音',
+        'sound.ambient': '专注背景音:',
+        'sound.ambientVolume': '背景音音量',
+        'sound.ticking': '专注时播放轻柔滴答声',
+        'sound.countdown': '每个阶段最后 10 秒倒数提示',
+        'sound.countdownLabel': '最后 10 秒倒数提示',
+
+        'shortcuts.title': '键盘快捷键',
+        'shortcuts.resetDefaults': '恢复默认快捷键',
+        'shortcuts.recording': '请按下快捷键…',
+        'shortcuts.unset': '未设置',
+        'shortcuts.edit': '修改「{command}」的快捷键，当前：{key}',
+        'shortcuts.clear': '清除',
+        'shortcuts.clearLabel': '清除「{command}」的快捷键',
+        'shortcuts.prompt': '请按下「{command}」的新快捷键，Esc 取消',
+        'shortcuts.cancelled': '已取消修改',
+        'shortcuts.reserved': '「{key}」用于{reason}，不能设为快捷键',
+        'shortcuts.taken': '「{key}」已分配给「{command}」，请先修改该命令或换一个按键',
+        'shortcuts.assigned': '「{command}」的快捷键已设为 {key}',
+        'shortcuts.cleared': '已清除「{command}」的快捷键',
+        'shortcuts.restored': '已恢复默认快捷键',
+        'shortcuts.reason.focus': '切换焦点',
+        'shortcuts.reason.confirm': '确认',
+        'shortcuts.reason.close': '关闭弹窗',
+        'shortcuts.reason.checkIn': '专注自评',
+        'key.Space': '空格',
+
+        'command.toggleTimer': '开始 / 暂停计时',
+        'command.reset': '重置计时器',
+        'command.skip': '跳过当前阶段',
+        'command.extend': '当前阶段延长 1 分钟',
+        'command.shorten': '当前阶段缩短 1 分钟',
+        'command.toggleMute': '静音 / 取消静音',
+        'command.announceStatus': '朗读剩余时间',
+        'command.addTask': '添加任务',
+        'command.openSettings': '打开计时器设置',
+        'command.openStats': '查看专注统计',
+        'command.exportCsv': '导出历史记录（CSV）',
+        'command.exportJson': '备份历史记录（JSON）',
+        'command.exportIcs': '导出日历（.ics）',
+        'command.importHistory': '导入历史记录',
+        'command.commandPalette': '打开命令面板',
+
+        'palette.title': '命令面板',
+        'palette.search': '搜索命令…',
+        'palette.searchLabel': '搜索命令',
+        'palette.list': '命令',
+        'palette.hint': '↑ ↓ 选择，Enter 执行，Esc 关闭',
+        'palette.empty': '没有匹配的命令',
+
+        'a11y.announceInterval': '屏幕阅读器播报剩余时间:',
+        'a11y.sonifiedProgress': '用音高提示进度（每 30 秒）',
+        'a11y.sonifiedProgressLabel': '用音高提示进度，音调越低剩余时间越少',
+
+        'stats.title': '专注统计',
+        'stats.range': '统计周期',
+        'stats.day': '按日',
+        'stats.week': '按周',
+        'stats.month': '按月',
+        'stats.chart': '专注时间统计图表',
+        'stats.today': '今日专注（分钟）',
+        'stats.completion': '完成率',
+        'stats.bestHour': '最佳时段',
+        'stats.streak': '连续天数（最长 {longest}）',
+        'stats.empty': '暂无专注记录，开始一个番茄钟吧',
+
+        'history.exportCsv': '导出 CSV',
+        'history.exportJson': '备份 JSON',
+        'history.exportIcs': '导出日历 (.ics)',
+        'history.import': '导入',
+        'history.exportFailed': '导出失败：无法读取历史记录',
+        'history.outcome.completed': '已完成',
+        'history.outcome.skipped': '已跳过',
+        'history.outcome.reset': '提前结束',
+        'ics.calendarName': '专注记录',
+        'ics.summary': '专注（{outcome}）',
+        'ics.description': '计划 {planned} 分钟，实际专注 {actual} 分钟，暂停 {pauses} 次，提醒 {reminders} 次',
+
+        'import.failed': '导入失败：{reason}',
+        'import.readFailed': '无法读取文件',
+        'import.writeFailed': '无法写入历史记录',
+        'import.error.invalidFile': '文件不是有效的 JSON 或 CSV',
+        'import.error.newerVersion': '备份文件来自更新的版本，请先升级应用',
+        'import.error.unrecognized': '无法识别的备份格式',
+        'import.error.emptyCsv': 'CSV 文件为空',
+        'import.error.missingColumns': 'CSV 缺少列：{columns}',
+        'import.summary': '导入完成：新增 {added} 条，重复 {duplicates} 条，冲突 {conflicts} 条',
+        'import.conflict': '冲突：{time} 的{phase}记录与现有数据不一致，已保留现有记录',
+        'import.invalid': '无效记录（第 {rows} 条）已忽略',
+        'import.addedTasks': '新增任务 {count} 个',
+        'import.confirmSettings': '备份中的计时设置与当前不同，是否恢复备份中的设置？',
+        'import.settingsRestored': '已恢复备份中的计时设置',
+
+        'update.available': '发现新版本',
+        'update.now': '立即更新',
+
+        'info.title': '关于专注力波浪计时器',
+        'info.body': '基于番茄工作法和注意力波浪理论设计，每25分钟专注工作后休息5分钟。在专注期间，每10分钟会有轻微提醒，帮助你意识到注意力的自然起伏，及时调整状态。'
+    },
+
+    en: {
+        'app.title': 'ConWave Focus Timer',
+        'app.description': 'ConWave Focus Timer - a time management tool based on the Pomodoro Technique and attention waves',
+        'language.auto': 'Browser default',
+
+        'wave.label': 'Focus wave',
+        'wave.idle': '{phase}, waiting to start. The water is calm.',
+        'wave.state': '{phase}, {status}. {wave}, about {percent} done.',
+        'wave.running': 'running',
+        'wave.paused': 'paused',
+        'wave.high': 'Waves are high',
+        'wave.medium': 'Waves are moderate',
+        'wave.low': 'Waves are low',
+        'wave.calm': 'Waves are nearly calm',
+        'wave.attentionHigh': ' Attention is high.',
+        'wave.attentionSteady': ' Attention is steady.',
+        'wave.attentionLow': ' Attention is dropping, a short reset may help.',
+
+        'timer.start': 'Start',
+        'timer.startLabel': 'Start timer',
+        'timer.pause': 'Pause',
+        'timer.pauseLabel': 'Pause timer',
+        'timer.reset': 'Reset',
+        'timer.resetLabel': 'Reset timer',
+        'timer.cycle': 'Pomodoro {current}',
+        'timer.cycleOfTotal': 'Pomodoro {current} of {total}',
+
+        'phase.focus': 'Focus',
+        'phase.break': 'Break',
+        'phase.longBreak': 'Long break',
+        'phaseShort.focus': 'Focus',
+        'phaseShort.break': 'Break',
+        'phaseShort.longBreak': 'Long break',
+        'phaseStart.focus': 'Start focusing',
+        'phaseStart.break': 'Start break',
+        'phaseStart.longBreak': 'Start long break',
+        'phaseNext.focus': 'Time to focus!',
+        'phaseNext.break': 'Take a break!',
+        'phaseNext.longBreak': 'Round complete, enjoy a long break!',
+        'phaseNext.waiting': '{message} Click "Start" to continue.',
+
+        'duration.seconds': { one: '{count} second', other: '{count} seconds' },
+        'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+        'duration.minutesSeconds': '{minutes} min {seconds} s',
+
+        'notify.reminder': 'Attention check: time to refocus!',
+        'notify.skipped': 'Skipped. Up next: {phase}',
+        'notify.adjustIdle': 'Start the timer before adjusting this phase',
+        'notify.cannotShorten': 'This phase is about to end and cannot be shortened',
+        'notify.extended': 'Phase extended by {amount}',
+        'notify.shortened': 'Phase shortened by {amount}',
+        'notify.muted': 'Muted',
+        'notify.unmuted': 'Unmuted',
+        'notify.checkInGood': 'Keep it up!',
+        'notify.checkInLow': 'Take a deep breath and bring your attention back',
+        'notify.permissionDenied': 'Notification permission was not granted. Allow notifications in your browser settings.',
+        'notify.unsupported': 'This browser does not support system notifications',
+
+        'completion.focus': 'Focus complete!',
+        'completion.break': 'Break complete!',
+        'completion.continue': 'Continue',
+
+        'system.phaseEnd': '{phase} finished',
+        'system.waiting': '{action} when you are ready',
+        'system.autoStarted': '{phase} started automatically',
+        'system.snooze': 'Remind me in 5 minutes',
+        'system.reminderTitle': 'Attention check',
+        'system.reminderBody': 'Time to refocus! Take a deep breath and bring your attention back',
+
+        'announce.phaseStart': '{phase} started, {duration} in total',
+        'announce.idle': '{phase}, waiting to start, {duration} in total',
+        'announce.remaining': '{phase}, {duration} left',
+        'announce.pausedRemaining': '{phase} paused, {duration} left',
+        'announce.paused': 'Timer paused, {duration} left',
+        'announce.resumed': 'Timer resumed, {duration} left',
+        'announce.reset': 'Timer reset',
+
+        'checkIn.question': 'How focused are you right now?',
+        'checkIn.rating1': 'Completely distracted',
+        'checkIn.rating2': 'Easily distracted',
+        'checkIn.rating3': 'So-so',
+        'checkIn.rating4': 'Fairly focused',
+        'checkIn.rating5': 'Fully focused',
+        'checkIn.hint': '1 = completely distracted, 5 = fully focused. Press a number key to answer.',
+
+        'tasks.title': 'Tasks',
+        'tasks.hint': 'Click a task to make it your current focus',
+        'tasks.placeholder': 'Add a task…',
+        'tasks.name': 'Task name',
+        'tasks.estimate': 'Estimated pomodoros',
+        'tasks.add': 'Add',
+        'tasks.count': 'Actual / estimated pomodoros',
+        'tasks.complete': 'Complete task: {title}',
+        'tasks.delete': 'Delete task: {title}',
+        'tasks.current': 'Current task: {title}',
+        'tasks.confirmDelete': 'Delete the task "{title}"?',
+        'tasks.saveFailed': 'Could not save the task',
+        'tasks.updateFailed': 'Could not update the task',
+        'tasks.deleteFailed': 'Could not delete the task',
+
+        'settings.title': 'Timer settings',
+        'settings.focusTime': 'Focus time (minutes):',
+        'settings.focusTimeLabel': 'Focus time',
+        'settings.breakTime': 'Break time (minutes):',
+        'settings.breakTimeLabel': 'Break time',
+        'settings.waveReminder': 'Wave reminder interval (minutes):',
+        'settings.waveReminderLabel': 'Wave reminder interval',
+        'settings.longBreakTime': 'Long break (minutes):',
+        'settings.longBreakTimeLabel': 'Long break time',
+        'settings.longBreakInterval': 'Long break every (pomodoros):',
+        'settings.longBreakIntervalLabel': 'Long break interval',
+        'settings.autoStartBreak': 'Start breaks automatically after focus',
+        'settings.autoStartBreakLabel': 'Start breaks automatically',
+        'settings.autoStartFocus': 'Start focus automatically after breaks',
+        'settings.autoStartFocusLabel': 'Start focus automatically',
+        'settings.focusCheckIn': 'Ask how focused I am at reminders',
+        'settings.systemNotifications': 'Send system notifications while the page is in the background',
+        'settings.systemNotificationsLabel': 'System notifications',
+        'settings.visualization': 'Timer scene:',
+        'settings.visualizationLabel': 'Choose timer scene',
+        'settings.quality': 'Rendering quality:',
+        'settings.qualityLabel': 'Choose rendering quality',
+
+        'preset.label': 'Preset:',
+        'preset.select': 'Choose preset',
+        'preset.saveAs': 'Save as',
+        'preset.rename': 'Rename',
+        'preset.delete': 'Delete',
+        'preset.custom': 'Custom',
+        'preset.customName': 'Custom {focus}/{break}',
+        'preset.switched': 'Switched to preset "{name}"',
+        'preset.promptName': 'New preset name:',
+        'preset.promptRename': 'Rename preset:',
+        'preset.confirmDelete': 'Delete the preset "{name}"?',
+        'preset.deep-work': 'Deep work 50/10',
+        'preset.study': 'Study 25/5',
+        'preset.sprint': 'Sprint 15/3',
+
+        'quality.autoNote': 'Adjusted to the frame rate, currently: {level}',
+        'quality.reducedMotion': 'Motion reduced per system settings',
+        'quality.auto': 'Auto',
+        'quality.high': 'High',
+        'quality.medium': 'Medium',
+        'quality.low': 'Low',
+        'quality.saver': 'Battery saver',
+
+        'waveStyle.layerCount': 'Wave layers:',
+        'waveStyle.layerCountLabel': 'Wave layers',
+        'waveStyle.layer': 'Layer {index}',
+        'waveStyle.baseLayer': 'Layer {index} (bottom)',
+        'waveStyle.pass': 'Wave {pass}',
+        'waveStyle.reset': 'Restore default waves',
+        'waveParam.amplitude': 'Amplitude',
+        'waveParam.frequency': 'Frequency',
+        'waveParam.speed': 'Speed',
+        'waveParam.opacity': 'Opacity',
+        'wavePass.shadow': 'shadow',
+        'wavePass.highlight': 'highlight',
+        'wavePass.border': 'border',
+        'wavePass.reflection': 'reflection',
+
+        'renderer.wave': 'Waves',
+        'renderer.glass': 'Glass',
+        'renderer.breathing': 'Breathing circle',
+        'renderer.candle': 'Candle',
+
+        'theme.mode': 'Theme:',
+        'theme.modeLabel': 'Choose theme',
+        'theme.base': 'Base:',
+        'theme.baseLabel': 'Custom theme base',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.focus': 'Focus',
+        'theme.focusColor': 'Focus color',
+        'theme.focusAccent': 'Focus gradient color',
+        'theme.break': 'Break',
+        'theme.breakColor': 'Break color',
+        'theme.breakAccent': 'Break gradient color',
+        'theme.idle': 'Idle',
+        'theme.idleColor': 'Idle color',
+        'theme.background': 'Background',
+        'theme.backgroundColor': 'Background gradient color {index}',
+        'theme.export': 'Export theme',
+        'theme.import': 'Import theme',
+        'theme.imported': 'Theme imported',
+        'theme.importFailed': 'Theme import failed: {reason}',
+        'theme.error.invalidJson': 'The file is not valid JSON',
+        'theme.error.unrecognized': 'Unrecognized theme file',
+        'theme.error.newerVersion': 'The theme file is from a newer version. Please update the app first.',
+        'themeMode.auto': 'Follow system',
+        'themeMode.light': 'Light',
+        'themeMode.dark': 'Dark',
+        'themeMode.highContrast': 'High contrast',
+        'themeMode.custom': 'Custom',
+
+        'breathing.guided': 'Guided breathing during breaks',
+        'breathing.pattern': 'Breathing pattern:',
+        'breathing.patternLabel': 'Choose breathing pattern',
+        'breathing.inhale': 'Inhale',
+        'breathing.hold': 'Hold',
+        'breathing.exhale': 'Exhale',
+        'breathing.inhaleSeconds': 'Inhale seconds',
+        'breathing.holdInSeconds': 'Hold after inhale, seconds',
+        'breathing.exhaleSeconds': 'Exhale seconds',
+        'breathing.holdOutSeconds': 'Hold after exhale, seconds',
+        'breathing.cues': 'Breathing cues',
+        'breathPattern.box': 'Box breathing 4-4-4-4',
+        'breathPattern.relax': '4-7-8 relaxing breath',
+        'breathPattern.custom': 'Custom',
+        'breathStep.inhale': 'Inhale',
+        'breathStep.holdIn': 'Hold',
+        'breathStep.exhale': 'Exhale',
+        'breathStep.holdOut': 'Hold',
+
+        'attention.model': 'Attention model:',
+        'attention.modelLabel': 'Choose attention model',
+        'attention.preview': 'Attention curve preview',
+        'attention.note': 'Dashed lines mark wave reminders, after which attention recovers',
+        'attention.calibrated': 'Fitted from {samples} check-ins: attention floor {floor}, half-life {halfLife} s',
+        'attention.uncalibrated': 'Fewer than {min} check-ins ({count} so far), using the default exponential curve',
+        'attention.switchedToCalibrated': 'Switched to your personal attention curve, fitted from {samples} check-ins',
+        'attentionModel.linear': 'Linear decay',
+        'attentionModel.exponential': 'Exponential decay',
+        'attentionModel.ultradian': '90-minute rhythm',
+        'attentionModel.calibrated': 'Personal calibration',
+        'attentionParam.floor': 'Attention floor',
+        'attentionParam.grace': 'Steady period (s)',
+        'attentionParam.duration': 'Time to decay to zero (s)',
+        'attentionParam.halfLife': 'Half-life (s)',
+        'attentionParam.period': 'Period (min)',
+        'attentionParam.offset': 'Starting phase (min)',
+        'attentionParam.boost': 'Recovery after reminders (s)',
+
+        'sound.volume': 'Volume:',
+        'sound.volumeLabel': 'Master volume',
+        'sound.mute': 'Mute',
+        'sound.focusEnd': 'Focus end sound:',
+        'sound.breakEnd': 'Break end sound:',
+        'sound.reminder': 'Wave reminder sound:',
+        'sound.preview': 'Preview',
+        'sound.previewFocusEnd': 'Preview focus end sound',
+        'sound.previewBreakEnd': 'Preview break end sound',
+        'sound.previewReminder': 'Preview wave reminder sound',
+        'sound.ambient': 'Focus background sound:',
+        'sound.ambientVolume': 'Background sound volume',
+        'sound.ticking': 'Play a soft tick while focusing',
+        'sound.countdown': 'Count down the last 10 seconds of each phase',
+        'sound.countdownLabel': 'Count down the last 10 seconds',
+        'sound.none': 'None',
+        'sound.bell': 'Bell',
+        'sound.marimba': 'Marimba',
+        'sound.chord': 'Soft chord',
+        'sound.beep': 'Classic beep',
+        'sound.wood': 'Wood block',
+        'ambient.none': 'None',
+        'ambient.white': 'White noise',
+        'ambient.pink': 'Pink noise',
+        'ambient.brown': 'Brown noise',
+        'ambient.rain': 'Rain',
+
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.resetDefaults': 'Restore default shortcuts',
+        'shortcuts.recording': 'Press a shortcut…',
+        'shortcuts.unset': 'Not set',
+        'shortcuts.edit': 'Change the shortcut for "{command}", currently: {key}',
+        'shortcuts.clear': 'Clear',
+        'shortcuts.clearLabel': 'Clear the shortcut for "{command}"',
+        'shortcuts.prompt': 'Press the new shortcut for "{command}", or Esc to cancel',
+        'shortcuts.cancelled': 'Change cancelled',
+        'shortcuts.reserved': '"{key}" is used to {reason} and cannot be a shortcut',
+        'shortcuts.taken': '"{key}" is already assigned to "{command}". Change that command first or pick another key.',
+        'shortcuts.assigned': 'Shortcut for "{command}" set to {key}',
+        'shortcuts.cleared': 'Cleared the shortcut for "{command}"',
+        'shortcuts.restored': 'Default shortcuts restored',
+        'shortcuts.reason.focus': 'move focus',
+        'shortcuts.reason.confirm': 'confirm',
+        'shortcuts.reason.close': 'close dialogs',
+        'shortcuts.reason.checkIn': 'answer focus check-ins',
+        'key.Space': 'Space',
+
+        'command.toggleTimer': 'Start / pause timer',
+        'command.reset': 'Reset timer',
+        'command.skip': 'Skip current phase',
+        'command.extend': 'Extend current phase by 1 minute',
+        'command.shorten': 'Shorten current phase by 1 minute',
+        'command.toggleMute': 'Mute / unmute',
+        'command.announceStatus': 'Read time left aloud',
+        'command.addTask': 'Add task',
+        'command.openSettings': 'Open timer settings',
+        'command.openStats': 'View focus statistics',
+        'command.exportCsv': 'Export history (CSV)',
+        'command.exportJson': 'Back up history (JSON)',
+        'command.exportIcs': 'Export calendar (.ics)',
+        'command.importHistory': 'Import history',
+        'command.commandPalette': 'Open command palette',
+
+        'palette.title': 'Command palette',
+        'palette.search': 'Search commands…',
+        'palette.searchLabel': 'Search commands',
+        'palette.list': 'Commands',
+        'palette.hint': '↑ ↓ to select, Enter to run, Esc to close',
+        'palette.empty': 'No matching commands',
+
+        'a11y.announceInterval': 'Screen reader time announcements:',
+        'a11y.sonifiedProgress': 'Play progress as pitch (every 30 seconds)',
+        'a11y.sonifiedProgressLabel': 'Play progress as pitch, lower tones mean less time left',
+        'announceInterval.0': 'Only on phase changes',
+        'announceInterval.60': 'Every minute',
+        'announceInterval.300': 'Every 5 minutes',
+        'announceInterval.600': 'Every 10 minutes',
+
+        'stats.title': 'Focus statistics',
+        'stats.range': 'Statistics period',
+        'stats.day': 'Daily',
+        'stats.week': 'Weekly',
+        'stats.month': 'Monthly',
+        'stats.chart': 'Focus time chart',
+        'stats.today': 'Focus today (minutes)',
+        'stats.completion': 'Completion rate',
+        'stats.bestHour': 'Best hours',
+        'stats.streak': 'Day streak (longest {longest})',
+        'stats.empty': 'No focus sessions yet. Start a pomodoro!',
+
+        'history.exportCsv': 'Export CSV',
+        'history.exportJson': 'Back up JSON',
+        'history.exportIcs': 'Export calendar (.ics)',
+        'history.import': 'Import',
+        'history.exportFailed': 'Export failed: could not read the history',
+        'history.outcome.completed': 'completed',
+        'history.outcome.skipped': 'skipped',
+        'history.outcome.reset': 'ended early',
+        'ics.calendarName': 'Focus sessions',
+        'ics.summary': 'Focus ({outcome})',
+        'ics.description': 'Planned {planned} min, focused {actual} min, {pauses} pauses, {reminders} reminders',
+
+        'import.failed': 'Import failed: {reason}',
+        'import.readFailed': 'could not read the file',
+        'import.writeFailed': 'could not write the history',
+        'import.error.invalidFile': 'the file is not valid JSON or CSV',
+        'import.error.newerVersion': 'the backup is from a newer version, please update the app first',
+        'import.error.unrecognized': 'unrecognized backup format',
+        'import.error.emptyCsv': 'the CSV file is empty',
+        'import.error.missingColumns': 'the CSV is missing columns: {columns}',
+        'import.summary': 'Import complete: {added} added, {duplicates} duplicates, {conflicts} conflicts',
+        'import.conflict': 'Conflict: the {phase} session at {time} differs from the existing record, which was kept',
+        'import.invalid': 'Invalid records ignored (rows {rows})',
+        'import.addedTasks': { one: '{count} task added', other: '{count} tasks added' },
+        'import.confirmSettings': 'The timer settings in the backup differ from yours. Restore the backup settings?',
+        'import.settingsRestored': 'Timer settings restored from the backup',
+
+        'update.available': 'A new version is available',
+        'update.now': 'Update now',
+
+        'info.title': 'About ConWave Focus Timer',
+        'info.body': 'Built on the Pomodoro Technique and the idea of attention waves: focus for 25 minutes, then rest for 5. ' +
+            'While you focus, a gentle reminder every 10 minutes helps you notice the natural ebb and flow of your attention and adjust in time.'
+    }
+};
+
+/**
+ * 规范化保存的语言偏好，未知值跟随浏览器
+ * @param {*} value - 保存的偏好
+ * @returns {string} 'auto' 或语言代码
+ */
+function normalizeLocalePreference(value) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, value) ? value : DEFAULT_LOCALE_PREFERENCE;
+}
+
+/**
+ * 根据偏好和浏览器语言列表确定界面语言
+ * 跟随浏览器时依次匹配 navigator.languages，主语言相同即可（如 zh-TW 使用简体中文，en-GB 使用英文）
+ * @param {string} preference - 'auto' 或语言代码
+ * @param {string[]} [languages] - 浏览器语言，按优先级排列
+ * @returns {string} 语言代码
+ */
+function resolveLocale(preference, languages = []) {
+    if (Object.prototype.hasOwnProperty.call(LOCALES, preference)) return preference;
+
+    const locales = Object.keys(LOCALES);
+    for (const language of languages) {
+        const tag = String(language || '').toLowerCase();
+        const match = locales.find(locale => locale.toLowerCase() === tag) ||
+            locales.find(locale => locale.split('-')[0].toLowerCase() === tag.split('-')[0]);
+        if (match) return match;
+    }
+    return FALLBACK_LOCALE;
+}
+
+/**
+ * 界面文字翻译和本地化格式
+ */
+class Translator {
+    /**
+     * @param {string} locale - LOCALES 中的语言代码，未知时使用原文语言
+     */
+    constructor(locale) {
+        this.locale = Object.prototype.hasOwnProperty.call(LOCALES, locale) ? locale : SOURCE_LOCALE;
+        this.messages = MESSAGES[this.locale];
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormats = new Map();
+        this.dateFormats = new Map();
+    }
+
+    /**
+     * 翻译一条文字，当前语言缺少时使用原文，原文也没有时返回键本身
+     * @param {string} key - 文字的键
+     * @param {Object} [params] - 替换 {name} 的参数，数字按当前语言格式化；count 同时用于选择单复数
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        let message = this.messages[key];
+        if (message === undefined) message = MESSAGES[SOURCE_LOCALE][key];
+        if (message === undefined) return key;
+        return this.interpolate(message, params);
+    }
+
+    /**
+     * 模块中选项名称的翻译：当前语言的目录中有该键时使用译文，否则使用模块中的原文
+     * @param {string} key - 文字的键，如 'quality.high'
+     * @param {string} fallback - 模块中的原文名称
+     * @returns {string}
+     */
+    label(key, fallback) {
+        const message = this.messages[key];
+        return message === undefined ? fallback : this.interpolate(message, {});
+    }
+
+    /**
+     * 替换参数，并按 count 选择单复数形式
+     * @param {string|Object} message - 文字或 { one, other }
+     * @param {Object} params - 参数
+     * @returns {string}
+     */
+    interpolate(message, params) {
+        let text = message;
+        if (typeof message === 'object') {
+            const category = typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other';
+            text = message[category] || message.other;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * 按当前语言格式化数字（千位分隔等）
+     * @param {number} value - 数字
+     * @param {Object} [options] - Intl.NumberFormat 选项
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        const cacheKey = JSON.stringify(options);
+        if (!this.numberFormats.has(cacheKey)) {
+            this.numberFormats.set(cacheKey, new Intl.NumberFormat(this.locale, options));
+        }
+        return this.numberFormats.get(cacheKey).format(value);
+    }
+
+    /**
+     * 按当前语言格式化百分比（取整）
+     * @param {number} ratio - 比例 0~1
+     * @returns {string}
+     */
+    formatPercent(ratio) {
+        return this.formatNumber(ratio, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    /**
+     * 按当前语言格式化日期或时间
+     * @param {Date|number} date - 日期或时间戳
+     * @param {Object} [options] - Intl.DateTimeFormat 选项
+     * @returns {string}
+     */
+    formatDate(date, options = {}) {
+        return this.getDateFormat(options).format(date);
+    }
+
+    /**
+     * 按当前语言连接列表，如 "1、2、3" 或 "1, 2, 3"
+     * @param {string[]} items - 列表项
+     * @returns {string}
+     */
+    formatList(items) {
+        if (typeof Intl.ListFormat === 'function') {
+            return new Intl.ListFormat(this.locale, { style: 'narrow' }).format(items.map(String));
+        }
+        return items.join(this.locale === SOURCE_LOCALE ? '、' : ', ');
+    }
+
+    /**
+     * 获取（并缓存）日期格式
+     * @param {Object} options - Intl.DateTimeFormat 选项
+     * @returns {Intl.DateTimeFormat}
+     */
+    getDateFormat(options) {
+        const cacheKey = JSON.stringify(options);
+        if (!this.dateFormats.has(cacheKey)) {
+            this.dateFormats.set(cacheKey, new Intl.DateTimeFormat(this.locale, options));
+        }
+        return this.dateFormats.get(cacheKey);
+    }
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES,
+        MESSAGES,
+        SOURCE_LOCALE,
+        DEFAULT_LOCALE_PREFERENCE,
+        normalizeLocalePreference,
+        resolveLocale,
+        Translator
+    };
+}
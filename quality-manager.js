@@ -0,0 +1,217 @@
+/**
+ * 专注力波浪计时器 - 渲染质量
+ * 按实际帧间隔自动降低或恢复画面效果，也可以手动选择等级（含省电模式），
+ * 并遵从系统的「减少动态效果」偏好；与界面无关，由 script.js 的动画循环使用
+ */
+
+/**
+ * 画面质量等级
+ *   frameInterval: 两次绘制之间的最短间隔（毫秒）
+ *   waveStep: 绘制波浪曲线的横向步长（像素），越大越省
+ *   particles / ripples: 是否生成画布粒子和波纹
+ *   backgroundParticles: 页面背景的粒子数量
+ *   shadow / reflection: 是否绘制波浪阴影（模糊滤镜）和倒影
+ *   maxPixelRatio: 画布最高按几倍设备像素比绘制（高分屏上越大越清晰，也越耗电）
+ */
+const QUALITY_LEVELS = {
+    high: {
+        label: '高',
+        frameInterval: 16,
+        waveStep: 1,
+        particles: true,
+        ripples: true,
+        backgroundParticles: 30,
+        shadow: true,
+        reflection: true,
+        maxPixelRatio: 3
+    },
+    medium: {
+        label: '中',
+        frameInterval: 33,
+        waveStep: 2,
+        particles: true,
+        ripples: true,
+        backgroundParticles: 12,
+        shadow: false,
+        reflection: true,
+        maxPixelRatio: 2
+    },
+    low: {
+        label: '低',
+        frameInterval: 50,
+        waveStep: 3,
+        particles: false,
+        ripples: false,
+        backgroundParticles: 0,
+        shadow: false,
+        reflection: false,
+        maxPixelRatio: 1.5
+    },
+    saver: {
+        label: '省电',
+        frameInterval: 250,
+        waveStep: 4,
+        particles: false,
+        ripples: false,
+        backgroundParticles: 0,
+        shadow: false,
+        reflection: false,
+        maxPixelRatio: 1
+    }
+};
+
+// 自动调整时可用的等级，从高到低（省电模式只能手动选择）
+const AUTO_QUALITY_LEVELS = ['high', 'medium', 'low'];
+
+// 质量选项：自动和各等级
+const QUALITY_MODES = Object.assign({ auto: { label: '自动' } }, QUALITY_LEVELS);
+
+const DEFAULT_QUALITY_MODE = 'auto';
+
+// 帧间隔采样：目标为 60fps，平均间隔超过目标的 1.5 倍时降级
+const QUALITY_TARGET_INTERVAL = 1000 / 60;
+const QUALITY_SAMPLE_SIZE = 60;
+const QUALITY_DEGRADE_RATIO = 1.5;
+const QUALITY_RECOVER_RATIO = 1.15;
+
+// 帧率持续良好多久后尝试升级（毫秒）；每次降级后加倍，避免在两个等级间反复切换
+const QUALITY_UPGRADE_DELAY = 10 * 1000;
+const QUALITY_UPGRADE_DELAY_MAX = 5 * 60 * 1000;
+
+// 超过此间隔的帧视为动画曾暂停（如页面在后台），不计入采样
+const QUALITY_MAX_FRAME_GAP = 1000;
+
+/**
+ * 渲染质量管理
+ */
+class QualityManager {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onChange] - 生效的质量变化时的回调 (settings)
+     */
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.mode = DEFAULT_QUALITY_MODE;
+        this.autoLevel = AUTO_QUALITY_LEVELS[0]; // 自动模式下当前的等级
+        this.reducedMotion = false;
+        this.samples = [];
+        this.lastFrameAt = 0;
+        this.goodSince = 0;
+        this.upgradeDelay = QUALITY_UPGRADE_DELAY;
+    }
+
+    /**
+     * 当前生效的等级 id
+     * 减少动态效果时，自动模式最高只使用低画质
+     * @returns {string}
+     */
+    get level() {
+        if (this.mode !== 'auto') return this.mode;
+        return this.reducedMotion ? 'low' : this.autoLevel;
+    }
+
+    /**
+     * 当前生效的质量设置
+     * @returns {Object} QUALITY_LEVELS 中的设置，另含 id、mode 和 motion（是否播放波浪流动等持续动效）
+     */
+    get settings() {
+        const settings = Object.assign({ id: this.level, mode: this.mode, motion: !this.reducedMotion },
+            QUALITY_LEVELS[this.level]);
+        if (this.reducedMotion) {
+            Object.assign(settings, { particles: false, ripples: false, backgroundParticles: 0 });
+        }
+        return settings;
+    }
+
+    /**
+     * 选择质量选项
+     * @param {string} mode - 'auto' 或 QUALITY_LEVELS 中的等级，未知时使用自动
+     */
+    setMode(mode) {
+        const previous = this.level;
+        this.mode = QUALITY_MODES[mode] ? mode : DEFAULT_QUALITY_MODE;
+        this.reset();
+        this.notify(previous, true);
+    }
+
+    /**
+     * 设置系统的「减少动态效果」偏好
+     * @param {boolean} reduced
+     */
+    setReducedMotion(reduced) {
+        if (this.reducedMotion === Boolean(reduced)) return;
+        const previous = this.level;
+        this.reducedMotion = Boolean(reduced);
+        this.notify(previous, true);
+    }
+
+    /**
+     * 清空帧间隔采样（动画暂停后恢复时调用）
+     */
+    reset() {
+        this.samples = [];
+        this.lastFrameAt = 0;
+        this.goodSince = 0;
+    }
+
+    /**
+     * 记录一帧（每次 requestAnimationFrame 回调时调用），自动模式下按平均帧间隔升降级
+     * @param {number} timestamp - requestAnimationFrame 的时间戳（毫秒）
+     */
+    recordFrame(timestamp) {
+        const gap = timestamp - this.lastFrameAt;
+        const measured = this.lastFrameAt > 0;
+        this.lastFrameAt = timestamp;
+        if (!measured || gap <= 0 || gap > QUALITY_MAX_FRAME_GAP) return;
+
+        this.samples.push(gap);
+        if (this.samples.length > QUALITY_SAMPLE_SIZE) this.samples.shift();
+        if (this.mode !== 'auto' || this.reducedMotion || this.samples.length < QUALITY_SAMPLE_SIZE) return;
+
+        const average = this.samples.reduce((sum, value) => sum + value, 0) / this.samples.length;
+        const index = AUTO_QUALITY_LEVELS.indexOf(this.autoLevel);
+
+        if (average > QUALITY_TARGET_INTERVAL * QUALITY_DEGRADE_RATIO) {
+            if (index < AUTO_QUALITY_LEVELS.length - 1) {
+                this.changeAutoLevel(AUTO_QUALITY_LEVELS[index + 1]);
+                this.upgradeDelay = Math.min(QUALITY_UPGRADE_DELAY_MAX, this.upgradeDelay * 2);
+            }
+            this.goodSince = 0;
+        } else if (average < QUALITY_TARGET_INTERVAL * QUALITY_RECOVER_RATIO) {
+            if (!this.goodSince) this.goodSince = timestamp;
+            if (index > 0 && timestamp - this.goodSince >= this.upgradeDelay) {
+                this.changeAutoLevel(AUTO_QUALITY_LEVELS[index - 1]);
+            }
+        } else {
+            this.goodSince = 0;
+        }
+    }
+
+    /**
+     * 切换自动模式下的等级，重新开始采样
+     * @param {string} level - 等级 id
+     */
+    changeAutoLevel(level) {
+        const previous = this.level;
+        this.autoLevel = level;
+        this.samples = [];
+        this.goodSince = 0;
+        this.notify(previous);
+    }
+
+    /**
+     * 生效的质量变化时通知
+     * @param {string} previous - 变化前的等级 id
+     * @param {boolean} [force] - 等级不变时也通知（如减少动态效果的开关）
+     */
+    notify(previous, force = false) {
+        if (force || previous !== this.level) {
+            this.onChange(this.settings);
+        }
+    }
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QualityManager, QUALITY_LEVELS, QUALITY_MODES, DEFAULT_QUALITY_MODE };
+}
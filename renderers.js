@@ -0,0 +1,286 @@
+/**
+ * 专注力波浪计时器 - 计时画面
+ * 除默认的波浪（在 script.js 中绘制）外的几种时间可视化方式，以及波浪各层的可调参数
+ * 每个画面只需实现 draw(context, frame)，由同一组计时数据驱动：
+ *   frame.width / frame.height - 画布尺寸
+ *   frame.progress - 剩余时间比例 timeLeft / totalTime（0~1）
+ *   frame.attention - 注意力强度 attentionIntensity（0.3~1）
+ *   frame.breath - 引导呼吸时的肺部充盈程度（0~1），未进行时为 null
+ *   frame.color - 当前模式的主色（任意 CSS 颜色）
+ *   frame.running / frame.focus - 是否计时中、是否专注阶段
+ *   frame.time - 动画时间（秒）
+ * 颜色透明度使用 color-utils.js 的 colorWithAlpha()
+ */
+
+// 默认画面
+const DEFAULT_VISUAL_RENDERER = 'wave';
+
+// 波浪层参数：amplitude 为相对波浪高度的幅度，speed 为相对波浪速度的倍数
+const WAVE_LAYER_PARAMS = {
+    amplitude: { label: '幅度', min: 0.1, max: 1.5, step: 0.05 },
+    frequency: { label: '频率', min: 0.004, max: 0.06, step: 0.002 },
+    speed: { label: '速度', min: 0, max: 3, step: 0.1 },
+    opacity: { label: '不透明度', min: 0.05, max: 1, step: 0.05 }
+};
+
+// 波浪层数范围
+const WAVE_LAYERS_MIN = 1;
+const WAVE_LAYERS_MAX = 5;
+
+// 波浪的附加效果
+const WAVE_PASSES = {
+    shadow: '阴影',
+    highlight: '高光',
+    border: '边框',
+    reflection: '倒影'
+};
+
+/**
+ * 默认波浪样式：从底层到顶层逐层变小、变快、变明显
+ */
+const DEFAULT_WAVE_STYLE = {
+    layers: [
+        { amplitude: 0.9, frequency: 0.012, speed: 0.8, opacity: 0.2 },
+        { amplitude: 0.7, frequency: 0.020, speed: 1.3, opacity: 0.35 },
+        { amplitude: 0.5, frequency: 0.030, speed: 1.8, opacity: 0.5 }
+    ],
+    passes: { shadow: true, highlight: true, border: true, reflection: true }
+};
+
+/**
+ * 新增的第 index 层波浪的默认参数（超出默认层数时按规律外推）
+ * @param {number} index - 层序号（0 为底层）
+ * @returns {Object} { amplitude, frequency, speed, opacity }
+ */
+function createWaveLayer(index) {
+    if (DEFAULT_WAVE_STYLE.layers[index]) return Object.assign({}, DEFAULT_WAVE_STYLE.layers[index]);
+    return normalizeWaveLayer({
+        amplitude: 0.9 - index * 0.2,
+        frequency: 0.012 + index * 0.009,
+        speed: 0.8 + index * 0.5,
+        opacity: 0.2 + index * 0.15
+    }, index);
+}
+
+/**
+ * 规范化单层参数：按范围限制并对齐步长，无效时使用该层默认值
+ * @param {Object} raw - 原始参数
+ * @param {number} index - 层序号
+ * @returns {Object} { amplitude, frequency, speed, opacity }
+ */
+function normalizeWaveLayer(raw, index) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const layer = {};
+    Object.keys(WAVE_LAYER_PARAMS).forEach(key => {
+        const definition = WAVE_LAYER_PARAMS[key];
+        const value = Number(source[key]);
+        if (!Number.isFinite(value)) {
+            layer[key] = createWaveLayer(index)[key];
+            return;
+        }
+        const stepped = Math.round((value - definition.min) / definition.step) * definition.step + definition.min;
+        layer[key] = Number(Math.min(definition.max, Math.max(definition.min, stepped)).toFixed(3));
+    });
+    return layer;
+}
+
+/**
+ * 规范化波浪样式（用于设置快照和导入）
+ * @param {Object} raw - { layers, passes }
+ * @returns {Object} 规范化的波浪样式
+ */
+function normalizeWaveStyle(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const rawLayers = Array.isArray(source.layers) && source.layers.length >= WAVE_LAYERS_MIN ?
+        source.layers.slice(0, WAVE_LAYERS_MAX) : DEFAULT_WAVE_STYLE.layers;
+    const rawPasses = source.passes && typeof source.passes === 'object' ? source.passes : {};
+
+    const passes = {};
+    Object.keys(WAVE_PASSES).forEach(pass => {
+        passes[pass] = typeof rawPasses[pass] === 'boolean' ? rawPasses[pass] : DEFAULT_WAVE_STYLE.passes[pass];
+    });
+    return { layers: rawLayers.map(normalizeWaveLayer), passes };
+}
+
+/**
+ * 内置画面（不含波浪）
+ */
+const VISUAL_RENDERERS = {
+    glass: {
+        label: '水杯',
+        /**
+         * 水杯随已用时间逐渐装满，水面晃动随注意力变化
+         */
+        draw(context, frame) {
+            const glassHeight = frame.height * 0.8;
+            const topWidth = Math.min(frame.width * 0.4, glassHeight * 0.8);
+            const bottomWidth = topWidth * 0.75;
+            const centerX = frame.width / 2;
+            const top = (frame.height - glassHeight) / 2;
+            const bottom = top + glassHeight;
+
+            const traceGlass = () => {
+                context.beginPath();
+                context.moveTo(centerX - topWidth / 2, top);
+                context.lineTo(centerX - bottomWidth / 2, bottom);
+                context.lineTo(centerX + bottomWidth / 2, bottom);
+                context.lineTo(centerX + topWidth / 2, top);
+            };
+
+            // 水
+            const level = 1 - frame.progress;
+            const surfaceY = bottom - glassHeight * 0.92 * level;
+            const amplitude = (frame.running ? 3 : 1) * frame.attention;
+            context.save();
+            traceGlass();
+            context.closePath();
+            context.clip();
+
+            context.beginPath();
+            context.moveTo(centerX - topWidth / 2, bottom);
+            for (let x = centerX - topWidth / 2; x <= centerX + topWidth / 2; x += 2) {
+                const y = surfaceY + Math.sin(x * 0.08 + frame.time * 2) * amplitude +
+                    Math.sin(x * 0.05 - frame.time * 1.3) * amplitude * 0.5;
+                context.lineTo(x, y);
+            }
+            context.lineTo(centerX + topWidth / 2, bottom);
+            context.closePath();
+            const water = context.createLinearGradient(0, surfaceY, 0, bottom);
+            water.addColorStop(0, colorWithAlpha(frame.color, 0.55));
+            water.addColorStop(1, colorWithAlpha(frame.color, 0.85));
+            context.fillStyle = water;
+            context.fill();
+
+            // 气泡
+            if (frame.running && level > 0.05) {
+                context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                for (let i = 0; i < 6; i++) {
+                    const rise = (frame.time * 0.3 + i / 6) % 1;
+                    const y = bottom - rise * (bottom - surfaceY);
+                    const x = centerX + Math.sin(i * 2.4 + frame.time) * bottomWidth * 0.35;
+                    context.beginPath();
+                    context.arc(x, y, 1.5 + (i % 3), 0, Math.PI * 2);
+                    context.fill();
+                }
+            }
+            context.restore();
+
+            // 杯身
+            traceGlass();
+            context.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+            context.lineWidth = 3;
+            context.lineJoin = 'round';
+            context.stroke();
+        }
+    },
+    breathing: {
+        label: '呼吸圆',
+        /**
+         * 圆随剩余时间缩小，计时中缓慢呼吸（引导呼吸时跟随呼吸节奏），外圈显示剩余进度
+         */
+        draw(context, frame) {
+            const centerX = frame.width / 2;
+            const centerY = frame.height / 2;
+            const maxRadius = Math.min(frame.width, frame.height) * 0.42;
+            let breath = frame.running ? Math.sin(frame.time * Math.PI * 2 / 8) * 0.08 : 0;
+            if (frame.breath !== null) breath = (frame.breath - 0.5) * 0.4;
+            const radius = maxRadius * (0.35 + 0.45 * frame.progress) * (1 + breath);
+
+            // 光晕随注意力增强
+            const glow = context.createRadialGradient(centerX, centerY, radius * 0.5, centerX, centerY, radius * 1.4);
+            glow.addColorStop(0, colorWithAlpha(frame.color, 0.25 * frame.attention));
+            glow.addColorStop(1, colorWithAlpha(frame.color, 0));
+            context.fillStyle = glow;
+            context.fillRect(0, 0, frame.width, frame.height);
+
+            const body = context.createRadialGradient(centerX, centerY - radius * 0.3, radius * 0.1, centerX, centerY, radius);
+            body.addColorStop(0, colorWithAlpha(frame.color, 0.5));
+            body.addColorStop(1, colorWithAlpha(frame.color, 0.85));
+            context.beginPath();
+            context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            context.fillStyle = body;
+            context.fill();
+
+            // 剩余进度环
+            context.beginPath();
+            context.arc(centerX, centerY, maxRadius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * frame.progress);
+            context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            context.lineWidth = 3;
+            context.lineCap = 'round';
+            context.stroke();
+        }
+    },
+    candle: {
+        label: '蜡烛',
+        /**
+         * 蜡烛随剩余时间燃烧变短，火焰大小随注意力变化
+         */
+        draw(context, frame) {
+            const centerX = frame.width / 2;
+            const candleWidth = Math.min(frame.width * 0.12, frame.height * 0.22);
+            const bottom = frame.height * 0.95;
+            const maxHeight = frame.height * 0.6;
+            const candleTop = bottom - maxHeight * (0.08 + 0.92 * frame.progress);
+
+            // 烛身
+            const wax = context.createLinearGradient(centerX - candleWidth / 2, 0, centerX + candleWidth / 2, 0);
+            wax.addColorStop(0, 'rgba(236, 229, 214, 0.95)');
+            wax.addColorStop(0.5, 'rgba(255, 252, 242, 0.95)');
+            wax.addColorStop(1, 'rgba(214, 205, 188, 0.95)');
+            context.fillStyle = wax;
+            context.fillRect(centerX - candleWidth / 2, candleTop, candleWidth, bottom - candleTop);
+            context.fillStyle = colorWithAlpha(frame.color, 0.6);
+            context.fillRect(centerX - candleWidth / 2, bottom - 6, candleWidth, 6);
+
+            // 烛芯
+            const wickTop = candleTop - 8;
+            context.strokeStyle = 'rgba(60, 50, 40, 0.9)';
+            context.lineWidth = 2;
+            context.beginPath();
+            context.moveTo(centerX, candleTop);
+            context.lineTo(centerX, wickTop);
+            context.stroke();
+
+            // 火焰：计时中摇曳，暂停或空闲时较小且平稳
+            const flicker = frame.running ?
+                Math.sin(frame.time * 9) * 0.06 + Math.sin(frame.time * 23 + 1) * 0.04 : 0;
+            const flameHeight = candleWidth * (frame.running ? 1.4 : 0.9) * (0.6 + 0.4 * frame.attention) * (1 + flicker);
+            const flameWidth = flameHeight * 0.42;
+            const sway = frame.running ? Math.sin(frame.time * 3.1) * flameWidth * 0.15 : 0;
+            const flameBase = wickTop + 4;
+
+            const halo = context.createRadialGradient(centerX, flameBase - flameHeight * 0.4, 0,
+                centerX, flameBase - flameHeight * 0.4, flameHeight * 2);
+            halo.addColorStop(0, `rgba(255, 200, 80, ${0.3 * frame.attention})`);
+            halo.addColorStop(1, 'rgba(255, 200, 80, 0)');
+            context.fillStyle = halo;
+            context.fillRect(0, 0, frame.width, frame.height);
+
+            context.beginPath();
+            context.moveTo(centerX - flameWidth / 2, flameBase - flameHeight * 0.25);
+            context.quadraticCurveTo(centerX - flameWidth / 2, flameBase, centerX, flameBase);
+            context.quadraticCurveTo(centerX + flameWidth / 2, flameBase, centerX + flameWidth / 2, flameBase - flameHeight * 0.25);
+            context.quadraticCurveTo(centerX + flameWidth * 0.3, flameBase - flameHeight * 0.7, centerX + sway, flameBase - flameHeight);
+            context.quadraticCurveTo(centerX - flameWidth * 0.3, flameBase - flameHeight * 0.7, centerX - flameWidth / 2, flameBase - flameHeight * 0.25);
+            const flame = context.createLinearGradient(0, flameBase, 0, flameBase - flameHeight);
+            flame.addColorStop(0, 'rgba(255, 255, 255, 0.95)');
+            flame.addColorStop(0.3, 'rgba(255, 214, 102, 0.95)');
+            flame.addColorStop(1, 'rgba(243, 112, 33, 0.8)');
+            context.fillStyle = flame;
+            context.fill();
+        }
+    }
+};
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VISUAL_RENDERERS,
+        DEFAULT_VISUAL_RENDERER,
+        WAVE_LAYER_PARAMS,
+        WAVE_PASSES,
+        DEFAULT_WAVE_STYLE,
+        createWaveLayer,
+        normalizeWaveStyle
+    };
+}
@@ -13,34 +13,233 @@ const resetBtn = document.getElementById('resetBtn');
 const focusTimeInput = document.getElementById('focusTime');
 const breakTimeInput = document.getElementById('breakTime');
 const waveReminderInput = document.getElementById('waveReminder');
+const longBreakTimeInput = document.getElementById('longBreakTime');
+const longBreakIntervalInput = document.getElementById('longBreakInterval');
+const autoStartBreakInput = document.getElementById('autoStartBreak');
+const autoStartFocusInput = document.getElementById('autoStartFocus');
+const focusCheckInInput = document.getElementById('focusCheckIn');
+const systemNotificationsInput = document.getElementById('systemNotifications');
+const volumeInput = document.getElementById('volume');
+const muteInput = document.getElementById('mute');
+const soundEventSelects = document.querySelectorAll('[data-sound-event]');
+const ambientSoundSelect = document.getElementById('ambientSound');
+const ambientVolumeInput = document.getElementById('ambientVolume');
+const tickingSoundInput = document.getElementById('tickingSound');
+const countdownSoundInput = document.getElementById('countdownSound');
+const checkInPrompt = document.getElementById('checkInPrompt');
+const cycleCounterElement = document.getElementById('cycleCounter');
+const presetSelect = document.getElementById('presetSelect');
+const attentionModelSelect = document.getElementById('attentionModel');
+const visualizationSelect = document.getElementById('visualization');
+const renderingQualitySelect = document.getElementById('renderingQuality');
+const renderingQualityNote = document.getElementById('renderingQualityNote');
+const waveLayerCountInput = document.getElementById('waveLayerCount');
+const waveLayersElement = document.getElementById('waveLayers');
+const wavePassesElement = document.getElementById('wavePasses');
+const themeModeSelect = document.getElementById('themeMode');
+const themeEditorElement = document.getElementById('themeEditor');
+const themeBaseSelect = document.getElementById('themeBase');
+const themeColorInputs = document.querySelectorAll('[data-theme-color]');
+const themeBackgroundInputs = document.querySelectorAll('[data-theme-background]');
+const themeImportFileInput = document.getElementById('importThemeFile');
+const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+const guidedBreathingInput = document.getElementById('guidedBreathing');
+const breathingPatternSelect = document.getElementById('breathingPattern');
+const breathingCustomElement = document.getElementById('breathingCustom');
+const breathingCustomInputs = document.querySelectorAll('[data-breath-step]');
+const breathingCuesInput = document.getElementById('breathingCues');
+const breathingGuideElement = document.getElementById('breathingGuide');
+const breathingStepElement = document.getElementById('breathingStep');
+const breathingCountElement = document.getElementById('breathingCount');
+const attentionParamsElement = document.getElementById('attentionParams');
+const attentionPreviewCanvas = document.getElementById('attentionPreview');
+const attentionNoteElement = document.getElementById('attentionNote');
+const currentTaskElement = document.getElementById('currentTask');
+const taskForm = document.getElementById('taskForm');
+const taskTitleInput = document.getElementById('taskTitle');
+const taskEstimateInput = document.getElementById('taskEstimate');
+const taskListElement = document.getElementById('taskList');
+const shortcutListElement = document.getElementById('shortcutList');
+const shortcutMessageElement = document.getElementById('shortcutMessage');
+const commandPaletteElement = document.getElementById('commandPalette');
+const commandSearchInput = document.getElementById('commandSearch');
+const commandListElement = document.getElementById('commandList');
+const announceIntervalSelect = document.getElementById('announceInterval');
+const sonifiedProgressInput = document.getElementById('sonifiedProgress');
+const waveDescriptionElement = document.getElementById('waveDescription');
 const notificationElement = document.getElementById('notification');
+const languageSelect = document.getElementById('language');
 const waveCanvas = document.getElementById('waveCanvas');
 const ctx = waveCanvas.getContext('2d');
 const particlesContainer = document.querySelector('.particles-container');
 const progressBar = document.querySelector('.progress-bar');
 const completionAnimation = document.querySelector('.completion-animation');
 const completionText = document.getElementById('completionText');
+const completionCloseBtn = document.getElementById('completionCloseBtn');
+const statsCanvas = document.getElementById('statsCanvas');
+const statsCtx = statsCanvas ? statsCanvas.getContext('2d') : null;
+const statsTabButtons = document.querySelectorAll('.stats-tabs [data-range]');
+const importFileInput = document.getElementById('importFile');
+const importReportElement = document.getElementById('importReport');
 
-// 计时器状态变量
-let timer;
-let isRunning = false;
-let isPaused = false;
-let isFocusMode = true;
-let timeLeft = focusTimeInput.value * 60;
-let totalTime = timeLeft;
-let lastReminderTime = 0;
+// 计时核心（状态机），界面、动画和提醒通过事件订阅其状态
+const timerCore = new TimerCore({ config: readTimerConfig() });
+
+// 计时器状态存储键
+const TIMER_STATE_KEY = 'conWaveTimer.state';
+
+// 设置存储键
+const SETTINGS_KEY = 'conWaveTimer.settings';
+
+// 设置状态：当前设置、预设列表、正在使用的预设，以及是否已选择过注意力模型
+// （未选择过时，专注自评足够后自动改用个人校准曲线）
+let settingsState = {
+    activePresetId: null,
+    presets: [],
+    current: null,
+    attentionModelChosen: false
+};
+
+// 系统通知（通过 Service Worker 在后台准时提醒）
+const systemNotifier = new SystemNotifier({ onAction: handleNotificationAction });
+
+// 声音引擎（提示音和背景音共用一个 AudioContext）
+const audioEngine = new AudioEngine();
+
+// 渲染质量：按帧率自动调整画面效果，页面在后台时暂停全部动画
+const qualityManager = new QualityManager({ onChange: applyRenderingQuality });
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// 会话历史和任务存储（IndexedDB）
+const sessionStore = new SessionStore();
+const taskStore = new TaskStore();
+
+// 当前专注任务存储键
+const ACTIVE_TASK_KEY = 'conWaveTimer.activeTask';
+
+// 快捷键存储键（只保存在本机，不随预设方案变化）
+const SHORTCUTS_KEY = 'conWaveTimer.shortcuts';
+
+// 界面语言偏好存储键（只保存在本机，不随预设方案变化）
+const LOCALE_KEY = 'conWaveTimer.locale';
+
+// 需要翻译的属性（对应 data-i18n-* 属性，如 data-i18n-aria-label）
+const I18N_ATTRIBUTES = ['aria-label', 'title', 'placeholder', 'content'];
+
+// 界面语言：偏好为 'auto' 时跟随浏览器语言
+let localePreference = loadLocalePreference();
+let i18n = new Translator(resolveLocale(localePreference, getBrowserLanguages()));
+
+// 延长 / 缩短当前阶段的步长（秒）
+const EXTEND_STEP_SECONDS = 60;
+
+/**
+ * 可通过快捷键和命令面板执行的命令，快捷键绑定见 shortcuts.js，命令名称见 i18n.js 中的 command.*
+ */
+const COMMANDS = {
+    toggleTimer: { run: toggleTimer },
+    reset: { run: resetTimer },
+    skip: { run: skipPhase },
+    extend: { run: () => extendPhase(EXTEND_STEP_SECONDS) },
+    shorten: { run: () => extendPhase(-EXTEND_STEP_SECONDS) },
+    toggleMute: { run: toggleMute },
+    announceStatus: { run: announceTimeLeft },
+    addTask: { run: () => revealElement('taskPanel', taskTitleInput) },
+    openSettings: { run: () => revealElement('settingsPanel', focusTimeInput) },
+    openStats: { run: () => revealElement('statsPanel', statsTabButtons[0]) },
+    exportCsv: { run: () => exportHistory('csv') },
+    exportJson: { run: () => exportHistory('json') },
+    exportIcs: { run: () => exportHistory('ics') },
+    importHistory: { run: () => importFileInput.click() },
+    commandPalette: { run: openCommandPalette }
+};
+
+let shortcutBindings = normalizeShortcutBindings(null); // 命令 id -> 快捷键
+let recordingShortcut = null; // 正在录制快捷键的命令 id
+let paletteCommands = []; // 命令面板中筛选出的命令 id
+let paletteIndex = 0; // 命令面板中选中的位置
+let paletteReturnFocus = null; // 关闭命令面板后恢复焦点的元素
+
+// 屏幕阅读器播报
+const liveAnnouncer = new LiveAnnouncer({
+    polite: document.getElementById('srStatus'),
+    assertive: document.getElementById('srAlert')
+});
+
+// 声音化进度的提示间隔（秒）
+const SONIFIED_PROGRESS_INTERVAL = 30;
+
+// 完成动画自动关闭的延迟（毫秒）
+const COMPLETION_DISPLAY_TIME = 3000;
+
+let lastTickTimeLeft = null; // 上一次计时刷新时的剩余时间，用于判断播报和进度提示的时机
+let completionTimeout = null; // 完成动画自动关闭定时器
+let completionReturnFocus = null; // 关闭完成动画后恢复焦点的元素
 
 // 波浪动画变量
 let waveHeight = 0;
 let waveSpeed = 0.02;
 let waveOffset = 0;
-let waveColor = '#3498db';
+let waveColor = THEME_PRESETS.light.colors.idle;
+let waveRise = 0; // 波浪整体抬升（引导呼吸时随吸气上升、呼气下降）
 let particleSystem = []; // 粒子系统数组
+let backgroundParticles = []; // 页面背景粒子 { element, duration, direction, type, startTime }
 let lastUpdateTime = 0; // 上一次更新时间，用于性能优化
+let animationFrameId = null; // 动画循环的 requestAnimationFrame id（暂停时为 null）
+let renderingQuality = qualityManager.settings; // 当前生效的渲染质量
 let lastAttentionBoostTime = 0; // 上次注意力提升时间
 let attentionIntensity = 1.0; // 注意力强度（影响波浪效果）
+let attentionModel = createAttentionModel(DEFAULT_ATTENTION_MODEL); // 注意力衰减模型
+let attentionCalibration = null; // 个人校准数据（个人校准模型使用）
+let sessionCheckIns = []; // 当前专注会话的专注自评
+let attentionCalibrationCount = 0; // 历史专注自评次数
+let pendingCheckIn = null; // 等待回答的自评 { sinceBoost, elapsed, at }
+let checkInTimeout = null; // 自评提示自动隐藏定时器
+let breathingState = null; // 引导呼吸的当前状态（未进行时为 null）
+let sessionBreathCycles = 0; // 当前休息会话完成的呼吸次数
 let rippleEffects = []; // 波纹效果数组
 
+// 波浪画布的显示尺寸（CSS 像素）和绘制时使用的像素比，绘制代码都使用显示尺寸的坐标
+const canvasSize = { width: waveCanvas.width, height: waveCanvas.height, ratio: 1 };
+
+// 水面物理：点击和拖动在波浪上产生的扰动，叠加到各层波浪的形状上
+const waterSurface = new WaterSurface(canvasSize.width);
+
+// 点击、波浪提醒和模式切换对水面的冲击力度（像素/步，再乘以注意力强度）
+const WATER_TAP_FORCE = 8;
+const WATER_REMINDER_FORCE = 5;
+const WATER_TRANSITION_FORCE = 4;
+
+let canvasPointer = null; // 正在画布上拖动的指针 { id, x, y }
+
+// 主题：跟随系统时监听系统的深色和高对比度偏好
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+let themeMode = DEFAULT_THEME_MODE; // 当前主题选项
+let customTheme = normalizeCustomTheme(null); // 自定义主题
+let activeTheme = resolveTheme(themeMode, customTheme, getSystemThemePreference()); // 生效的主题
+
+// 计时画面：波浪在本文件中绘制，其余画面见 renderers.js
+const visualRenderers = Object.assign({
+    wave: { label: '波浪', draw: drawWaveScene }
+}, VISUAL_RENDERERS);
+let visualRendererId = DEFAULT_VISUAL_RENDERER; // 当前计时画面
+let waveStyle = normalizeWaveStyle(null); // 波浪各层参数和附加效果
+let wavePreviewUntil = 0; // 调整波浪样式后的预览截止时间（performance.now()）
+
+// 调整波浪样式后预览的时长（毫秒），以及空闲时预览使用的波浪高度
+const WAVE_PREVIEW_DURATION = 3000;
+const WAVE_PREVIEW_HEIGHT = 40;
+
+// 任务变量
+let tasks = []; // 任务列表
+let activeTaskId = null; // 当前选择的专注任务
+let sessionTaskId = null; // 正在计时的专注会话所属任务
+
+// 统计视图变量
+let statsRange = 'day'; // 当前统计周期：day / week / month
+let statsSessions = []; // 已加载的历史会话
+
 /**
  * 初始化应用
  */
@@ -50,6 +249,9 @@ function initApp() {
     startWaveAnimation();
     initBackgroundParticles();
     updateProgressBar();
+    refreshStatistics();
+    loadTasks();
+    loadAttentionCalibration();
 }
 
 /**
@@ -76,12 +278,201 @@ function setupEventListeners() {
     waveReminderInput.addEventListener('change', validateWaveReminder);
     waveReminderInput.addEventListener('input', debounce(validateWaveReminder, 300));
     
-    // 波浪画布交互事件
-    waveCanvas.addEventListener('click', createRippleEffect);
-    waveCanvas.addEventListener('touchstart', handleTouchEvent(createRippleEffect));
+    longBreakTimeInput.addEventListener('change', validateLongBreakTime);
+    longBreakTimeInput.addEventListener('input', debounce(validateLongBreakTime, 300));
+    
+    longBreakIntervalInput.addEventListener('change', validateLongBreakInterval);
+    longBreakIntervalInput.addEventListener('input', debounce(validateLongBreakInterval, 300));
     
-    // 窗口大小调整时重新初始化应用
-    window.addEventListener('resize', debounce(initApp, 300));
+    // 设置校验后同步到计时核心
+    [breakTimeInput, waveReminderInput, longBreakTimeInput, longBreakIntervalInput,
+        autoStartBreakInput, autoStartFocusInput].forEach(input => {
+        input.addEventListener('change', applyTimerSettings);
+    });
+    
+    // 设置变化后保存到本地
+    [focusTimeInput, breakTimeInput, waveReminderInput, longBreakTimeInput, longBreakIntervalInput,
+        autoStartBreakInput, autoStartFocusInput, focusCheckInInput].forEach(input => {
+        input.addEventListener('change', handleSettingsChange);
+    });
+    
+    // 任务清单
+    taskForm.addEventListener('submit', addTask);
+    
+    // 注意力模型
+    attentionModelSelect.addEventListener('change', () => {
+        settingsState.attentionModelChosen = true;
+        setAttentionModel(attentionModelSelect.value);
+        handleSettingsChange();
+    });
+    [focusTimeInput, waveReminderInput].forEach(input => {
+        input.addEventListener('change', drawAttentionPreview);
+    });
+    
+    // 主题：编辑颜色时实时预览，跟随系统时响应系统偏好变化
+    themeModeSelect.addEventListener('change', () => {
+        themeMode = themeModeSelect.value;
+        renderThemeEditor();
+        applyTheme();
+        handleSettingsChange();
+    });
+    [themeBaseSelect, ...themeColorInputs, ...themeBackgroundInputs].forEach(input => {
+        input.addEventListener('input', () => {
+            readThemeEditor();
+            applyTheme();
+        });
+        input.addEventListener('change', () => {
+            readThemeEditor();
+            applyTheme();
+            handleSettingsChange();
+        });
+    });
+    [colorSchemeQuery, contrastQuery].forEach(query => {
+        query.addEventListener('change', () => {
+            if (themeMode === 'auto') applyTheme();
+        });
+    });
+    document.getElementById('exportThemeBtn').addEventListener('click', exportTheme);
+    document.getElementById('importThemeBtn').addEventListener('click', () => themeImportFileInput.click());
+    themeImportFileInput.addEventListener('change', handleThemeImport);
+    
+    // 计时画面
+    visualizationSelect.addEventListener('change', () => {
+        setVisualization(visualizationSelect.value);
+        handleSettingsChange();
+    });
+    
+    // 渲染质量
+    renderingQualitySelect.addEventListener('change', () => {
+        qualityManager.setMode(renderingQualitySelect.value);
+        handleSettingsChange();
+    });
+    reducedMotionQuery.addEventListener('change', () => qualityManager.setReducedMotion(reducedMotionQuery.matches));
+    
+    // 波浪样式（拖动时实时预览，松开后保存）
+    waveLayerCountInput.addEventListener('change', () => {
+        setWaveLayerCount(Number(waveLayerCountInput.value));
+        handleSettingsChange();
+    });
+    document.getElementById('resetWaveStyleBtn').addEventListener('click', () => {
+        setWaveStyle(DEFAULT_WAVE_STYLE);
+        handleSettingsChange();
+    });
+    
+    // 引导呼吸
+    [guidedBreathingInput, breathingPatternSelect, breathingCuesInput, ...breathingCustomInputs].forEach(input => {
+        input.addEventListener('change', () => {
+            normalizeCustomBreathingInputs();
+            updateBreathingCustomVisibility();
+            updateBreathingGuide();
+            handleSettingsChange();
+        });
+    });
+    
+    // 声音设置（拖动音量时实时生效）
+    [volumeInput, ambientVolumeInput].forEach(input => {
+        input.addEventListener('input', applyAudioSettings);
+    });
+    [volumeInput, muteInput, ambientSoundSelect, ambientVolumeInput, tickingSoundInput, countdownSoundInput, ...soundEventSelects].forEach(input => {
+        input.addEventListener('change', () => {
+            applyAudioSettings();
+            updateAudioCues();
+            handleSettingsChange();
+        });
+    });
+    document.querySelectorAll('[data-preview]').forEach(button => {
+        button.addEventListener('click', () => {
+            audioEngine.unlock();
+            audioEngine.play(button.dataset.preview);
+        });
+    });
+    
+    // 界面语言：跟随浏览器时，浏览器语言变化后随之切换
+    languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+    window.addEventListener('languagechange', () => {
+        if (localePreference === DEFAULT_LOCALE_PREFERENCE) setLocale(localePreference);
+    });
+    
+    // 无障碍：播报间隔和声音化进度（开启时试听当前进度的提示音）
+    announceIntervalSelect.addEventListener('change', handleSettingsChange);
+    sonifiedProgressInput.addEventListener('change', () => {
+        if (sonifiedProgressInput.checked) {
+            audioEngine.unlock();
+            audioEngine.playProgressCue(timerCore.progress, timerCore.isFocus);
+        }
+        handleSettingsChange();
+    });
+    
+    // 完成动画：点击任意位置或「继续」按钮关闭
+    completionAnimation.addEventListener('click', hideCompletionAnimation);
+    completionAnimation.addEventListener('keydown', handleCompletionKey);
+    
+    // 浏览器要求在用户操作后才能发声（刷新后恢复计时时需要）
+    ['pointerdown', 'keydown'].forEach(type => {
+        document.addEventListener(type, () => audioEngine.unlock(), { once: true });
+    });
+    
+    // 系统通知需要先获得权限
+    systemNotificationsInput.addEventListener('change', toggleSystemNotifications);
+    
+    // 专注自评：点击或按数字键 1~5 回答
+    checkInPrompt.querySelectorAll('[data-rating]').forEach(button => {
+        button.addEventListener('click', () => answerCheckIn(Number(button.dataset.rating)));
+    });
+    document.addEventListener('keydown', handleCheckInKey);
+    
+    // 键盘快捷键和命令面板
+    document.addEventListener('keydown', handleShortcutRecording, true);
+    document.addEventListener('keydown', handleShortcutKey);
+    document.getElementById('openCommandPaletteBtn').addEventListener('click', openCommandPalette);
+    document.getElementById('resetShortcutsBtn').addEventListener('click', resetShortcuts);
+    commandSearchInput.addEventListener('input', () => {
+        paletteIndex = 0;
+        renderCommandList();
+    });
+    commandSearchInput.addEventListener('keydown', handleCommandPaletteKey);
+    commandPaletteElement.addEventListener('click', e => {
+        // 点击面板外的遮罩关闭
+        if (e.target === commandPaletteElement) closeCommandPalette();
+    });
+    
+    // 预设方案
+    presetSelect.addEventListener('change', () => selectPreset(presetSelect.value));
+    document.getElementById('presetNewBtn').addEventListener('click', createPreset);
+    document.getElementById('presetRenameBtn').addEventListener('click', renamePreset);
+    document.getElementById('presetDeleteBtn').addEventListener('click', deletePreset);
+    
+    // 统计周期切换
+    statsTabButtons.forEach(button => {
+        button.addEventListener('click', () => setStatsRange(button.dataset.range));
+    });
+    
+    // 历史记录导出与导入
+    document.getElementById('exportCsvBtn').addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => exportHistory('json'));
+    document.getElementById('exportIcsBtn').addEventListener('click', () => exportHistory('ics'));
+    document.getElementById('importBtn').addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImportFile);
+    
+    // 波浪画布交互：点击激起波纹，按住拖动搅动水面（鼠标和触摸统一使用指针事件）
+    waveCanvas.addEventListener('pointerdown', handleCanvasPointerDown);
+    waveCanvas.addEventListener('pointermove', handleCanvasPointerMove);
+    ['pointerup', 'pointercancel'].forEach(type => {
+        waveCanvas.addEventListener(type, handleCanvasPointerUp);
+    });
+    
+    // 页面从后台或休眠恢复时立即按时钟同步计时器
+    // 页面在后台时暂停全部动画
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            pauseAnimation();
+        } else {
+            timerCore.tick();
+            resumeAnimation();
+        }
+    });
+    window.addEventListener('pageshow', () => timerCore.tick());
+    window.addEventListener('focus', () => timerCore.tick());
 }
 
 /**
@@ -119,1240 +510,4370 @@ function debounce(func, delay) {
 }
 
 /**
- * 创建波纹效果的函数
- * @param {Event} e - 鼠标或触摸事件
+ * 在点击位置创建波纹，并向下压动水面
+ * @param {number} x - 画布上的横坐标（CSS 像素）
+ * @param {number} y - 画布上的纵坐标（CSS 像素）
  */
-function createRippleEffect(e) {
-    // 获取点击位置（支持触摸和鼠标事件）
-    let x, y;
-    if (e.touches && e.touches.length > 0) {
-        const rect = waveCanvas.getBoundingClientRect();
-        x = e.touches[0].clientX - rect.left;
-        y = e.touches[0].clientY - rect.top;
-    } else {
-        x = e.offsetX;
-        y = e.offsetY;
-    }
+function createRippleEffect(x, y) {
+    if (!renderingQuality.ripples) return;
     
-    // 添加波纹效果（如果应用中已有波纹系统）
-    if (typeof rippleEffects !== 'undefined' && Array.isArray(rippleEffects)) {
-        rippleEffects.push({
-            x: x,
-            y: y,
-            radius: 0,
-            maxRadius: Math.min(waveCanvas.width, waveCanvas.height) * 0.3,
-            opacity: 0.8,
-            speed: 2
-        });
+    rippleEffects.push({
+        centerX: x,
+        centerY: y,
+        radius: 0,
+        maxRadius: Math.min(canvasSize.width, canvasSize.height) * 0.3,
+        speed: 2,
+        opacity: 0.8,
+        color: colorWithAlpha(waveColor, 0.7)
+    });
+    disturbWaterSurface(x, WATER_TAP_FORCE);
+}
+
+/**
+ * 扰动水面，力度随注意力强度变化（注意力越集中，水面反应越明显）
+ * @param {number} x - 横坐标（CSS 像素）
+ * @param {number} force - 冲击力度，正数向下压，负数向上提
+ * @param {number} [radius] - 影响半径（CSS 像素）
+ */
+function disturbWaterSurface(x, force, radius) {
+    if (!renderingQuality.ripples) return;
+    waterSurface.disturb(x, force * attentionIntensity, radius);
+}
+
+/**
+ * 某处水面的位移，叠加到波浪的纵坐标上
+ * @param {number} x - 横坐标（CSS 像素）
+ * @returns {number} 位移（CSS 像素），正数向下
+ */
+function getSurfaceOffset(x) {
+    return renderingQuality.ripples ? waterSurface.heightAt(x) : 0;
+}
+
+/**
+ * 在画布上按下指针 - 激起波纹并开始跟踪拖动
+ * @param {PointerEvent} e
+ */
+function handleCanvasPointerDown(e) {
+    if (e.button > 0) return; // 只响应主按键
+    
+    canvasPointer = { id: e.pointerId, x: e.offsetX, y: e.offsetY };
+    if (waveCanvas.setPointerCapture) waveCanvas.setPointerCapture(e.pointerId);
+    createRippleEffect(e.offsetX, e.offsetY);
+}
+
+/**
+ * 拖动指针 - 向下拖动压低水面、向上拖动抬起，横向划过时沿途轻压
+ * @param {PointerEvent} e
+ */
+function handleCanvasPointerMove(e) {
+    if (!canvasPointer || e.pointerId !== canvasPointer.id) return;
+    
+    const dx = e.offsetX - canvasPointer.x;
+    const dy = e.offsetY - canvasPointer.y;
+    canvasPointer.x = e.offsetX;
+    canvasPointer.y = e.offsetY;
+    
+    const force = Math.max(-20, Math.min(20, dy)) * 0.3 + Math.min(20, Math.abs(dx)) * 0.15;
+    disturbWaterSurface(e.offsetX, force, 16);
+}
+
+/**
+ * 松开或取消指针 - 结束拖动
+ * @param {PointerEvent} e
+ */
+function handleCanvasPointerUp(e) {
+    if (canvasPointer && e.pointerId === canvasPointer.id) {
+        canvasPointer = null;
     }
 }
 
+/**
+ * 从设置输入读取计时配置
+ * @returns {Object} 计时核心配置（秒）
+ */
+function readTimerConfig() {
+    return {
+        focusDuration: focusTimeInput.value * 60,
+        breakDuration: breakTimeInput.value * 60,
+        longBreakDuration: longBreakTimeInput.value * 60,
+        longBreakInterval: Number(longBreakIntervalInput.value),
+        autoStartBreak: autoStartBreakInput.checked,
+        autoStartFocus: autoStartFocusInput.checked,
+        reminderInterval: waveReminderInput.value * 60
+    };
+}
+
+/**
+ * 将设置应用到计时核心（计时中的阶段从下一阶段开始生效）
+ */
+function applyTimerSettings() {
+    timerCore.configure(readTimerConfig());
+    updateCycleCounter();
+}
+
+/**
+ * 订阅计时核心事件
+ */
+function bindTimerCoreEvents() {
+    timerCore.on('statechange', handleTimerStateChange);
+    timerCore.on('phaseStart', handlePhaseStart);
+    timerCore.on('tick', handleTimerTick);
+    timerCore.on('reminder', showWaveReminder);
+    timerCore.on('phaseEnd', switchMode);
+    timerCore.on('sessionEnd', recordSession);
+    timerCore.on('extend', handleTimerExtend);
+    timerCore.on('pause', announceTimerPause);
+    timerCore.on('resume', announceTimerResume);
+    timerCore.on('reset', announceTimerReset);
+    
+    // 状态变化或提醒后重新安排系统通知
+    timerCore.on('statechange', scheduleSystemNotifications);
+    timerCore.on('reminder', scheduleSystemNotifications);
+}
+
 /**
  * 启动计时器
  */
 function startTimer() {
-    if (!isRunning && !isPaused) {
-        // 首次启动
-        timeLeft = focusTimeInput.value * 60;
-        totalTime = timeLeft;
-        lastReminderTime = timeLeft;
-        lastAttentionBoostTime = timeLeft;
-        isFocusMode = true;
-        attentionIntensity = 1.0; // 重置注意力强度
-        updateSessionType();
-    }
-    
-    if (!isRunning) {
-        isRunning = true;
-        isPaused = false;
-        
-        // 更新波浪颜色和速度以反映专注模式
-        waveColor = isFocusMode ? '#e74c3c' : '#27ae60';
-        waveSpeed = isFocusMode ? 0.02 : 0.04;
-        
-        timer = setInterval(() => {
-            if (timeLeft > 0) {
-                timeLeft--;
-                updateTimerDisplay();
-                updateProgressBar();
-                
-                // 检查是否需要波浪提醒（仅在专注模式下）
-                if (isFocusMode && shouldShowWaveReminder()) {
-                    showWaveReminder();
-                }
-                
-                // 更新波浪高度反映剩余时间
-                updateWaveHeight();
-                
-                // 模拟注意力波动（仅在专注模式下）
-                if (isFocusMode) {
-                    simulateAttentionFluctuation();
-                }
-            } else {
-                // 计时结束，切换模式
-                switchMode();
-            }
-        }, 1000);
-    }
+    audioEngine.unlock();
+    applyTimerSettings();
+    timerCore.start();
 }
 
 /**
  * 暂停计时器
  */
 function pauseTimer() {
-    if (isRunning) {
-        clearInterval(timer);
-        isRunning = false;
-        isPaused = true;
-        waveSpeed = 0.01; // 暂停时减缓波浪速度
-    }
+    timerCore.pause();
 }
 
 /**
  * 重置计时器
  */
 function resetTimer() {
-    clearInterval(timer);
-    isRunning = false;
-    isPaused = false;
-    isFocusMode = true;
-    
-    timeLeft = focusTimeInput.value * 60;
-    totalTime = timeLeft;
-    lastReminderTime = timeLeft;
-    
-    updateTimerDisplay();
-    updateSessionType();
-    updateProgressBar();
-    
-    // 重置波浪
-    waveColor = '#3498db';
-    waveSpeed = 0.02;
-    waveHeight = 0;
+    timerCore.reset();
     
     // 隐藏完成动画
-    if (completionAnimation) {
-        completionAnimation.classList.add('hidden');
-    }
+    hideCompletionAnimation();
 }
 
 /**
- * 更新计时器显示
+ * 开始或暂停计时（空格键）
  */
-function updateTimerDisplay() {
-    const minutes = Math.floor(timeLeft / 60).toString().padStart(2, '0');
-    const seconds = (timeLeft % 60).toString().padStart(2, '0');
-    timeLeftElement.textContent = `${minutes}:${seconds}`;
-    
-    // 更新容器类以改变颜色
-    document.querySelector('.container').className = 'container ' + 
-        (isFocusMode ? 'focus-mode' : 'break-mode');
+function toggleTimer() {
+    if (timerCore.isRunning) {
+        pauseTimer();
+    } else {
+        startTimer();
+    }
 }
 
 /**
- * 更新会话类型显示
+ * 跳过当前阶段
  */
-function updateSessionType() {
-    sessionTypeElement.textContent = isFocusMode ? '专注时间' : '休息时间';
+function skipPhase() {
+    timerCore.skip();
+    showNotification(t('notify.skipped', { phase: getPhaseTitle(timerCore.phase) }));
 }
 
 /**
- * 切换专注/休息模式
+ * 延长或缩短当前阶段
+ * @param {number} seconds - 正数延长，负数缩短
  */
-function switchMode() {
-    isFocusMode = !isFocusMode;
-    
-    if (isFocusMode) {
-        timeLeft = focusTimeInput.value * 60;
-        lastReminderTime = timeLeft;
-        lastAttentionBoostTime = timeLeft;
-        attentionIntensity = 1.0; // 重置注意力强度
-        rippleEffects = []; // 清空波纹效果
-    } else {
-        timeLeft = breakTimeInput.value * 60;
+function extendPhase(seconds) {
+    if (timerCore.isIdle) {
+        showNotification(t('notify.adjustIdle'));
+        return;
     }
     
-    totalTime = timeLeft;
-    updateSessionType();
-    updateTimerDisplay();
-    
-    // 播放提示音
-    playNotificationSound();
-    
-    // 显示通知
-    showNotification(isFocusMode ? '开始专注！' : '休息一下吧！');
-    
-    // 显示完成动画
-    showCompletionAnimation(isFocusMode ? '专注完成！' : '休息完成！');
-    
-    // 触发模式切换动画效果
-    triggerModeTransition();
-    
-    // 更新波浪属性
-    waveColor = isFocusMode ? '#e74c3c' : '#27ae60';
-    waveSpeed = isFocusMode ? 0.02 : 0.04;
-    
-    // 添加模式切换粒子效果
-    addModeTransitionParticles();
-    
-    // 添加模式切换波纹效果
-    addModeTransitionRipples();
+    const delta = timerCore.extend(seconds);
+    if (delta === 0) {
+        showNotification(t('notify.cannotShorten'));
+        return;
+    }
+    const amount = Math.abs(delta) % 60 === 0 ?
+        t('duration.minutes', { count: Math.abs(delta) / 60 }) :
+        t('duration.seconds', { count: Math.abs(delta) });
+    showNotification(t(delta > 0 ? 'notify.extended' : 'notify.shortened', { amount }));
 }
 
 /**
- * 触发模式切换动画
+ * 阶段被延长或缩短 - 重新安排提示音和系统通知
  */
-function triggerModeTransition() {
-    // 添加画布闪烁效果
-    const flashDuration = 300; // 毫秒
-    const flashInterval = 50;   // 闪烁间隔
-    let flashCount = 0;
-    const maxFlashes = 3;
-    
-    const flashEffect = setInterval(() => {
-        if (flashCount < maxFlashes) {
-            // 交替设置透明度
-            const isVisible = flashCount % 2 === 0;
-            ctx.globalAlpha = isVisible ? 0.8 : 0.3;
-            
-            // 填充全屏颜色
-            ctx.fillStyle = isFocusMode ? 'rgba(231, 76, 60, 0.1)' : 'rgba(39, 174, 96, 0.1)';
-            ctx.fillRect(0, 0, waveCanvas.width, waveCanvas.height);
-            
-            ctx.globalAlpha = 1.0; // 重置透明度
-            flashCount++;
-        } else {
-            clearInterval(flashEffect);
-            // 清除画布，准备正常渲染
-            ctx.clearRect(0, 0, waveCanvas.width, waveCanvas.height);
-        }
-    }, flashInterval);
+function handleTimerExtend() {
+    // 调整时长不算经过播报刻度
+    lastTickTimeLeft = timerCore.timeLeft;
+    updateWaveHeight();
+    updateAudioCues();
+    scheduleSystemNotifications();
+    saveTimerState();
 }
 
 /**
- * 添加模式切换粒子效果
+ * 切换静音（与设置面板中的静音开关同步）
  */
-function addModeTransitionParticles() {
-    const particleCount = 30;
-    const centerX = waveCanvas.width / 2;
-    const centerY = waveCanvas.height / 2;
-    
-    for (let i = 0; i < particleCount; i++) {
-        // 计算发射角度
-        const angle = (i / particleCount) * Math.PI * 2;
-        const speed = 3 + Math.random() * 3;
-        
-        // 创建切换粒子
-        const particle = {
-            x: centerX,
-            y: centerY,
-            size: 2 + Math.random() * 4,
-            color: isFocusMode ? '#e74c3c' : '#27ae60',
-            alpha: 0.7 + Math.random() * 0.3,
-            life: 100 + Math.random() * 50,
-            decay: 1.5 + Math.random() * 1,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            applyGravity: false
-        };
-        
-        particleSystem.push(particle);
-    }
+function toggleMute() {
+    muteInput.checked = !muteInput.checked;
+    muteInput.dispatchEvent(new Event('change'));
+    showNotification(t(muteInput.checked ? 'notify.muted' : 'notify.unmuted'));
 }
 
 /**
- * 检查是否应该显示波浪提醒
- * @returns {boolean} 是否应该显示提醒
+ * 滚动到页面中的面板并把焦点移到其中的控件
+ * @param {string} panelId - 面板元素 id
+ * @param {HTMLElement} focusTarget - 获得焦点的控件
  */
-function shouldShowWaveReminder() {
-    const reminderInterval = waveReminderInput.value * 60;
-    return timeLeft % reminderInterval === 0 && timeLeft < lastReminderTime && timeLeft > 0;
+function revealElement(panelId, focusTarget) {
+    const panel = document.getElementById(panelId);
+    if (panel) {
+        panel.scrollIntoView({ behavior: renderingQuality.motion ? 'smooth' : 'auto', block: 'start' });
+    }
+    if (focusTarget) focusTarget.focus({ preventScroll: true });
 }
 
 /**
- * 显示波浪提醒
+ * 执行命令
+ * @param {string} id - 命令 id（见 COMMANDS）
  */
-function showWaveReminder() {
-    lastReminderTime = timeLeft;
-    showNotification('注意力提醒：该调整一下啦！');
-    
-    // 临时加快波浪动画
-    const originalSpeed = waveSpeed;
-    waveSpeed = 0.05;
-    
-    // 恢复注意力强度
-    attentionIntensity = 1.0;
-    lastAttentionBoostTime = timeLeft;
-    
-    // 添加波纹效果
-    addRippleEffect();
-    
-    // 3秒后恢复原速度
-    setTimeout(() => {
-        waveSpeed = originalSpeed;
-    }, 3000);
+function runCommand(id) {
+    const command = COMMANDS[id];
+    if (!command) return;
+    audioEngine.unlock();
+    command.run();
 }
 
 /**
- * 显示通知
- * @param {string} message 通知内容
+ * 是否为可输入文字的元素（其中的按键不触发单键快捷键）
+ * @param {Element} element
+ * @returns {boolean}
  */
-function showNotification(message) {
-    notificationElement.textContent = message;
-    notificationElement.classList.remove('hidden');
-    
-    // 3秒后隐藏通知
-    setTimeout(() => {
-        notificationElement.classList.add('hidden');
-    }, 3000);
+function isEditableElement(element) {
+    if (!element) return false;
+    return /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName) || element.isContentEditable;
 }
 
 /**
- * 播放通知音效（简单的蜂鸣）
+ * 全局快捷键
+ * 输入框中只响应带 Ctrl / Alt / Meta 的快捷键；按钮上的空格保留按钮自身的点击行为
+ * @param {KeyboardEvent} e
  */
-function playNotificationSound() {
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
+function handleShortcutKey(e) {
+    if (e.defaultPrevented || recordingShortcut || !commandPaletteElement.classList.contains('hidden')) return;
     
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    const shortcut = getShortcutFromEvent(e);
+    const command = findShortcutCommand(shortcutBindings, shortcut);
+    if (!command) return;
     
-    oscillator.frequency.value = isFocusMode ? 800 : 600; // 专注开始高音，休息开始低音
-    oscillator.type = 'sine';
+    const hasModifier = e.ctrlKey || e.altKey || e.metaKey;
+    if (!hasModifier && isEditableElement(e.target)) return;
+    if (shortcut === 'Space' && e.target && e.target.tagName === 'BUTTON') return;
     
-    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+    // 按住不放时只有延长和缩短会重复执行
+    if (e.repeat && command !== 'extend' && command !== 'shorten') return;
     
-    oscillator.start();
-    oscillator.stop(audioContext.currentTime + 0.5);
+    e.preventDefault();
+    runCommand(command);
 }
 
 /**
- * 更新波浪高度，反映剩余时间
+ * 从本地存储加载快捷键
  */
-function updateWaveHeight() {
-    const percentageLeft = timeLeft / totalTime;
-    // 波浪高度从0到60变化，剩余时间越少波浪越低
-    // 使用缓动函数使变化更自然
-    waveHeight = easeOutQuad(percentageLeft) * 60;
-    
-    // 根据注意力强度调整波浪高度
-    waveHeight = waveHeight * attentionIntensity;
+function loadShortcuts() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(SHORTCUTS_KEY));
+    } catch (e) {
+        saved = null;
+    }
+    shortcutBindings = normalizeShortcutBindings(saved);
+    renderShortcutSettings();
 }
 
 /**
- * 缓动函数 - 二次方缓出
- * @param {number} t - 0到1之间的值
- * @returns {number} 缓动后的值
+ * 保存快捷键到本地存储
  */
-function easeOutQuad(t) {
-    return t * (2 - t);
+function saveShortcuts() {
+    try {
+        localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcutBindings));
+    } catch (e) {
+        // 本地存储不可用时只在本次会话中生效
+    }
 }
 
 /**
- * 启动波浪动画
+ * 渲染快捷键设置列表，并把快捷键标注到对应的按钮上
  */
-function startWaveAnimation() {
-    // 初始化粒子系统
-    initParticleSystem();
+function renderShortcutSettings() {
+    shortcutListElement.innerHTML = '';
     
-    function animate(timestamp) {
-        // 性能优化：限制更新频率
-        if (!lastUpdateTime || timestamp - lastUpdateTime > 16) { // 约60fps
-            lastUpdateTime = timestamp;
-            
-            ctx.clearRect(0, 0, waveCanvas.width, waveCanvas.height);
-            
-            // 绘制渐变背景，随模式变化
-            drawBackgroundGradient();
-            
-            // 绘制波浪
-            drawWave();
-            
-            // 更新波浪偏移，根据状态动态调整速度
-            updateWaveOffset();
-            
-            // 更新和绘制粒子系统
-            updateAndDrawParticles();
+    Object.keys(COMMANDS).forEach(id => {
+        const shortcut = shortcutBindings[id];
+        const item = document.createElement('li');
+        item.className = 'shortcut-item';
+        
+        const label = document.createElement('span');
+        label.textContent = getCommandLabel(id);
+        
+        const keyButton = document.createElement('button');
+        keyButton.type = 'button';
+        keyButton.className = 'panel-button shortcut-key';
+        keyButton.dataset.command = id;
+        if (recordingShortcut === id) {
+            keyButton.classList.add('recording');
+            keyButton.textContent = t('shortcuts.recording');
+        } else {
+            keyButton.textContent = shortcut ? getShortcutText(shortcut) : t('shortcuts.unset');
         }
+        keyButton.setAttribute('aria-label', t('shortcuts.edit', {
+            command: getCommandLabel(id),
+            key: shortcut ? getShortcutText(shortcut) : t('shortcuts.unset')
+        }));
+        keyButton.addEventListener('click', () => startShortcutRecording(id));
+        keyButton.addEventListener('blur', () => {
+            if (recordingShortcut === id) stopShortcutRecording();
+        });
         
-        requestAnimationFrame(animate);
-    }
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'panel-button shortcut-clear';
+        clearButton.textContent = t('shortcuts.clear');
+        clearButton.disabled = !shortcut;
+        clearButton.setAttribute('aria-label', t('shortcuts.clearLabel', { command: getCommandLabel(id) }));
+        clearButton.addEventListener('click', () => assignShortcut(id, ''));
+        
+        item.append(label, keyButton, clearButton);
+        shortcutListElement.appendChild(item);
+    });
     
-    animate();
+    // 屏幕阅读器可读出按钮的快捷键
+    [startBtn, pauseBtn].forEach(button => {
+        button.setAttribute('aria-keyshortcuts', getAriaKeyShortcut(shortcutBindings.toggleTimer));
+    });
+    resetBtn.setAttribute('aria-keyshortcuts', getAriaKeyShortcut(shortcutBindings.reset));
 }
 
 /**
- * 绘制渐变背景
+ * 开始为命令录制快捷键：下一次按键成为新的快捷键，Esc 取消，Backspace / Delete 清除
+ * @param {string} id - 命令 id
  */
-function drawBackgroundGradient() {
-    const gradient = ctx.createLinearGradient(0, 0, waveCanvas.width, waveCanvas.height);
+function startShortcutRecording(id) {
+    recordingShortcut = id;
+    shortcutMessageElement.textContent = t('shortcuts.prompt', { command: getCommandLabel(id) });
+    renderShortcutSettings();
+    focusShortcutButton(id);
+}
+
+/**
+ * 结束录制快捷键
+ */
+function stopShortcutRecording() {
+    recordingShortcut = null;
+    renderShortcutSettings();
+}
+
+/**
+ * 把焦点移回快捷键列表中的按钮（重新渲染后按钮会被替换）
+ * @param {string} id - 命令 id
+ */
+function focusShortcutButton(id) {
+    const button = shortcutListElement.querySelector(`[data-command="${id}"]`);
+    if (button) button.focus();
+}
+
+/**
+ * 录制快捷键时处理按键（捕获阶段，优先于其他快捷键）
+ * @param {KeyboardEvent} e
+ */
+function handleShortcutRecording(e) {
+    if (!recordingShortcut) return;
     
-    if (isFocusMode) {
-        // 专注模式背景：深蓝色到浅蓝色
-        gradient.addColorStop(0, isRunning && !isPaused ? 'rgba(231, 76, 60, 0.05)' : 'rgba(52, 73, 94, 0.05)');
-        gradient.addColorStop(1, isRunning && !isPaused ? 'rgba(230, 126, 34, 0.05)' : 'rgba(52, 152, 219, 0.05)');
-    } else {
-        // 休息模式背景：绿色到青色
-        gradient.addColorStop(0, 'rgba(39, 174, 96, 0.05)');
-        gradient.addColorStop(1, 'rgba(26, 188, 156, 0.05)');
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const id = recordingShortcut;
+    if (e.key === 'Escape') {
+        stopShortcutRecording();
+        shortcutMessageElement.textContent = t('shortcuts.cancelled');
+        focusShortcutButton(id);
+        return;
+    }
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+        stopShortcutRecording();
+        assignShortcut(id, '');
+        return;
     }
     
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, waveCanvas.width, waveCanvas.height);
+    const shortcut = getShortcutFromEvent(e);
+    if (!shortcut) return; // 只按下了修饰键，继续等待
+    stopShortcutRecording();
+    assignShortcut(id, shortcut);
 }
 
 /**
- * 更新波浪偏移
+ * 为命令设置快捷键，与其他命令或保留按键冲突时不做修改并提示
+ * @param {string} id - 命令 id
+ * @param {string} shortcut - 快捷键文本，空字符串表示清除
  */
-function updateWaveOffset() {
-    // 根据时间和状态动态调整波浪速度
-    let dynamicSpeed = waveSpeed;
-    
-    // 如果在专注模式且活跃，波浪速度会有轻微变化，模拟注意力波动
-    if (isFocusMode && isRunning && !isPaused) {
-        // 添加小的周期性变化
-        dynamicSpeed += Math.sin(waveOffset * 0.1) * 0.002;
-        // 根据注意力强度调整速度
-        dynamicSpeed = dynamicSpeed * (0.8 + attentionIntensity * 0.2);
+function assignShortcut(id, shortcut) {
+    const conflict = findShortcutConflict(shortcutBindings, id, shortcut);
+    if (conflict) {
+        const key = getShortcutText(shortcut);
+        shortcutMessageElement.textContent = conflict.reserved ?
+            t('shortcuts.reserved', { key, reason: t(`shortcuts.reason.${conflict.reserved}`) }) :
+            t('shortcuts.taken', { key, command: getCommandLabel(conflict.command) });
+        focusShortcutButton(id);
+        return;
     }
     
-    waveOffset += dynamicSpeed;
-    
-    // 更新波纹效果
-    updateRippleEffects();
+    shortcutBindings = Object.assign({}, shortcutBindings, { [id]: shortcut });
+    saveShortcuts();
+    renderShortcutSettings();
+    shortcutMessageElement.textContent = shortcut ?
+        t('shortcuts.assigned', { command: getCommandLabel(id), key: getShortcutText(shortcut) }) :
+        t('shortcuts.cleared', { command: getCommandLabel(id) });
+    focusShortcutButton(id);
 }
 
 /**
- * 初始化粒子系统
+ * 恢复默认快捷键
  */
-function initParticleSystem() {
-    particleSystem = [];
+function resetShortcuts() {
+    recordingShortcut = null;
+    shortcutBindings = normalizeShortcutBindings(null);
+    saveShortcuts();
+    renderShortcutSettings();
+    shortcutMessageElement.textContent = t('shortcuts.restored');
 }
 
 /**
- * 更新和绘制粒子系统
+ * 打开命令面板
  */
-function updateAndDrawParticles() {
-    const currentTime = Date.now();
+function openCommandPalette() {
+    if (!commandPaletteElement.classList.contains('hidden')) return;
     
-    // 如果活跃，定期添加新粒子
-    if (isRunning && !isPaused) {
-        if (currentTime % 100 < 20) { // 约每5帧添加一次粒子
-            addRandomParticles(1);
-        }
+    paletteReturnFocus = document.activeElement;
+    commandPaletteElement.classList.remove('hidden');
+    commandSearchInput.value = '';
+    paletteIndex = 0;
+    renderCommandList();
+    commandSearchInput.focus();
+}
+
+/**
+ * 关闭命令面板，焦点回到打开前的位置
+ */
+function closeCommandPalette() {
+    if (commandPaletteElement.classList.contains('hidden')) return;
+    
+    commandPaletteElement.classList.add('hidden');
+    if (paletteReturnFocus && typeof paletteReturnFocus.focus === 'function') {
+        paletteReturnFocus.focus();
     }
+    paletteReturnFocus = null;
+}
+
+/**
+ * 按搜索内容筛选并渲染命令列表（匹配名称、命令 id 和快捷键）
+ */
+function renderCommandList() {
+    const query = commandSearchInput.value.trim().toLowerCase();
+    paletteCommands = Object.keys(COMMANDS).filter(id => {
+        if (id === 'commandPalette') return false;
+        const text = `${getCommandLabel(id)} ${id} ${getShortcutText(shortcutBindings[id])}`.toLowerCase();
+        return !query || query.split(/\s+/).every(word => text.includes(word));
+    });
+    paletteIndex = Math.min(paletteIndex, Math.max(0, paletteCommands.length - 1));
     
-    // 更新和绘制所有粒子
-    for (let i = particleSystem.length - 1; i >= 0; i--) {
-        const particle = particleSystem[i];
-        
-        // 更新粒子位置
-        particle.x += particle.vx;
-        particle.y += particle.vy;
-        
-        // 更新粒子生命周期
-        particle.life -= particle.decay;
+    commandListElement.innerHTML = '';
+    paletteCommands.forEach((id, index) => {
+        const item = document.createElement('li');
+        item.id = `command-${id}`;
+        item.className = 'command-item';
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(index === paletteIndex));
         
-        // 应用重力效果
-        if (particle.applyGravity) {
-            particle.vy += 0.02;
-        }
+        const label = document.createElement('span');
+        label.textContent = getCommandLabel(id);
+        item.appendChild(label);
         
-        // 如果粒子生命周期结束，从数组中移除
-        if (particle.life <= 0) {
-            particleSystem.splice(i, 1);
-            continue;
+        if (shortcutBindings[id]) {
+            const key = document.createElement('kbd');
+            key.textContent = getShortcutText(shortcutBindings[id]);
+            item.appendChild(key);
         }
         
-        // 绘制粒子
-        drawParticle(particle);
-    }
+        item.addEventListener('click', () => runPaletteCommand(id));
+        item.addEventListener('mousemove', () => {
+            if (paletteIndex !== index) selectPaletteCommand(index);
+        });
+        commandListElement.appendChild(item);
+    });
     
-    // 限制粒子数量，避免性能问题
-    if (particleSystem.length > 100) {
-        particleSystem = particleSystem.slice(-100);
+    if (!paletteCommands.length) {
+        const empty = document.createElement('li');
+        empty.className = 'command-empty';
+        empty.textContent = t('palette.empty');
+        commandListElement.appendChild(empty);
     }
+    updatePaletteSelection();
 }
 
 /**
- * 添加随机粒子
- * @param {number} count - 要添加的粒子数量
+ * 选中命令面板中的某一项
+ * @param {number} index - 位置
  */
-function addRandomParticles(count) {
-    const canvasWidth = waveCanvas.width;
-    const canvasHeight = waveCanvas.height;
-    const centerY = canvasHeight / 2;
-    
-    for (let i = 0; i < count; i++) {
-        // 在波浪顶部附近生成粒子
-        const x = Math.random() * canvasWidth;
-        const phase = (x * 0.035 + waveOffset * 2.0) % (Math.PI * 2);
-        const y = centerY + Math.sin(phase) * (waveHeight * 0.4) - 15;
-        
-        // 创建粒子对象
-        const particle = {
-            x: x,
-            y: y,
-            size: 1 + Math.random() * 3,
-            color: waveColor,
-            alpha: 0.4 + Math.random() * 0.3,
-            life: 60 + Math.random() * 120,
-            decay: 0.8 + Math.random() * 0.4,
-            vx: (Math.random() - 0.5) * 1.5,
-            vy: -1 - Math.random() * 2,
-            applyGravity: true
-        };
-        
-        particleSystem.push(particle);
+function selectPaletteCommand(index) {
+    if (!paletteCommands.length) return;
+    paletteIndex = (index + paletteCommands.length) % paletteCommands.length;
+    commandListElement.querySelectorAll('[role="option"]').forEach((item, itemIndex) => {
+        item.setAttribute('aria-selected', String(itemIndex === paletteIndex));
+    });
+    updatePaletteSelection();
+}
+
+/**
+ * 同步选中项到搜索框的 aria-activedescendant，并滚动到可见位置
+ */
+function updatePaletteSelection() {
+    const id = paletteCommands[paletteIndex];
+    if (!id) {
+        commandSearchInput.removeAttribute('aria-activedescendant');
+        return;
     }
+    commandSearchInput.setAttribute('aria-activedescendant', `command-${id}`);
+    const item = document.getElementById(`command-${id}`);
+    if (item) item.scrollIntoView({ block: 'nearest' });
 }
 
 /**
- * 绘制单个粒子
- * @param {Object} particle - 粒子对象
+ * 关闭命令面板后执行命令
+ * @param {string} id - 命令 id
  */
-function drawParticle(particle) {
-    ctx.save();
+function runPaletteCommand(id) {
+    closeCommandPalette();
+    runCommand(id);
+}
+
+/**
+ * 命令面板中的按键：↑ ↓ 选择，Enter 执行，Esc 关闭；焦点保持在搜索框中
+ * @param {KeyboardEvent} e
+ */
+function handleCommandPaletteKey(e) {
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            selectPaletteCommand(paletteIndex + 1);
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            selectPaletteCommand(paletteIndex - 1);
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (paletteCommands[paletteIndex]) runPaletteCommand(paletteCommands[paletteIndex]);
+            break;
+        case 'Escape':
+            e.preventDefault();
+            closeCommandPalette();
+            break;
+        case 'Tab':
+            // 面板中只有搜索框可以获得焦点
+            e.preventDefault();
+            break;
+    }
+}
+
+/**
+ * 计时状态变化 - 更新波浪外观并保存状态
+ * @param {Object} detail - { status, phase }
+ */
+function handleTimerStateChange(detail) {
+    // 更新波浪颜色以反映当前模式
+    waveColor = getWaveColor();
     
-    // 设置粒子颜色和透明度
-    const color = particle.color.replace(')', `, ${particle.alpha * (particle.life / 100)})`).replace('rgb', 'rgba');
+    if (detail.status === TIMER_STATUS.RUNNING) {
+        waveSpeed = timerCore.isFocus ? 0.02 : 0.04;
+        updateWaveHeight(); // 新阶段开始时立即升起，不等下一次计时刷新
+    } else if (detail.status === TIMER_STATUS.PAUSED) {
+        waveSpeed = 0.01; // 暂停时减缓波浪速度
+    } else {
+        // 重置波浪
+        waveSpeed = 0.02;
+        waveHeight = 0;
+    }
     
-    ctx.fillStyle = color;
-    ctx.beginPath();
+    // 背景音只在专注计时中播放，暂停或休息时淡出
+    audioEngine.setAmbientActive(timerCore.isRunning && timerCore.isFocus);
+    updateAudioCues();
+    updateBreathingGuide();
     
-    // 绘制圆形粒子
-    ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-    ctx.fill();
+    // 专注阶段结束或重置后收起未回答的自评
+    if (pendingCheckIn && (timerCore.isIdle || !timerCore.isFocus)) {
+        hideCheckInPrompt();
+    }
     
-    // 添加光晕效果
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 0.5;
-    ctx.stroke();
+    updateSessionType();
+    updateTimerDisplay();
+    updateProgressBar();
+    updateWaveDescription();
     
-    ctx.restore();
+    // 空闲状态也保存，以便刷新后保留等待开始的阶段和周期进度
+    saveTimerState();
 }
 
 /**
- * 绘制波浪
- * 增强版：多层波浪、物理模拟、波纹效果、动态光效
+ * 新阶段开始计时
+ * @param {Object} detail - { phase, totalTime }
  */
-function drawWave() {
-    const canvasWidth = waveCanvas.width;
-    const canvasHeight = waveCanvas.height;
-    const centerY = canvasHeight / 2;
-    
-    // 根据模式和时间调整波浪参数
-    const baseHeight = waveHeight;
-    const isActive = isRunning && !isPaused;
+function handlePhaseStart(detail) {
+    if (detail.phase === TIMER_PHASE.FOCUS) {
+        attentionIntensity = 1.0; // 重置注意力强度
+        lastAttentionBoostTime = detail.totalTime;
+        
+        // 专注会话归属于开始时选择的任务
+        sessionTaskId = activeTaskId;
+        sessionCheckIns = [];
+    } else {
+        sessionBreathCycles = 0;
+    }
     
-    // 根据状态动态调整波浪参数
-    const waveIntensity = isActive ? 1.0 : 0.6;
+    lastTickTimeLeft = detail.totalTime;
+    announce(t('announce.phaseStart', {
+        phase: getPhaseTitle(detail.phase),
+        duration: formatSpokenDuration(detail.totalTime, i18n)
+    }));
+    if (sonifiedProgressInput.checked) {
+        audioEngine.playProgressCue(0, detail.phase === TIMER_PHASE.FOCUS);
+    }
+}
+
+/**
+ * 计时刷新 - 更新显示、波浪和注意力模拟
+ */
+function handleTimerTick() {
+    updateTimerDisplay();
+    updateProgressBar();
     
-    // 绘制底层波浪阴影（增加深度感）
-    if (isActive) {
-        drawWaveShadow(canvasWidth, canvasHeight, centerY, baseHeight * 0.8 * waveIntensity);
+    if (timerCore.isIdle) {
+        updateWaveDescription();
+        return;
     }
     
-    // 绘制多层波浪，增加层次感
-    // 第一层波浪（底层）- 更宽广、移动更慢
-    drawSingleWave(
-        canvasWidth, 
-        canvasHeight, 
-        centerY, 
-        baseHeight * 0.9 * waveIntensity, 
-        0.012, 
-        0.8, 
-        getColorWithAlpha(waveColor, 0.2), 
-        getColorWithAlpha(waveColor, 0.05)
-    );
-    
-    // 第二层波浪（中层）- 中等大小和速度
-    drawSingleWave(
-        canvasWidth, 
-        canvasHeight, 
-        centerY, 
-        baseHeight * 0.7 * waveIntensity, 
-        0.020, 
-        1.3, 
-        getColorWithAlpha(waveColor, 0.35), 
-        getColorWithAlpha(waveColor, 0.1)
-    );
-    
-    // 第三层波浪（顶层）- 更小、更快，更明显
-    drawSingleWave(
-        canvasWidth, 
-        canvasHeight, 
-        centerY, 
-        baseHeight * 0.5 * waveIntensity, 
-        0.030, 
-        1.8, 
-        getColorWithAlpha(waveColor, 0.5), 
-        getColorWithAlpha(waveColor, 0.2)
-    );
+    // 更新波浪高度反映剩余时间
+    updateWaveHeight();
     
-    // 绘制波纹效果
-    drawRippleEffects();
+    // 模拟注意力波动（仅在专注模式下）
+    if (timerCore.isFocus && timerCore.isRunning) {
+        simulateAttentionFluctuation();
+    }
     
-    // 绘制波浪顶部高光
-    drawWaveHighlight(canvasWidth, centerY, baseHeight * 0.4 * waveIntensity);
+    updateAudioCues();
+    updateBreathingGuide();
+    updateWaveDescription();
+    announceProgress();
     
-    // 绘制波浪顶部边框（仅在最上层）
-    drawWaveBorder(canvasWidth, centerY, baseHeight * 0.5 * waveIntensity);
+    // 后台时定期重新发送通知计划，避免 Service Worker 被回收
+    if (document.hidden && systemNotificationsInput.checked && systemNotifier.needsKeepAlive()) {
+        scheduleSystemNotifications();
+    }
     
-    // 绘制波浪反射效果（增强视觉深度）
-    if (isActive && baseHeight > 10) {
-        drawWaveReflection(canvasWidth, canvasHeight, centerY, baseHeight * 0.3 * waveIntensity);
+    saveTimerState();
+}
+
+/**
+ * 保存结束的会话到历史记录
+ * @param {Object} session - 计时核心发出的会话数据
+ */
+function recordSession(session) {
+    // 刚开始就重置或跳过的空会话不记录
+    if (!session.completed && session.actualDuration < 1) return;
+    
+    const taskId = session.phase === TIMER_PHASE.FOCUS ? sessionTaskId : null;
+    if (taskId) {
+        session.taskId = taskId;
+    }
+    const checkIns = session.phase === TIMER_PHASE.FOCUS ? sessionCheckIns : [];
+    if (checkIns.length > 0) {
+        session.checkIns = checkIns.slice();
     }
+    if (session.phase !== TIMER_PHASE.FOCUS && sessionBreathCycles > 0) {
+        session.breathCycles = sessionBreathCycles;
+    }
+    
+    sessionStore.add(session)
+        .then(() => {
+            refreshStatistics();
+            if (checkIns.length > 0) loadAttentionCalibration();
+            if (taskId && session.completed) {
+                return taskStore.update(taskId, task => ({
+                    completedPomodoros: (task.completedPomodoros || 0) + 1
+                })).then(loadTasks);
+            }
+        })
+        .catch(() => {
+            // IndexedDB 不可用时不记录本次会话，计时不受影响
+        });
 }
 
 /**
- * 获取带透明度的颜色
- * @param {string} color - 基础颜色
- * @param {number} alpha - 透明度（0-1）
- * @returns {string} RGBA颜色值
+ * 保存计时器状态到本地存储，用于页面刷新后恢复
  */
-function getColorWithAlpha(color, alpha) {
-    // 如果是RGB格式
-    if (color.startsWith('rgb')) {
-        return color.replace(')', `, ${alpha})`).replace('rgb', 'rgba');
+function saveTimerState() {
+    try {
+        localStorage.setItem(TIMER_STATE_KEY, JSON.stringify(Object.assign(timerCore.serialize(), {
+            lastAttentionBoostTime,
+            sessionTaskId,
+            sessionCheckIns,
+            sessionBreathCycles,
+            savedAt: Date.now()
+        })));
+    } catch (e) {
+        // 隐私模式等环境下本地存储不可用，忽略即可
     }
-    // 如果是十六进制格式，转换为RGB
-    const hex = color.replace('#', '');
-    const r = parseInt(hex.substring(0, 2), 16);
-    const g = parseInt(hex.substring(2, 4), 16);
-    const b = parseInt(hex.substring(4, 6), 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
 /**
- * 绘制单个波浪层
- * @param {number} width - 画布宽度
- * @param {number} height - 画布高度
- * @param {number} centerY - Y轴中心点
- * @param {number} waveHeight - 波浪高度
- * @param {number} frequency - 波浪频率
- * @param {number} offsetMultiplier - 偏移乘数
- * @param {string} topColor - 顶部颜色
- * @param {string} bottomColor - 底部颜色
+ * 从本地存储恢复计时器状态
+ * 运行中的会话会按结束时间戳继续，期间结束的阶段由计时核心补齐
+ * @returns {boolean} 是否恢复了会话
  */
-function drawSingleWave(width, height, centerY, waveHeight, frequency, offsetMultiplier, topColor, bottomColor) {
-    ctx.beginPath();
-    ctx.moveTo(0, centerY);
-    
-    // 创建波浪路径，使用物理模拟使波浪更自然
-    for (let x = 0; x < width; x++) {
-        // 基础波浪参数
-        const baseX = x * frequency + waveOffset * offsetMultiplier;
-        
-        // 使用多重正弦波叠加，并添加随机性，创造更自然的波浪效果
-        const mainWave = Math.sin(baseX) * waveHeight;
-        
-        // 次级波（更小、更快）
-        const secondaryWave = Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3);
-        
-        // 三级波（最细微）
-        const tertiaryWave = Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15);
-        
-        // 添加微小的随机波动，使波浪不那么规律
-        const randomVariation = Math.sin(x * 0.1 + waveOffset * 0.05) * 0.5;
-        
-        // 添加基于注意力强度的变化
-        const attentionVariation = isFocusMode && isRunning ? 
-            Math.sin(baseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0;
-        
-        // 应用波纹效果的影响
-        const rippleEffect = calculateRippleEffect(x, centerY);
-        
-        const y = centerY + mainWave + secondaryWave + tertiaryWave + randomVariation + attentionVariation + rippleEffect;
-        
-        // 使用贝塞尔曲线使波浪更平滑
-        if (x > 0 && x < width - 1) {
-            const nextX = x + 1;
-            const nextBaseX = nextX * frequency + waveOffset * offsetMultiplier;
-            const nextY = centerY + 
-                          Math.sin(nextBaseX) * waveHeight +
-                          Math.sin(nextBaseX * 1.7 + 1.2) * (waveHeight * 0.3) +
-                          Math.sin(nextBaseX * 2.5 + 0.5) * (waveHeight * 0.15) +
-                          Math.sin(nextX * 0.1 + waveOffset * 0.05) * 0.5 +
-                          (isFocusMode && isRunning ? Math.sin(nextBaseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0) +
-                          calculateRippleEffect(nextX, centerY);
-            
-            const controlPointX = (x + nextX) / 2;
-            const controlPointY = (y + nextY) / 2 + Math.sin(baseX * 0.5) * 2;
-            
-            ctx.quadraticCurveTo(x, y, controlPointX, controlPointY);
-        } else {
-            ctx.lineTo(x, y);
-        }
+function restoreTimerState() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(TIMER_STATE_KEY));
+    } catch (e) {
+        saved = null;
     }
+    if (!saved) return false;
     
-    // 闭合路径
-    ctx.lineTo(width, height);
-    ctx.lineTo(0, height);
-    ctx.closePath();
-    
-    // 创建更自然的渐变填充
-    const gradient = ctx.createLinearGradient(0, centerY - waveHeight * 1.5, 0, height);
-    gradient.addColorStop(0, topColor);
-    gradient.addColorStop(0.6, interpolateColor(topColor, bottomColor, 0.5));
-    gradient.addColorStop(1, bottomColor);
+    if (saved.lastAttentionBoostTime > 0) {
+        lastAttentionBoostTime = saved.lastAttentionBoostTime;
+    }
+    sessionTaskId = saved.sessionTaskId || null;
+    sessionCheckIns = Array.isArray(saved.sessionCheckIns) ? saved.sessionCheckIns : [];
+    sessionBreathCycles = Number.isInteger(saved.sessionBreathCycles) ? saved.sessionBreathCycles : 0;
+    return timerCore.restore(saved);
+}
+
+/**
+ * 更新计时器显示
+ */
+function updateTimerDisplay() {
+    const timeLeft = timerCore.timeLeft;
+    const minutes = Math.floor(timeLeft / 60).toString().padStart(2, '0');
+    const seconds = (timeLeft % 60).toString().padStart(2, '0');
+    timeLeftElement.textContent = `${minutes}:${seconds}`;
     
-    ctx.fillStyle = gradient;
-    ctx.fill();
+    // 更新容器类以改变颜色
+    document.querySelector('.container').className = 'container ' + 
+        (timerCore.isFocus ? 'focus-mode' : 'break-mode');
 }
 
 /**
- * 颜色插值函数
- * @param {string} color1 - 起始颜色
- * @param {string} color2 - 结束颜色
- * @param {number} factor - 插值因子（0-1）
- * @returns {string} 插值后的颜色
+ * 更新会话类型显示
  */
-function interpolateColor(color1, color2, factor) {
-    // 简化实现，假设颜色格式一致
-    if (color1.includes('rgba') && color2.includes('rgba')) {
-        const rgba1 = color1.match(/\d+/g).map(Number);
-        const rgba2 = color2.match(/\d+/g).map(Number);
-        
-        const r = Math.round(rgba1[0] + (rgba2[0] - rgba1[0]) * factor);
-        const g = Math.round(rgba1[1] + (rgba2[1] - rgba1[1]) * factor);
-        const b = Math.round(rgba1[2] + (rgba2[2] - rgba1[2]) * factor);
-        const a = rgba1[3] + (rgba2[3] - rgba1[3]) * factor;
-        
-        return `rgba(${r}, ${g}, ${b}, ${a})`;
-    }
-    return color1; // 回退到原始颜色
+function updateSessionType() {
+    sessionTypeElement.textContent = getPhaseTitle(timerCore.phase);
+    updateCycleCounter();
 }
 
 /**
- * 绘制波浪顶部高光
- * @param {number} width - 画布宽度
- * @param {number} centerY - Y轴中心点
- * @param {number} waveHeight - 波浪高度
+ * 更新番茄钟周期计数显示
  */
-function drawWaveHighlight(width, centerY, waveHeight) {
-    // 仅在波浪高度足够高时绘制高光
-    if (waveHeight < 5) return;
+function updateCycleCounter() {
+    if (!cycleCounterElement) return;
     
-    ctx.beginPath();
+    const { current, total } = timerCore.cyclePosition;
+    cycleCounterElement.textContent = total > 0 ?
+        t('timer.cycleOfTotal', { current, total }) :
+        t('timer.cycle', { current });
+}
+
+/**
+ * 切换专注/休息模式 - 响应计时核心的阶段结束事件
+ * @param {Object} detail - { phase, nextPhase, endedAt, skipped, catchingUp }
+ */
+function switchMode(detail) {
+    if (detail.nextPhase === TIMER_PHASE.FOCUS) {
+        rippleEffects = []; // 清空波纹效果
+    }
     
-    for (let x = 0; x < width; x++) {
-        const baseX = x * 0.030 + waveOffset * 1.8;
-        const y = centerY + 
+    // 补齐休眠期间的阶段时不播放音效和动画
+    if (detail.catchingUp) return;
+    
+    // 播放提示音
+    audioEngine.play(detail.phase === TIMER_PHASE.FOCUS ? 'focusEnd' : 'breakEnd');
+    
+    // 显示通知（未自动开始时提示用户手动开始下一阶段）
+    const message = t(`phaseNext.${detail.nextPhase}`);
+    showNotification(detail.autoStarted ? message : t('phaseNext.waiting', { message }));
+    
+    // 显示完成动画
+    showCompletionAnimation(t(timerCore.isFocus ? 'completion.focus' : 'completion.break'));
+    
+    // 触发模式切换动画效果（减少动态效果时不闪烁）
+    if (renderingQuality.motion) triggerModeTransition();
+    
+    // 添加模式切换粒子效果
+    if (renderingQuality.particles) addModeTransitionParticles();
+    
+    // 添加模式切换波纹效果
+    if (renderingQuality.ripples) addModeTransitionRipples();
+}
+
+/**
+ * 触发模式切换动画
+ */
+function triggerModeTransition() {
+    // 添加画布闪烁效果
+    const flashDuration = 300; // 毫秒
+    const flashInterval = 50;   // 闪烁间隔
+    let flashCount = 0;
+    const maxFlashes = 3;
+    
+    const flashEffect = setInterval(() => {
+        if (flashCount < maxFlashes) {
+            // 交替设置透明度
+            const isVisible = flashCount % 2 === 0;
+            ctx.globalAlpha = isVisible ? 0.8 : 0.3;
+            
+            // 填充全屏颜色
+            ctx.fillStyle = colorWithAlpha(getModeColor(), 0.1);
+            ctx.fillRect(0, 0, canvasSize.width, canvasSize.height);
+            
+            ctx.globalAlpha = 1.0; // 重置透明度
+            flashCount++;
+        } else {
+            clearInterval(flashEffect);
+            // 清除画布，准备正常渲染
+            ctx.clearRect(0, 0, canvasSize.width, canvasSize.height);
+        }
+    }, flashInterval);
+}
+
+/**
+ * 添加模式切换粒子效果
+ */
+function addModeTransitionParticles() {
+    const particleCount = 30;
+    const centerX = canvasSize.width / 2;
+    const centerY = canvasSize.height / 2;
+    
+    for (let i = 0; i < particleCount; i++) {
+        // 计算发射角度
+        const angle = (i / particleCount) * Math.PI * 2;
+        const speed = 3 + Math.random() * 3;
+        
+        // 创建切换粒子
+        const particle = {
+            x: centerX,
+            y: centerY,
+            size: 2 + Math.random() * 4,
+            color: getModeColor(),
+            alpha: 0.7 + Math.random() * 0.3,
+            life: 100 + Math.random() * 50,
+            decay: 1.5 + Math.random() * 1,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            applyGravity: false
+        };
+        
+        particleSystem.push(particle);
+    }
+}
+
+/**
+ * 显示波浪提醒
+ */
+function showWaveReminder() {
+    // 恢复注意力之前记下距上次恢复的时长，用于专注自评
+    const sinceBoost = Math.max(0, lastAttentionBoostTime - timerCore.timeLeft);
+    if (focusCheckInInput.checked) {
+        showCheckInPrompt(sinceBoost);
+    } else {
+        showNotification(t('notify.reminder'));
+    }
+    audioEngine.play('reminder');
+    
+    // 临时加快波浪动画
+    const originalSpeed = waveSpeed;
+    waveSpeed = 0.05;
+    
+    // 恢复注意力强度
+    attentionIntensity = 1.0;
+    lastAttentionBoostTime = timerCore.timeLeft;
+    
+    // 添加波纹效果
+    addRippleEffect();
+    
+    // 3秒后恢复原速度
+    setTimeout(() => {
+        waveSpeed = originalSpeed;
+    }, 3000);
+}
+
+/**
+ * 显示专注自评提示，一段时间未回答则自动收起
+ * @param {number} sinceBoost - 距上次注意力恢复的秒数
+ */
+function showCheckInPrompt(sinceBoost) {
+    pendingCheckIn = {
+        sinceBoost,
+        elapsed: Math.max(0, timerCore.totalTime - timerCore.timeLeft),
+        at: Date.now()
+    };
+    checkInPrompt.classList.remove('hidden');
+    
+    clearTimeout(checkInTimeout);
+    checkInTimeout = setTimeout(hideCheckInPrompt, 20000);
+}
+
+/**
+ * 收起专注自评提示（未回答的自评作废）
+ */
+function hideCheckInPrompt() {
+    pendingCheckIn = null;
+    clearTimeout(checkInTimeout);
+    checkInPrompt.classList.add('hidden');
+}
+
+/**
+ * 记录专注自评
+ * @param {number} rating - 1~5 分
+ */
+function answerCheckIn(rating) {
+    if (!pendingCheckIn || !(rating >= 1 && rating <= 5)) return;
+    
+    sessionCheckIns.push(Object.assign({ rating }, pendingCheckIn));
+    hideCheckInPrompt();
+    saveTimerState();
+    showNotification(t(rating >= 4 ? 'notify.checkInGood' : 'notify.checkInLow'));
+}
+
+/**
+ * 数字键 1~5 回答专注自评（输入框中输入时除外）
+ * @param {KeyboardEvent} e - 键盘事件
+ */
+function handleCheckInKey(e) {
+    if (!pendingCheckIn || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    
+    if (/^[1-5]$/.test(e.key)) {
+        e.preventDefault();
+        answerCheckIn(Number(e.key));
+    }
+}
+
+/**
+ * 从历史会话的专注自评拟合个人注意力曲线
+ * 用户未选择过注意力模型时，自评足够后自动改用个人校准曲线（只切换一次）
+ */
+function loadAttentionCalibration() {
+    sessionStore.query({ phase: TIMER_PHASE.FOCUS })
+        .then(sessions => {
+            const checkIns = sessions.reduce((all, session) =>
+                Array.isArray(session.checkIns) ? all.concat(session.checkIns) : all, []);
+            attentionCalibration = fitAttentionCalibration(checkIns);
+            attentionCalibrationCount = checkIns.length;
+            
+            if (attentionCalibration && !settingsState.attentionModelChosen &&
+                attentionModel.id === DEFAULT_ATTENTION_MODEL) {
+                settingsState.attentionModelChosen = true;
+                setAttentionModel('calibrated');
+                handleSettingsChange();
+                showNotification(t('attention.switchedToCalibrated', { samples: attentionCalibration.samples }));
+                return;
+            }
+            
+            // 重新创建模型以使用新的校准数据
+            setAttentionModel(attentionModel.id, attentionModel.params);
+        })
+        .catch(() => {
+            // IndexedDB 不可用时保持默认曲线
+        });
+}
+
+/**
+ * 开启或关闭系统通知（开启时请求通知权限）
+ */
+function toggleSystemNotifications() {
+    if (!systemNotificationsInput.checked) {
+        scheduleSystemNotifications();
+        handleSettingsChange();
+        return;
+    }
+    
+    systemNotifier.requestPermission().then(granted => {
+        if (!granted) {
+            systemNotificationsInput.checked = false;
+            showNotification(t(systemNotifier.isSupported ? 'notify.permissionDenied' : 'notify.unsupported'));
+        }
+        scheduleSystemNotifications();
+        handleSettingsChange();
+    });
+}
+
+/**
+ * 按当前计时状态安排阶段结束和下一次波浪提醒的系统通知
+ */
+function scheduleSystemNotifications() {
+    if (!systemNotificationsInput.checked || !timerCore.isRunning) {
+        systemNotifier.cancel(NOTIFICATION_TAG.PHASE_END);
+        systemNotifier.cancel(NOTIFICATION_TAG.REMINDER);
+        return;
+    }
+    
+    // 下一阶段不会自动开始时提供「开始」和「稍后提醒」按钮
+    const nextPhase = timerCore.upcomingPhase;
+    const startLabel = t(`phaseStart.${nextPhase}`);
+    const waiting = !timerCore.shouldAutoStart(nextPhase);
+    const actions = waiting ? [
+        { action: nextPhase === TIMER_PHASE.FOCUS ? 'start-focus' : 'start-break', title: startLabel },
+        { action: 'snooze', title: t('system.snooze') }
+    ] : [];
+    systemNotifier.schedule(NOTIFICATION_TAG.PHASE_END, {
+        at: timerCore.phaseEndTime,
+        title: timerCore.isFocus ? t('completion.focus') : t('system.phaseEnd', { phase: getPhaseLabel(timerCore.phase) }),
+        body: waiting ? t('system.waiting', { action: startLabel }) : t('system.autoStarted', { phase: getPhaseLabel(nextPhase) }),
+        actions
+    });
+    
+    const reminderTime = timerCore.getNextReminderTime();
+    if (reminderTime) {
+        systemNotifier.schedule(NOTIFICATION_TAG.REMINDER, {
+            at: reminderTime,
+            title: t('system.reminderTitle'),
+            body: t('system.reminderBody'),
+            actions: [{ action: 'snooze', title: t('system.snooze') }]
+        });
+    } else {
+        systemNotifier.cancel(NOTIFICATION_TAG.REMINDER);
+    }
+}
+
+/**
+ * 注册 Service Worker（离线缓存和系统通知），并在新版本安装后提示更新
+ * @returns {Promise<ServiceWorkerRegistration|null>} 注册结果，不支持或失败时为 null
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    
+    let updateRequested = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // 只在用户确认更新后刷新，首次安装接管页面时不刷新
+        if (updateRequested) window.location.reload();
+    });
+    
+    const promptUpdate = worker => {
+        const updateBanner = document.getElementById('updateBanner');
+        updateBanner.classList.remove('hidden');
+        document.getElementById('updateBtn').onclick = () => {
+            updateRequested = true;
+            saveTimerState();
+            worker.postMessage({ type: 'skip-waiting' });
+        };
+    };
+    
+    return navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            // 已有控制页面的旧版本时，新版本安装完成即提示更新
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                promptUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        promptUpdate(worker);
+                    }
+                });
+            });
+            return navigator.serviceWorker.ready;
+        })
+        .catch(() => {
+            // 注册失败时不提供离线缓存和后台通知，页面照常使用
+            return null;
+        });
+}
+
+/**
+ * 处理系统通知按钮中的操作
+ * @param {string} action - start-break / start-focus
+ */
+function handleNotificationAction(action) {
+    if (!timerCore.isIdle) return;
+    
+    // 只在等待开始的阶段与按钮一致时开始，避免过期通知打乱计时
+    if ((action === 'start-focus' && timerCore.isFocus) || (action === 'start-break' && !timerCore.isFocus)) {
+        startTimer();
+    }
+}
+
+/**
+ * 处理启动链接中的操作（应用快捷方式或通知打开的页面，如 ?action=start-break），处理后从地址中移除
+ * 与通知按钮不同，快捷方式会直接切换到目标阶段开始计时
+ */
+function handleLaunchAction() {
+    const params = new URLSearchParams(window.location.search);
+    const action = params.get('action');
+    if (!action) return;
+    
+    if (action === 'start-focus' || action === 'start-break') {
+        const wantsFocus = action === 'start-focus';
+        if (timerCore.isFocus !== wantsFocus) {
+            // 暂停中的阶段没有运行中的会话可以衔接，先结束它
+            if (timerCore.isPaused) timerCore.reset();
+            if (timerCore.isFocus !== wantsFocus) timerCore.skip();
+        }
+        if (!timerCore.isRunning) {
+            startTimer();
+        }
+    }
+    
+    params.delete('action');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}
+
+/**
+ * 显示通知
+ * @param {string} message 通知内容
+ */
+function showNotification(message) {
+    notificationElement.textContent = message;
+    notificationElement.classList.remove('hidden');
+    announce(message);
+    
+    // 3秒后隐藏通知
+    setTimeout(() => {
+        notificationElement.classList.add('hidden');
+    }, 3000);
+}
+
+/**
+ * 通过 live region 向屏幕阅读器播报
+ * @param {string} message - 播报文本
+ * @param {boolean} [assertive] - 是否立即打断当前朗读
+ */
+function announce(message, assertive = false) {
+    liveAnnouncer.announce(message, { assertive });
+}
+
+/**
+ * 播报当前阶段和剩余时间
+ */
+function announceTimeLeft() {
+    const params = {
+        phase: getPhaseTitle(timerCore.phase),
+        duration: formatSpokenDuration(timerCore.timeLeft, i18n)
+    };
+    if (timerCore.isIdle) {
+        announce(t('announce.idle', params));
+    } else {
+        announce(t(timerCore.isPaused ? 'announce.pausedRemaining' : 'announce.remaining', params));
+    }
+}
+
+/**
+ * 计时暂停时播报
+ * @param {Object} detail - { timeLeft, totalTime, phase }
+ */
+function announceTimerPause(detail) {
+    announce(t('announce.paused', { duration: formatSpokenDuration(detail.timeLeft, i18n) }));
+}
+
+/**
+ * 继续计时时播报
+ * @param {Object} detail - { timeLeft, totalTime, phase }
+ */
+function announceTimerResume(detail) {
+    announce(t('announce.resumed', { duration: formatSpokenDuration(detail.timeLeft, i18n) }));
+}
+
+/**
+ * 重置时取消尚未朗读的播报
+ */
+function announceTimerReset() {
+    liveAnnouncer.clear();
+    announce(t('announce.reset'));
+}
+
+/**
+ * 计时中按设置的间隔播报剩余时间，并在开启声音化进度时定期播放进度音
+ */
+function announceProgress() {
+    const timeLeft = timerCore.timeLeft;
+    if (timerCore.isRunning) {
+        const mark = getAnnouncementMark(lastTickTimeLeft, timeLeft, Number(announceIntervalSelect.value));
+        if (mark !== null) {
+            announce(t('announce.remaining', {
+                phase: getPhaseTitle(timerCore.phase),
+                duration: formatSpokenDuration(mark, i18n)
+            }));
+        }
+        if (sonifiedProgressInput.checked &&
+            findCrossedMark(lastTickTimeLeft, timeLeft, SONIFIED_PROGRESS_INTERVAL) !== null) {
+            audioEngine.playProgressCue(timerCore.progress, timerCore.isFocus);
+        }
+    }
+    lastTickTimeLeft = timeLeft;
+}
+
+/**
+ * 更新计时画面的文字描述（只在文字变化时写入，避免屏幕阅读器反复读取）
+ */
+function updateWaveDescription() {
+    if (!waveDescriptionElement) return;
+    
+    const text = describeWaveState({
+        phase: getPhaseTitle(timerCore.phase),
+        status: timerCore.status,
+        progress: timerCore.progress,
+        waveLevel: waveHeight / 60,
+        attention: timerCore.isFocus && !timerCore.isIdle ? attentionIntensity : null
+    }, i18n);
+    if (waveDescriptionElement.textContent !== text) {
+        waveDescriptionElement.textContent = text;
+    }
+}
+
+/**
+ * 渲染屏幕阅读器播报间隔的下拉选项（切换界面语言时保留当前选择）
+ */
+function renderAccessibilityOptions() {
+    const selected = announceIntervalSelect.value;
+    announceIntervalSelect.innerHTML = '';
+    Object.keys(ANNOUNCE_INTERVALS).forEach(interval => {
+        const option = document.createElement('option');
+        option.value = interval;
+        option.textContent = i18n.label(`announceInterval.${interval}`, ANNOUNCE_INTERVALS[interval]);
+        announceIntervalSelect.appendChild(option);
+    });
+    announceIntervalSelect.value = String(selected === '' ? DEFAULT_ANNOUNCE_INTERVAL : normalizeAnnounceInterval(selected));
+}
+
+/**
+ * 翻译界面文字（使用当前界面语言）
+ * @param {string} key - 文字的键，见 i18n.js
+ * @param {Object} [params] - 替换 {name} 的参数
+ * @returns {string}
+ */
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+/**
+ * 浏览器的语言列表，按优先级排列
+ * @returns {string[]}
+ */
+function getBrowserLanguages() {
+    if (Array.isArray(navigator.languages) && navigator.languages.length > 0) return navigator.languages;
+    return navigator.language ? [navigator.language] : [];
+}
+
+/**
+ * 从本地存储读取界面语言偏好
+ * @returns {string} 'auto' 或语言代码
+ */
+function loadLocalePreference() {
+    try {
+        return normalizeLocalePreference(localStorage.getItem(LOCALE_KEY));
+    } catch (e) {
+        return DEFAULT_LOCALE_PREFERENCE;
+    }
+}
+
+/**
+ * 保存界面语言偏好到本地存储
+ */
+function saveLocalePreference() {
+    try {
+        localStorage.setItem(LOCALE_KEY, localePreference);
+    } catch (e) {
+        // 本地存储不可用时只在本次会话中生效
+    }
+}
+
+/**
+ * 渲染语言下拉选项：跟随浏览器和各语言（语言名称以该语言书写）
+ */
+function renderLanguageOptions() {
+    languageSelect.innerHTML = '';
+    const options = Object.assign({ [DEFAULT_LOCALE_PREFERENCE]: t('language.auto') }, LOCALES);
+    Object.keys(options).forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = options[value];
+        if (LOCALES[value]) option.lang = value;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = localePreference;
+}
+
+/**
+ * 按当前界面语言替换页面上的静态文字：
+ * data-i18n 替换文字内容，data-i18n-aria-label 等替换对应属性，data-i18n-params 为参数（JSON）
+ */
+function translatePage() {
+    document.documentElement.lang = i18n.locale;
+    
+    const getParams = element => (element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {});
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, getParams(element));
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`), getParams(element)));
+        });
+    });
+}
+
+/**
+ * 切换界面语言并保存偏好
+ * @param {string} preference - 'auto' 或语言代码
+ */
+function setLocale(preference) {
+    localePreference = normalizeLocalePreference(preference);
+    saveLocalePreference();
+    i18n = new Translator(resolveLocale(localePreference, getBrowserLanguages()));
+    translatePage();
+    refreshLocalizedViews();
+}
+
+/**
+ * 切换语言后重新渲染由脚本生成的文字（下拉选项、列表、状态文字、图表和已安排的系统通知）
+ */
+function refreshLocalizedViews() {
+    renderLanguageOptions();
+    renderSoundOptions();
+    renderQualityOptions();
+    updateRenderingQualityNote(renderingQuality);
+    renderThemeOptions();
+    renderVisualizationOptions();
+    renderWaveStyleControls();
+    renderBreathingOptions();
+    renderAttentionModelOptions();
+    renderAttentionParams();
+    drawAttentionPreview();
+    renderAccessibilityOptions();
+    renderShortcutSettings();
+    if (!commandPaletteElement.classList.contains('hidden')) renderCommandList();
+    renderPresetOptions();
+    renderTasks();
+    updateSessionType();
+    if (breathingState) breathingStepElement.textContent = getBreathStepLabel(breathingState);
+    renderStatistics();
+    updateWaveDescription();
+    scheduleSystemNotifications();
+}
+
+/**
+ * 命令的显示名称
+ * @param {string} id - 命令 id
+ * @returns {string}
+ */
+function getCommandLabel(id) {
+    return t(`command.${id}`);
+}
+
+/**
+ * 快捷键按界面语言的显示文本，如 "Ctrl + K"、"空格"
+ * @param {string} shortcut - 快捷键文本
+ * @returns {string}
+ */
+function getShortcutText(shortcut) {
+    return formatShortcut(shortcut, Object.assign({}, SHORTCUT_KEY_LABELS, { Space: t('key.Space') }));
+}
+
+/**
+ * 预设的显示名称：未改名的内置预设按界面语言显示，用户命名的预设保持原样
+ * @param {Object} preset - 预设
+ * @returns {string}
+ */
+function getPresetName(preset) {
+    const builtin = DEFAULT_PRESETS.find(item => item.id === preset.id);
+    return builtin && builtin.name === preset.name ? i18n.label(`preset.${preset.id}`, preset.name) : preset.name;
+}
+
+/**
+ * 引导呼吸当前步骤的显示名称
+ * @param {Object} state - getBreathingState() 的结果
+ * @returns {string}
+ */
+function getBreathStepLabel(state) {
+    return i18n.label(`breathStep.${state.step}`, state.label);
+}
+
+/**
+ * 渲染提示音和背景音的下拉选项
+ */
+function renderSoundOptions() {
+    const addOption = (select, value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+    
+    soundEventSelects.forEach(select => {
+        select.innerHTML = '';
+        Object.keys(CHIME_STYLES).forEach(style => {
+            addOption(select, style, i18n.label(`sound.${style}`, CHIME_STYLES[style].label));
+        });
+        addOption(select, 'none', i18n.label('sound.none', AMBIENT_TYPES.none.label));
+        select.value = audioEngine.sounds[select.dataset.soundEvent];
+    });
+    
+    ambientSoundSelect.innerHTML = '';
+    Object.keys(AMBIENT_TYPES).forEach(type => {
+        addOption(ambientSoundSelect, type, i18n.label(`ambient.${type}`, AMBIENT_TYPES[type].label));
+    });
+    ambientSoundSelect.value = audioEngine.ambient.type;
+}
+
+/**
+ * 获取各声音事件选择的音色
+ * @returns {Object} { focusEnd, breakEnd, reminder }
+ */
+function getSoundSelection() {
+    const sounds = {};
+    soundEventSelects.forEach(select => {
+        sounds[select.dataset.soundEvent] = select.value;
+    });
+    return sounds;
+}
+
+/**
+ * 应用设置快照中的声音设置（缺少或无效的项保持不变）
+ * @param {Object} settings - 设置快照
+ */
+function applySoundSnapshot(settings) {
+    const clampPercent = value => Math.min(100, Math.max(0, Math.round(value)));
+    if (Number.isFinite(settings.volume)) volumeInput.value = clampPercent(settings.volume);
+    if (Number.isFinite(settings.ambientVolume)) ambientVolumeInput.value = clampPercent(settings.ambientVolume);
+    if (typeof settings.muted === 'boolean') muteInput.checked = settings.muted;
+    if (typeof settings.tickingSound === 'boolean') tickingSoundInput.checked = settings.tickingSound;
+    if (typeof settings.countdownSound === 'boolean') countdownSoundInput.checked = settings.countdownSound;
+    if (AMBIENT_TYPES[settings.ambientSound]) ambientSoundSelect.value = settings.ambientSound;
+    
+    const sounds = settings.sounds && typeof settings.sounds === 'object' ? settings.sounds : {};
+    soundEventSelects.forEach(select => {
+        const style = sounds[select.dataset.soundEvent];
+        if (CHIME_STYLES[style] || style === 'none') select.value = style;
+    });
+    
+    applyAudioSettings();
+}
+
+/**
+ * 将声音设置同步到声音引擎
+ */
+function applyAudioSettings() {
+    audioEngine.setVolume(Number(volumeInput.value) / 100);
+    audioEngine.setMuted(muteInput.checked);
+    soundEventSelects.forEach(select => audioEngine.setSound(select.dataset.soundEvent, select.value));
+    audioEngine.setAmbient(ambientSoundSelect.value, Number(ambientVolumeInput.value) / 100);
+}
+
+/**
+ * 按剩余时间在音频时钟上安排滴答声和倒计时，计时未运行时取消
+ */
+function updateAudioCues() {
+    if (!timerCore.isRunning) {
+        audioEngine.cancelCues();
+        return;
+    }
+    
+    audioEngine.scheduleCues({
+        phaseEndTime: timerCore.phaseEndTime,
+        ticking: tickingSoundInput.checked && timerCore.isFocus,
+        countdown: countdownSoundInput.checked
+    });
+}
+
+/**
+ * 更新波浪高度，反映剩余时间
+ */
+function updateWaveHeight() {
+    const percentageLeft = timerCore.timeLeft / timerCore.totalTime;
+    // 波浪高度从0到60变化，剩余时间越少波浪越低
+    // 使用缓动函数使变化更自然
+    waveHeight = easeOutQuad(percentageLeft) * 60;
+    
+    // 根据注意力强度调整波浪高度
+    waveHeight = waveHeight * attentionIntensity;
+}
+
+/**
+ * 缓动函数 - 二次方缓出
+ * @param {number} t - 0到1之间的值
+ * @returns {number} 缓动后的值
+ */
+function easeOutQuad(t) {
+    return t * (2 - t);
+}
+
+/**
+ * 启动波浪动画
+ */
+function startWaveAnimation() {
+    // 初始化粒子系统
+    initParticleSystem();
+    resumeAnimation();
+}
+
+/**
+ * 动画循环：每帧记录帧间隔，按当前渲染质量限制绘制频率
+ * 背景粒子也在这里统一更新，页面在后台时整个循环暂停
+ * @param {number} timestamp - requestAnimationFrame 的时间戳（毫秒）
+ */
+function animate(timestamp) {
+    qualityManager.recordFrame(timestamp);
+    
+    if (!lastUpdateTime || timestamp - lastUpdateTime > renderingQuality.frameInterval) {
+        lastUpdateTime = timestamp;
+        
+        ctx.clearRect(0, 0, canvasSize.width, canvasSize.height);
+        
+        // 绘制渐变背景，随模式变化
+        drawBackgroundGradient();
+        
+        // 引导呼吸随帧更新，波浪与步骤标签保持同步
+        updateBreathingGuide();
+        
+        // 绘制当前选择的计时画面（调整波浪样式时临时显示波浪）
+        const rendererId = isWavePreviewing() ? 'wave' : visualRendererId;
+        visualRenderers[rendererId].draw(ctx, getVisualFrame(timestamp));
+        
+        updateBackgroundParticles(timestamp);
+    }
+    
+    animationFrameId = requestAnimationFrame(animate);
+}
+
+/**
+ * 启动（或恢复）动画循环；已在运行或页面不可见时不做处理
+ */
+function resumeAnimation() {
+    if (animationFrameId !== null || document.hidden) return;
+    
+    // 暂停期间的间隔不计入帧率采样
+    qualityManager.reset();
+    lastUpdateTime = 0;
+    animationFrameId = requestAnimationFrame(animate);
+}
+
+/**
+ * 暂停动画循环（页面切到后台时）
+ */
+function pauseAnimation() {
+    if (animationFrameId === null) return;
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+}
+
+/**
+ * 初始化渲染质量：渲染下拉选项并读取系统的减少动态效果偏好
+ */
+function initRenderingQuality() {
+    renderQualityOptions();
+    qualityManager.setReducedMotion(reducedMotionQuery.matches);
+    applyRenderingQuality(qualityManager.settings);
+}
+
+/**
+ * 渲染画面质量下拉选项
+ */
+function renderQualityOptions() {
+    renderingQualitySelect.innerHTML = '';
+    Object.keys(QUALITY_MODES).forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = i18n.label(`quality.${mode}`, QUALITY_MODES[mode].label);
+        renderingQualitySelect.appendChild(option);
+    });
+    renderingQualitySelect.value = qualityManager.mode;
+}
+
+/**
+ * 应用渲染质量：调整背景粒子数量，并更新设置面板和页面上的质量标记（省电时停止装饰动画）
+ * @param {Object} settings - QualityManager 的当前设置
+ */
+function applyRenderingQuality(settings) {
+    renderingQuality = settings;
+    document.documentElement.dataset.quality = settings.id;
+    renderingQualitySelect.value = settings.mode;
+    syncBackgroundParticles();
+    updateCanvasSize(); // 各等级允许的像素比不同
+    if (!settings.ripples) waterSurface.reset();
+    updateRenderingQualityNote(settings);
+}
+
+/**
+ * 更新画面质量的说明（自动模式下的当前等级、是否减少动态效果）
+ * @param {Object} settings - QualityManager 的当前设置
+ */
+function updateRenderingQualityNote(settings) {
+    const notes = [];
+    if (settings.mode === 'auto') {
+        notes.push(t('quality.autoNote', { level: i18n.label(`quality.${settings.id}`, QUALITY_LEVELS[settings.id].label) }));
+    }
+    if (!settings.motion) notes.push(t('quality.reducedMotion'));
+    renderingQualityNote.textContent = i18n.formatList(notes);
+}
+
+/**
+ * 初始化波浪画布的尺寸：画布大小变化时（窗口缩放、旋转屏幕、面板展开）由 ResizeObserver 通知，
+ * 设备像素比变化时（移到另一块屏幕、页面缩放）重新计算
+ */
+function initCanvasLayout() {
+    if (typeof ResizeObserver === 'function') {
+        const observer = new ResizeObserver(entries => {
+            const box = entries[entries.length - 1].contentRect;
+            resizeWaveCanvas(box.width, box.height);
+        });
+        observer.observe(waveCanvas);
+    } else {
+        window.addEventListener('resize', debounce(updateCanvasSize, 100));
+    }
+    watchPixelRatio();
+    updateCanvasSize();
+}
+
+/**
+ * 监听设备像素比变化（每次变化后按新的像素比重新监听）
+ */
+function watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+        updateCanvasSize();
+        watchPixelRatio();
+    }, { once: true });
+}
+
+/**
+ * 按画布当前的显示尺寸调整
+ */
+function updateCanvasSize() {
+    resizeWaveCanvas(waveCanvas.clientWidth, waveCanvas.clientHeight);
+}
+
+/**
+ * 调整波浪画布的像素尺寸
+ * 像素尺寸为显示尺寸乘以设备像素比（不超过当前画质允许的上限），绘制时通过变换仍使用显示尺寸的坐标，
+ * 进行中的粒子和波纹按比例移动，不重新初始化
+ * @param {number} width - 显示宽度（CSS 像素）
+ * @param {number} height - 显示高度（CSS 像素）
+ */
+function resizeWaveCanvas(width, height) {
+    width = Math.round(width);
+    height = Math.round(height);
+    // 画布未显示（如页面隐藏或尚未布局）时保持原尺寸
+    if (width <= 0 || height <= 0) return;
+    
+    const ratio = Math.min(window.devicePixelRatio || 1, renderingQuality.maxPixelRatio);
+    if (width === canvasSize.width && height === canvasSize.height && ratio === canvasSize.ratio) return;
+    
+    rescaleCanvasEffects(width / canvasSize.width, height / canvasSize.height,
+        Math.min(width, height) / Math.min(canvasSize.width, canvasSize.height));
+    Object.assign(canvasSize, { width, height, ratio });
+    waterSurface.resize(width);
+    
+    // 修改像素尺寸会清空画布并重置变换
+    waveCanvas.width = Math.round(width * ratio);
+    waveCanvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    
+    // 降低帧率时也在下一帧立即重绘，避免留下空白画布
+    lastUpdateTime = 0;
+}
+
+/**
+ * 按画布尺寸的变化移动进行中的粒子和波纹
+ * @param {number} scaleX - 横向比例
+ * @param {number} scaleY - 纵向比例
+ * @param {number} scale - 波纹半径的比例（随画布较短的一边变化）
+ */
+function rescaleCanvasEffects(scaleX, scaleY, scale) {
+    particleSystem.forEach(particle => {
+        particle.x *= scaleX;
+        particle.y *= scaleY;
+    });
+    rippleEffects.forEach(ripple => {
+        ripple.centerX *= scaleX;
+        ripple.centerY *= scaleY;
+        ripple.radius *= scale;
+        ripple.maxRadius *= scale;
+    });
+}
+
+/**
+ * 收集计时画面所需的数据（所有画面共用）
+ * @param {number} timestamp - 动画时间戳（毫秒）
+ * @returns {Object} 画面数据，字段说明见 renderers.js
+ */
+function getVisualFrame(timestamp) {
+    return {
+        width: canvasSize.width,
+        height: canvasSize.height,
+        progress: timerCore.totalTime > 0 ? timerCore.timeLeft / timerCore.totalTime : 1,
+        attention: attentionIntensity,
+        breath: breathingState ? breathingState.level : null,
+        color: waveColor,
+        running: timerCore.isRunning,
+        focus: timerCore.isFocus,
+        time: timestamp / 1000
+    };
+}
+
+/**
+ * 波浪画面：多层波浪、波纹和粒子
+ */
+function drawWaveScene() {
+    // 绘制波浪
+    drawWave();
+    
+    // 更新波浪偏移，根据状态动态调整速度
+    updateWaveOffset();
+    
+    // 更新和绘制粒子系统
+    updateAndDrawParticles();
+}
+
+/**
+ * 读取系统的主题偏好
+ * @returns {Object} { dark, highContrast }
+ */
+function getSystemThemePreference() {
+    return { dark: colorSchemeQuery.matches, highContrast: contrastQuery.matches };
+}
+
+/**
+ * 当前模式（专注/休息）的主题颜色
+ * @returns {string} 十六进制颜色
+ */
+function getModeColor() {
+    return timerCore.isFocus ? activeTheme.colors.focus : activeTheme.colors.break;
+}
+
+/**
+ * 波浪颜色：空闲时为空闲色，否则为当前模式颜色
+ * @returns {string} 十六进制颜色
+ */
+function getWaveColor() {
+    return timerCore.isIdle ? activeTheme.colors.idle : getModeColor();
+}
+
+/**
+ * 渲染主题下拉选项和自定义主题编辑器
+ */
+function renderThemeOptions() {
+    themeModeSelect.innerHTML = '';
+    Object.keys(THEME_MODES).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = i18n.label(`themeMode.${id}`, THEME_MODES[id].label);
+        themeModeSelect.appendChild(option);
+    });
+    themeModeSelect.value = themeMode;
+    renderThemeEditor();
+    applyTheme();
+}
+
+/**
+ * 将自定义主题填入编辑器，仅在选择自定义主题时显示
+ */
+function renderThemeEditor() {
+    themeEditorElement.classList.toggle('hidden', themeMode !== 'custom');
+    themeBaseSelect.value = customTheme.base;
+    themeColorInputs.forEach(input => {
+        input.value = customTheme.colors[input.dataset.themeColor];
+    });
+    themeBackgroundInputs.forEach(input => {
+        input.value = customTheme.colors.background[Number(input.dataset.themeBackground)];
+    });
+}
+
+/**
+ * 从编辑器读取自定义主题
+ */
+function readThemeEditor() {
+    const colors = { background: [] };
+    themeColorInputs.forEach(input => {
+        colors[input.dataset.themeColor] = input.value;
+    });
+    themeBackgroundInputs.forEach(input => {
+        colors.background[Number(input.dataset.themeBackground)] = input.value;
+    });
+    customTheme = normalizeCustomTheme({ base: themeBaseSelect.value, colors });
+}
+
+/**
+ * 应用当前主题：更新 CSS 变量，并重绘使用主题颜色的画布
+ */
+function applyTheme() {
+    activeTheme = resolveTheme(themeMode, customTheme, getSystemThemePreference());
+    
+    const root = document.documentElement;
+    const variables = getThemeCssVariables(activeTheme);
+    Object.keys(variables).forEach(name => root.style.setProperty(name, variables[name]));
+    root.style.colorScheme = activeTheme.surface.colorScheme;
+    root.dataset.theme = activeTheme.id;
+    if (themeColorMeta) themeColorMeta.setAttribute('content', activeTheme.colors.idle);
+    
+    waveColor = getWaveColor();
+    updateProgressBar();
+    drawAttentionPreview();
+    renderStatistics();
+}
+
+/**
+ * 应用设置快照中的主题设置（缺少或无效的项保持不变）
+ * @param {Object} settings - 设置快照
+ */
+function applyThemeSnapshot(settings) {
+    if (THEME_MODES[settings.theme]) themeMode = settings.theme;
+    if (settings.customTheme && typeof settings.customTheme === 'object') {
+        customTheme = normalizeCustomTheme(settings.customTheme);
+    }
+    themeModeSelect.value = themeMode;
+    renderThemeEditor();
+    applyTheme();
+}
+
+/**
+ * 导出自定义主题为 JSON 文件
+ */
+function exportTheme() {
+    downloadFile('conwave-theme.json', serializeTheme(customTheme), 'application/json');
+}
+
+/**
+ * 导入主题文件并切换到自定义主题
+ * @param {Event} e - 文件选择事件
+ */
+function handleThemeImport(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            customTheme = parseThemeFile(String(reader.result));
+        } catch (error) {
+            showNotification(t('theme.importFailed', {
+                reason: error.code ? t(`theme.error.${error.code}`) : error.message
+            }));
+            return;
+        }
+        themeMode = 'custom';
+        themeModeSelect.value = themeMode;
+        renderThemeEditor();
+        applyTheme();
+        handleSettingsChange();
+        showNotification(t('theme.imported'));
+    };
+    reader.onerror = () => showNotification(t('theme.importFailed', { reason: t('import.readFailed') }));
+    reader.readAsText(file);
+    
+    // 允许重复选择同一文件
+    themeImportFileInput.value = '';
+}
+
+/**
+ * 渲染计时画面下拉选项
+ */
+function renderVisualizationOptions() {
+    visualizationSelect.innerHTML = '';
+    Object.keys(visualRenderers).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = i18n.label(`renderer.${id}`, visualRenderers[id].label);
+        visualizationSelect.appendChild(option);
+    });
+    visualizationSelect.value = visualRendererId;
+}
+
+/**
+ * 切换计时画面
+ * @param {string} id - 画面 id，未知时使用默认画面
+ */
+function setVisualization(id) {
+    visualRendererId = visualRenderers[id] ? id : DEFAULT_VISUAL_RENDERER;
+    visualizationSelect.value = visualRendererId;
+}
+
+/**
+ * 渲染波浪样式面板：每层的幅度、频率、速度和不透明度滑块，以及附加效果开关
+ */
+function renderWaveStyleControls() {
+    waveLayerCountInput.min = WAVE_LAYERS_MIN;
+    waveLayerCountInput.max = WAVE_LAYERS_MAX;
+    waveLayerCountInput.value = waveStyle.layers.length;
+    waveLayersElement.innerHTML = '';
+    
+    waveStyle.layers.forEach((layer, index) => {
+        const layerElement = document.createElement('div');
+        layerElement.className = 'wave-layer';
+        
+        const title = document.createElement('div');
+        title.className = 'wave-layer-title';
+        title.textContent = t(index === 0 ? 'waveStyle.baseLayer' : 'waveStyle.layer', { index: index + 1 });
+        layerElement.appendChild(title);
+        
+        Object.keys(WAVE_LAYER_PARAMS).forEach(key => {
+            const definition = WAVE_LAYER_PARAMS[key];
+            const group = document.createElement('div');
+            group.className = 'setting-group wave-layer-param';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `waveLayer-${index}-${key}`;
+            label.textContent = `${i18n.label(`waveParam.${key}`, definition.label)}:`;
+            
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.id = `waveLayer-${index}-${key}`;
+            input.min = definition.min;
+            input.max = definition.max;
+            input.step = definition.step;
+            input.value = layer[key];
+            
+            const value = document.createElement('output');
+            value.htmlFor = input.id;
+            value.textContent = layer[key];
+            
+            input.addEventListener('input', () => {
+                value.textContent = input.value;
+                waveStyle.layers[index][key] = Number(input.value);
+                startWavePreview();
+            });
+            input.addEventListener('change', handleSettingsChange);
+            
+            group.append(label, input, value);
+            layerElement.appendChild(group);
+        });
+        waveLayersElement.appendChild(layerElement);
+    });
+    
+    wavePassesElement.innerHTML = '';
+    Object.keys(WAVE_PASSES).forEach(pass => {
+        const group = document.createElement('div');
+        group.className = 'setting-group setting-toggle';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `wavePass-${pass}`;
+        label.textContent = t('waveStyle.pass', { pass: i18n.label(`wavePass.${pass}`, WAVE_PASSES[pass]) });
+        
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `wavePass-${pass}`;
+        input.checked = waveStyle.passes[pass];
+        input.addEventListener('change', () => {
+            waveStyle.passes[pass] = input.checked;
+            startWavePreview();
+            handleSettingsChange();
+        });
+        
+        group.append(label, input);
+        wavePassesElement.appendChild(group);
+    });
+}
+
+/**
+ * 设置波浪样式并刷新面板
+ * @param {Object} style - { layers, passes }，经过 normalizeWaveStyle 规范化
+ */
+function setWaveStyle(style) {
+    waveStyle = normalizeWaveStyle(style);
+    renderWaveStyleControls();
+    startWavePreview();
+}
+
+/**
+ * 调整波浪层数：减少时去掉最上层，增加时在顶部补充新层
+ * @param {number} count - 层数
+ */
+function setWaveLayerCount(count) {
+    const target = Math.min(WAVE_LAYERS_MAX, Math.max(WAVE_LAYERS_MIN, Math.round(count) || WAVE_LAYERS_MIN));
+    const layers = waveStyle.layers.slice(0, target);
+    while (layers.length < target) layers.push(createWaveLayer(layers.length));
+    setWaveStyle({ layers, passes: waveStyle.passes });
+}
+
+/**
+ * 开始（或延长）波浪样式预览
+ */
+function startWavePreview() {
+    wavePreviewUntil = performance.now() + WAVE_PREVIEW_DURATION;
+}
+
+/**
+ * 是否正在预览波浪样式
+ * @returns {boolean}
+ */
+function isWavePreviewing() {
+    return performance.now() < wavePreviewUntil;
+}
+
+/**
+ * 渲染呼吸节奏下拉选项（切换界面语言时保留当前选择）
+ */
+function renderBreathingOptions() {
+    const selected = breathingPatternSelect.value;
+    breathingPatternSelect.innerHTML = '';
+    Object.keys(BREATHING_PATTERNS).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = i18n.label(`breathPattern.${id}`, BREATHING_PATTERNS[id].label);
+        breathingPatternSelect.appendChild(option);
+    });
+    breathingPatternSelect.value = BREATHING_PATTERNS[selected] ? selected : DEFAULT_BREATHING_PATTERN;
+    updateBreathingCustomVisibility();
+}
+
+/**
+ * 仅在选择自定义节奏时显示时长输入
+ */
+function updateBreathingCustomVisibility() {
+    breathingCustomElement.classList.toggle('hidden', breathingPatternSelect.value !== 'custom');
+}
+
+/**
+ * 读取自定义节奏的时长（只读，不修改输入框，避免在动画循环中打断用户输入）
+ * @returns {number[]} [吸气, 屏息, 呼气, 屏息] 秒数
+ */
+function getCustomBreathingDurations() {
+    return normalizeBreathingDurations([...breathingCustomInputs].map(input => input.value));
+}
+
+/**
+ * 把自定义节奏的时长输入框校正为有效值（输入完成后调用）
+ */
+function normalizeCustomBreathingInputs() {
+    const durations = getCustomBreathingDurations();
+    breathingCustomInputs.forEach((input, index) => {
+        input.value = durations[index];
+    });
+}
+
+/**
+ * 当前选择的呼吸节奏时长
+ * @returns {number[]} [吸气, 屏息, 呼气, 屏息] 秒数
+ */
+function getBreathingDurations() {
+    const pattern = BREATHING_PATTERNS[breathingPatternSelect.value];
+    return pattern && pattern.durations ? pattern.durations : getCustomBreathingDurations();
+}
+
+/**
+ * 应用设置快照中的引导呼吸设置（缺少或无效的项保持不变）
+ * @param {Object} settings - 设置快照
+ */
+function applyBreathingSnapshot(settings) {
+    if (typeof settings.guidedBreathing === 'boolean') guidedBreathingInput.checked = settings.guidedBreathing;
+    if (typeof settings.breathingCues === 'boolean') breathingCuesInput.checked = settings.breathingCues;
+    if (BREATHING_PATTERNS[settings.breathingPattern]) breathingPatternSelect.value = settings.breathingPattern;
+    if (Array.isArray(settings.breathingCustom)) {
+        const durations = normalizeBreathingDurations(settings.breathingCustom);
+        breathingCustomInputs.forEach((input, index) => {
+            input.value = durations[index];
+        });
+    }
+    updateBreathingCustomVisibility();
+    updateBreathingGuide();
+}
+
+/**
+ * 更新引导呼吸：计算当前步骤，驱动波浪升降、步骤标签和提示音，并累计呼吸次数
+ * 呼吸从休息开始计起，按剩余时间换算，暂停时随计时一起停住
+ */
+function updateBreathingGuide() {
+    if (!guidedBreathingInput.checked || timerCore.isIdle || timerCore.isFocus) {
+        if (breathingState) {
+            breathingState = null;
+            waveRise = 0;
+            breathingGuideElement.classList.add('hidden');
+        }
+        return;
+    }
+    
+    const remaining = timerCore.isRunning ?
+        Math.max(0, (timerCore.phaseEndTime - Date.now()) / 1000) : timerCore.timeLeft;
+    const previous = breathingState;
+    breathingState = getBreathingState(getBreathingDurations(), timerCore.totalTime - remaining);
+    sessionBreathCycles = Math.max(sessionBreathCycles, breathingState.cycles);
+    
+    // 吸满时波浪抬升画布高度的 15%，呼尽时下降同样距离
+    waveRise = (breathingState.level - 0.5) * canvasSize.height * 0.3;
+    
+    if (!previous || previous.step !== breathingState.step) {
+        breathingStepElement.textContent = getBreathStepLabel(breathingState);
+        breathingGuideElement.classList.remove('hidden');
+        if (previous && timerCore.isRunning && breathingCuesInput.checked) {
+            audioEngine.playBreathCue(breathingState.step);
+        }
+    }
+    if (!previous || previous.secondsLeft !== breathingState.secondsLeft) {
+        breathingCountElement.textContent = breathingState.secondsLeft;
+    }
+}
+
+/**
+ * 绘制渐变背景
+ */
+function drawBackgroundGradient() {
+    const gradient = ctx.createLinearGradient(0, 0, canvasSize.width, canvasSize.height);
+    
+    const colors = activeTheme.colors;
+    
+    if (timerCore.isFocus) {
+        // 专注模式背景：计时中为专注色渐变，否则为空闲色
+        gradient.addColorStop(0, colorWithAlpha(timerCore.isRunning ? colors.focus : activeTheme.surface.textMuted, 0.05));
+        gradient.addColorStop(1, colorWithAlpha(timerCore.isRunning ? colors.focusAccent : colors.idle, 0.05));
+    } else {
+        // 休息模式背景：休息色渐变
+        gradient.addColorStop(0, colorWithAlpha(colors.break, 0.05));
+        gradient.addColorStop(1, colorWithAlpha(colors.breakAccent, 0.05));
+    }
+    
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvasSize.width, canvasSize.height);
+}
+
+/**
+ * 更新波浪偏移
+ */
+function updateWaveOffset() {
+    // 根据时间和状态动态调整波浪速度
+    let dynamicSpeed = waveSpeed;
+    
+    // 如果在专注模式且活跃，波浪速度会有轻微变化，模拟注意力波动
+    if (timerCore.isFocus && timerCore.isRunning) {
+        // 添加小的周期性变化
+        dynamicSpeed += Math.sin(waveOffset * 0.1) * 0.002;
+        // 根据注意力强度调整速度
+        dynamicSpeed = dynamicSpeed * (0.8 + attentionIntensity * 0.2);
+    }
+    
+    // 减少动态效果时波浪不再横向流动，只随剩余时间升降
+    if (renderingQuality.motion) waveOffset += dynamicSpeed;
+    
+    // 更新波纹效果和水面物理
+    updateRippleEffects();
+    waterSurface.update(performance.now());
+}
+
+/**
+ * 初始化粒子系统
+ */
+function initParticleSystem() {
+    particleSystem = [];
+}
+
+/**
+ * 更新和绘制粒子系统
+ */
+function updateAndDrawParticles() {
+    const currentTime = Date.now();
+    
+    // 如果活跃，定期添加新粒子（低画质时不再生成）
+    if (timerCore.isRunning && renderingQuality.particles) {
+        if (currentTime % 100 < 20) { // 约每5帧添加一次粒子
+            addRandomParticles(1);
+        }
+    }
+    
+    // 更新和绘制所有粒子
+    for (let i = particleSystem.length - 1; i >= 0; i--) {
+        const particle = particleSystem[i];
+        
+        // 更新粒子位置
+        particle.x += particle.vx;
+        particle.y += particle.vy;
+        
+        // 更新粒子生命周期
+        particle.life -= particle.decay;
+        
+        // 应用重力效果
+        if (particle.applyGravity) {
+            particle.vy += 0.02;
+        }
+        
+        // 如果粒子生命周期结束，从数组中移除
+        if (particle.life <= 0) {
+            particleSystem.splice(i, 1);
+            continue;
+        }
+        
+        // 绘制粒子
+        drawParticle(particle);
+    }
+    
+    // 限制粒子数量，避免性能问题
+    if (particleSystem.length > 100) {
+        particleSystem = particleSystem.slice(-100);
+    }
+}
+
+/**
+ * 添加随机粒子
+ * @param {number} count - 要添加的粒子数量
+ */
+function addRandomParticles(count) {
+    const canvasWidth = canvasSize.width;
+    const canvasHeight = canvasSize.height;
+    const centerY = canvasHeight / 2 - waveRise;
+    
+    for (let i = 0; i < count; i++) {
+        // 在波浪顶部附近生成粒子
+        const x = Math.random() * canvasWidth;
+        const phase = (x * 0.035 + waveOffset * 2.0) % (Math.PI * 2);
+        const y = centerY + Math.sin(phase) * (waveHeight * 0.4) - 15;
+        
+        // 创建粒子对象
+        const particle = {
+            x: x,
+            y: y,
+            size: 1 + Math.random() * 3,
+            color: waveColor,
+            alpha: 0.4 + Math.random() * 0.3,
+            life: 60 + Math.random() * 120,
+            decay: 0.8 + Math.random() * 0.4,
+            vx: (Math.random() - 0.5) * 1.5,
+            vy: -1 - Math.random() * 2,
+            applyGravity: true
+        };
+        
+        particleSystem.push(particle);
+    }
+}
+
+/**
+ * 绘制单个粒子
+ * @param {Object} particle - 粒子对象
+ */
+function drawParticle(particle) {
+    ctx.save();
+    
+    // 设置粒子颜色和透明度（随生命周期淡出）
+    const color = colorWithAlpha(particle.color, particle.alpha * (particle.life / 100));
+    
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    
+    // 绘制圆形粒子
+    ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // 添加光晕效果
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 0.5;
+    ctx.stroke();
+    
+    ctx.restore();
+}
+
+/**
+ * 绘制波浪
+ * 增强版：多层波浪、物理模拟、波纹效果、动态光效
+ */
+function drawWave() {
+    const canvasWidth = canvasSize.width;
+    const canvasHeight = canvasSize.height;
+    const centerY = canvasHeight / 2 - waveRise;
+    
+    // 根据模式和时间调整波浪参数，预览时计时未开始也显示完整的波浪
+    const previewing = isWavePreviewing();
+    const baseHeight = previewing ? Math.max(waveHeight, WAVE_PREVIEW_HEIGHT) : waveHeight;
+    const isActive = timerCore.isRunning || previewing;
+    
+    // 根据状态动态调整波浪参数
+    const waveIntensity = isActive ? 1.0 : 0.6;
+    const { layers, passes } = waveStyle;
+    const topLayer = layers[layers.length - 1];
+    
+    // 绘制底层波浪阴影（增加深度感）
+    if (passes.shadow && renderingQuality.shadow && isActive) {
+        drawWaveShadow(canvasWidth, canvasHeight, centerY, baseHeight * 0.8 * waveIntensity);
+    }
+    
+    // 从底层到顶层绘制各层波浪，底部透明度约为顶部的 30%
+    layers.forEach(layer => {
+        drawSingleWave(
+            canvasWidth, 
+            canvasHeight, 
+            centerY, 
+            baseHeight * layer.amplitude * waveIntensity, 
+            layer.frequency, 
+            layer.speed, 
+            colorWithAlpha(waveColor, layer.opacity), 
+            colorWithAlpha(waveColor, layer.opacity * 0.3)
+        );
+    });
+    
+    // 绘制波纹效果
+    if (renderingQuality.ripples) drawRippleEffects();
+    
+    // 高光、边框和反射都跟随最上层波浪
+    if (passes.highlight) {
+        drawWaveHighlight(canvasWidth, centerY, baseHeight * topLayer.amplitude * 0.8 * waveIntensity, topLayer);
+    }
+    
+    if (passes.border) {
+        drawWaveBorder(canvasWidth, centerY, baseHeight * topLayer.amplitude * waveIntensity, topLayer);
+    }
+    
+    // 绘制波浪反射效果（增强视觉深度）
+    if (passes.reflection && renderingQuality.reflection && isActive && baseHeight > 10) {
+        drawWaveReflection(canvasWidth, canvasHeight, centerY, baseHeight * 0.3 * waveIntensity, topLayer);
+    }
+}
+
+/**
+ * 绘制单个波浪层
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @param {number} centerY - Y轴中心点
+ * @param {number} waveHeight - 波浪高度
+ * @param {number} frequency - 波浪频率
+ * @param {number} offsetMultiplier - 偏移乘数
+ * @param {string} topColor - 顶部颜色
+ * @param {string} bottomColor - 底部颜色
+ */
+function drawSingleWave(width, height, centerY, waveHeight, frequency, offsetMultiplier, topColor, bottomColor) {
+    ctx.beginPath();
+    ctx.moveTo(0, centerY);
+    
+    // 创建波浪路径，使用物理模拟使波浪更自然（低画质时加大横向步长）
+    const step = renderingQuality.waveStep;
+    for (let x = 0; x < width; x += step) {
+        // 基础波浪参数
+        const baseX = x * frequency + waveOffset * offsetMultiplier;
+        
+        // 使用多重正弦波叠加，并添加随机性，创造更自然的波浪效果
+        const mainWave = Math.sin(baseX) * waveHeight;
+        
+        // 次级波（更小、更快）
+        const secondaryWave = Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3);
+        
+        // 三级波（最细微）
+        const tertiaryWave = Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15);
+        
+        // 添加微小的随机波动，使波浪不那么规律
+        const randomVariation = Math.sin(x * 0.1 + waveOffset * 0.05) * 0.5;
+        
+        // 添加基于注意力强度的变化
+        const attentionVariation = timerCore.isFocus && timerCore.isRunning ? 
+            Math.sin(baseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0;
+        
+        // 叠加点击和拖动造成的水面起伏
+        const surfaceOffset = getSurfaceOffset(x);
+        
+        const y = centerY + mainWave + secondaryWave + tertiaryWave + randomVariation + attentionVariation + surfaceOffset;
+        
+        // 使用贝塞尔曲线使波浪更平滑
+        if (x > 0 && x < width - step) {
+            const nextX = x + step;
+            const nextBaseX = nextX * frequency + waveOffset * offsetMultiplier;
+            const nextY = centerY + 
+                          Math.sin(nextBaseX) * waveHeight +
+                          Math.sin(nextBaseX * 1.7 + 1.2) * (waveHeight * 0.3) +
+                          Math.sin(nextBaseX * 2.5 + 0.5) * (waveHeight * 0.15) +
+                          Math.sin(nextX * 0.1 + waveOffset * 0.05) * 0.5 +
+                          (timerCore.isFocus && timerCore.isRunning ? Math.sin(nextBaseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0) +
+                          getSurfaceOffset(nextX);
+            
+            const controlPointX = (x + nextX) / 2;
+            const controlPointY = (y + nextY) / 2 + Math.sin(baseX * 0.5) * 2;
+            
+            ctx.quadraticCurveTo(x, y, controlPointX, controlPointY);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    
+    // 闭合路径
+    ctx.lineTo(width, height);
+    ctx.lineTo(0, height);
+    ctx.closePath();
+    
+    // 创建更自然的渐变填充
+    const gradient = ctx.createLinearGradient(0, centerY - waveHeight * 1.5, 0, height);
+    gradient.addColorStop(0, topColor);
+    gradient.addColorStop(0.6, mixColors(topColor, bottomColor, 0.5));
+    gradient.addColorStop(1, bottomColor);
+    
+    ctx.fillStyle = gradient;
+    ctx.fill();
+}
+
+/**
+ * 绘制波浪顶部高光
+ * @param {number} width - 画布宽度
+ * @param {number} centerY - Y轴中心点
+ * @param {number} waveHeight - 波浪高度
+ * @param {Object} layer - 高光所在的波浪层 { frequency, speed }
+ */
+function drawWaveHighlight(width, centerY, waveHeight, layer) {
+    // 仅在波浪高度足够高时绘制高光
+    if (waveHeight < 5) return;
+    
+    ctx.beginPath();
+    
+    const step = renderingQuality.waveStep;
+    for (let x = 0; x < width; x += step) {
+        const baseX = x * layer.frequency + waveOffset * layer.speed;
+        const y = centerY + 
+                 Math.sin(baseX) * waveHeight +
+                 Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3) +
+                 Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15) +
+                 (timerCore.isFocus && timerCore.isRunning ? Math.sin(baseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0) +
+                 getSurfaceOffset(x);
+        
+        if (x === 0) {
+            ctx.moveTo(x, y - 3);
+        } else {
+            // 使用更平滑的线条
+            const nextX = x + step;
+            const nextBaseX = nextX * layer.frequency + waveOffset * layer.speed;
+            const nextY = centerY + 
+                          Math.sin(nextBaseX) * waveHeight +
+                          Math.sin(nextBaseX * 1.7 + 1.2) * (waveHeight * 0.3) +
+                          Math.sin(nextBaseX * 2.5 + 0.5) * (waveHeight * 0.15) +
+                          (timerCore.isFocus && timerCore.isRunning ? Math.sin(nextBaseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0) +
+                          getSurfaceOffset(nextX);
+            
+            const controlPointX = (x + nextX) / 2;
+            const controlPointY = (y + nextY) / 2 - 1;
+            
+            ctx.quadraticCurveTo(x, y - 3, controlPointX, controlPointY - 3);
+        }
+    }
+    
+    // 根据波浪高度动态调整高光
+    const highlightAlpha = Math.min(0.7, 0.2 + waveHeight / 100);
+    
+    // 设置高光样式
+    ctx.strokeStyle = colorWithAlpha('white', highlightAlpha);
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+    
+    // 添加第二层柔和高光
+    ctx.beginPath();
+    for (let x = 0; x < width; x += Math.max(2, step)) {
+        const baseX = x * layer.frequency + waveOffset * layer.speed;
+        const y = centerY + 
+                 Math.sin(baseX) * waveHeight +
+                 Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3) +
+                 Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15) +
+                 (timerCore.isFocus && timerCore.isRunning ? Math.sin(baseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0) +
+                 getSurfaceOffset(x);
+        
+        if (x === 0) {
+            ctx.moveTo(x, y - 5);
+        } else {
+            ctx.lineTo(x, y - 5);
+        }
+    }
+    
+    ctx.strokeStyle = colorWithAlpha('white', highlightAlpha * 0.4);
+    ctx.lineWidth = 5;
+    ctx.stroke();
+}
+
+/**
+ * 绘制波浪顶部边框
+ * @param {number} width - 画布宽度
+ * @param {number} centerY - Y轴中心点
+ * @param {number} waveHeight - 波浪高度
+ * @param {Object} layer - 边框所在的波浪层 { frequency, speed }
+ */
+function drawWaveBorder(width, centerY, waveHeight, layer) {
+    ctx.beginPath();
+    
+    for (let x = 0; x < width; x += renderingQuality.waveStep) {
+        // 与顶层波浪相同的计算，但添加微小变化
+        const y = centerY + 
+                 Math.sin(x * layer.frequency + waveOffset * layer.speed) * waveHeight +
+                 Math.sin(x * layer.frequency * 1.7 + waveOffset * layer.speed * 0.9) * (waveHeight * 0.3) +
+                 Math.sin(x * layer.frequency * 2.5 + waveOffset * layer.speed * 1.3) * (waveHeight * 0.15) +
+                 getSurfaceOffset(x);
+        
+        if (x === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    }
+    
+    // 设置边框样式，使用半透明效果
+    ctx.strokeStyle = colorWithAlpha(waveColor, 0.8);
+    ctx.lineWidth = 2;
+    
+    // 使用更平滑的线条
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    ctx.stroke();
+}
+
+/**
+ * 更新专注时间
+ */
+function updateFocusTime() {
+    validateWaveReminder();
+    applyTimerSettings();
+}
+
+/**
+ * 把计时设置输入框校正到允许范围内（只在超出范围时改写，避免打断输入）
+ * @param {HTMLInputElement} input - 输入框
+ * @param {string} key - TIMER_SETTING_LIMITS 中的设置项
+ */
+function validateTimerInput(input, key) {
+    const value = clampTimerSetting(key, input.value, focusTimeInput.value);
+    if (Number(input.value) !== value) input.value = value;
+}
+
+/**
+ * 验证休息时间输入
+ */
+function validateBreakTime() {
+    validateTimerInput(breakTimeInput, 'breakTime');
+}
+
+/**
+ * 验证长休息时间输入
+ */
+function validateLongBreakTime() {
+    validateTimerInput(longBreakTimeInput, 'longBreakTime');
+}
+
+/**
+ * 验证长休息间隔输入
+ */
+function validateLongBreakInterval() {
+    validateTimerInput(longBreakIntervalInput, 'longBreakInterval');
+}
+
+/**
+ * 验证波浪提醒间隔输入（不超过专注时长）
+ */
+function validateWaveReminder() {
+    validateTimerInput(waveReminderInput, 'waveReminder');
+}
+
+/**
+ * 模拟注意力波动（专注模式下），曲线由当前注意力模型决定
+ */
+function simulateAttentionFluctuation() {
+    attentionIntensity = attentionModel.evaluate({
+        sinceBoost: Math.max(0, lastAttentionBoostTime - timerCore.timeLeft),
+        sinceStart: Math.max(0, timerCore.totalTime - timerCore.timeLeft)
+    });
+}
+
+/**
+ * 渲染注意力模型下拉选项
+ */
+function renderAttentionModelOptions() {
+    if (!attentionModelSelect) return;
+    
+    attentionModelSelect.innerHTML = '';
+    Object.keys(ATTENTION_MODELS).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = i18n.label(`attentionModel.${id}`, ATTENTION_MODELS[id].label);
+        attentionModelSelect.appendChild(option);
+    });
+    attentionModelSelect.value = attentionModel.id;
+}
+
+/**
+ * 切换注意力模型
+ * @param {string} modelId - 模型 id
+ * @param {Object} [params] - 模型参数，缺省时使用默认值
+ */
+function setAttentionModel(modelId, params) {
+    attentionModel = createAttentionModel(modelId, params, attentionCalibration);
+    
+    if (attentionModelSelect) {
+        attentionModelSelect.value = attentionModel.id;
+        renderAttentionParams();
+        drawAttentionPreview();
+    }
+}
+
+/**
+ * 渲染当前模型的参数滑块
+ */
+function renderAttentionParams() {
+    attentionParamsElement.innerHTML = '';
+    
+    const definitions = ATTENTION_MODELS[attentionModel.id].params;
+    Object.keys(definitions).forEach(key => {
+        const definition = definitions[key];
+        const group = document.createElement('div');
+        group.className = 'setting-group attention-param';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `attentionParam-${key}`;
+        label.textContent = `${i18n.label(`attentionParam.${key}`, definition.label)}:`;
+        
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `attentionParam-${key}`;
+        input.min = definition.min;
+        input.max = definition.max;
+        input.step = definition.step;
+        input.value = attentionModel.params[key];
+        
+        const value = document.createElement('output');
+        value.htmlFor = input.id;
+        value.textContent = attentionModel.params[key];
+        
+        // 拖动时只更新预览，松开后保存
+        input.addEventListener('input', () => {
+            value.textContent = input.value;
+            attentionModel = createAttentionModel(attentionModel.id,
+                Object.assign({}, attentionModel.params, { [key]: Number(input.value) }), attentionCalibration);
+            drawAttentionPreview();
+        });
+        input.addEventListener('change', handleSettingsChange);
+        
+        group.append(label, input, value);
+        attentionParamsElement.appendChild(group);
+    });
+}
+
+/**
+ * 绘制注意力曲线预览：一个专注阶段内的注意力变化，每个提醒点恢复注意力
+ */
+function drawAttentionPreview() {
+    if (!attentionPreviewCanvas) return;
+    
+    const previewCtx = attentionPreviewCanvas.getContext('2d');
+    const width = attentionPreviewCanvas.width;
+    const height = attentionPreviewCanvas.height;
+    const padding = { top: 12, right: 12, bottom: 24, left: 36 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    
+    const duration = Number(focusTimeInput.value) * 60;
+    const reminderInterval = Number(waveReminderInput.value) * 60;
+    const points = sampleAttentionCurve(attentionModel, duration, reminderInterval);
+    const toX = time => padding.left + (time / duration) * chartWidth;
+    const toY = value => padding.top + (1 - value) * chartHeight;
+    
+    previewCtx.clearRect(0, 0, width, height);
+    
+    // 纵轴刻度（0% / 50% / 100%）和时间轴
+    previewCtx.font = '10px "Segoe UI", "Microsoft YaHei", sans-serif';
+    previewCtx.fillStyle = activeTheme.surface.textMuted;
+    previewCtx.lineWidth = 1;
+    [0, 0.5, 1].forEach(value => {
+        previewCtx.strokeStyle = colorWithAlpha(activeTheme.surface.text, value === 0 ? 0.3 : 0.08);
+        previewCtx.beginPath();
+        previewCtx.moveTo(padding.left, toY(value));
+        previewCtx.lineTo(width - padding.right, toY(value));
+        previewCtx.stroke();
+        previewCtx.textAlign = 'right';
+        previewCtx.textBaseline = 'middle';
+        previewCtx.fillText(i18n.formatPercent(value), padding.left - 4, toY(value));
+    });
+    previewCtx.textAlign = 'center';
+    previewCtx.textBaseline = 'top';
+    previewCtx.fillText('0', padding.left, height - padding.bottom + 6);
+    previewCtx.fillText(t('duration.minutes', { count: Number(focusTimeInput.value) }),
+        width - padding.right - 16, height - padding.bottom + 6);
+    
+    // 提醒点
+    previewCtx.strokeStyle = colorWithAlpha(activeTheme.colors.focus, 0.3);
+    previewCtx.setLineDash([3, 3]);
+    for (let time = reminderInterval; reminderInterval > 0 && time < duration; time += reminderInterval) {
+        previewCtx.beginPath();
+        previewCtx.moveTo(toX(time), padding.top);
+        previewCtx.lineTo(toX(time), padding.top + chartHeight);
+        previewCtx.stroke();
+    }
+    previewCtx.setLineDash([]);
+    
+    // 注意力曲线
+    previewCtx.strokeStyle = activeTheme.colors.idle;
+    previewCtx.lineWidth = 2;
+    previewCtx.beginPath();
+    points.forEach((point, index) => {
+        if (index === 0) {
+            previewCtx.moveTo(toX(point.time), toY(point.value));
+        } else {
+            previewCtx.lineTo(toX(point.time), toY(point.value));
+        }
+    });
+    previewCtx.stroke();
+    
+    if (attentionModel.id !== 'calibrated') {
+        attentionNoteElement.textContent = t('attention.note');
+    } else if (attentionCalibration) {
+        attentionNoteElement.textContent = t('attention.calibrated', {
+            samples: attentionCalibration.samples,
+            floor: i18n.formatPercent(attentionCalibration.floor),
+            halfLife: attentionCalibration.halfLife
+        });
+    } else {
+        attentionNoteElement.textContent = t('attention.uncalibrated', {
+            min: CALIBRATION_MIN_CHECK_INS,
+            count: attentionCalibrationCount
+        });
+    }
+}
+
+/**
+ * 添加波纹效果
+ */
+function addRippleEffect() {
+    const ripple = {
+        centerX: canvasSize.width / 2,
+        centerY: canvasSize.height / 2,
+        radius: 0,
+        maxRadius: Math.min(canvasSize.width, canvasSize.height) * 0.8,
+        speed: 3,
+        opacity: 1.0,
+        color: colorWithAlpha(waveColor, 0.7)
+    };
+    
+    rippleEffects.push(ripple);
+    disturbWaterSurface(ripple.centerX, WATER_REMINDER_FORCE, canvasSize.width * 0.15);
+}
+
+/**
+ * 添加模式切换波纹效果
+ */
+function addModeTransitionRipples() {
+    const rippleCount = 3;
+    const centerX = canvasSize.width / 2;
+    const centerY = canvasSize.height / 2;
+    
+    for (let i = 0; i < rippleCount; i++) {
+        setTimeout(() => {
+            const ripple = {
+                centerX: centerX + (Math.random() - 0.5) * 20,
+                centerY: centerY + (Math.random() - 0.5) * 20,
+                radius: 0,
+                maxRadius: Math.min(canvasSize.width, canvasSize.height) * 0.8,
+                speed: 2 + i, // 每个波纹速度递增
+                opacity: 0.8,
+                color: colorWithAlpha(getModeColor(), 0.7)
+            };
+            
+            rippleEffects.push(ripple);
+            disturbWaterSurface(ripple.centerX, WATER_TRANSITION_FORCE);
+        }, i * 200);
+    }
+}
+
+/**
+ * 更新波纹效果
+ */
+function updateRippleEffects() {
+    for (let i = rippleEffects.length - 1; i >= 0; i--) {
+        const ripple = rippleEffects[i];
+        
+        // 更新波纹半径
+        ripple.radius += ripple.speed;
+        
+        // 更新透明度（随半径增加而降低）
+        ripple.opacity = 1 - (ripple.radius / ripple.maxRadius);
+        
+        // 如果波纹超出最大半径或透明度为0，移除它
+        if (ripple.radius > ripple.maxRadius || ripple.opacity <= 0) {
+            rippleEffects.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * 绘制波纹效果
+ */
+function drawRippleEffects() {
+    for (let i = 0; i < rippleEffects.length; i++) {
+        const ripple = rippleEffects[i];
+        
+        ctx.beginPath();
+        ctx.arc(ripple.centerX, ripple.centerY, ripple.radius, 0, Math.PI * 2);
+        
+        // 设置波纹样式
+        ctx.strokeStyle = colorWithAlpha(ripple.color, ripple.opacity);
+        ctx.lineWidth = 2;
+        
+        ctx.stroke();
+        
+        // 添加内环波纹效果
+        if (ripple.radius > 30) {
+            ctx.beginPath();
+            ctx.arc(ripple.centerX, ripple.centerY, ripple.radius * 0.7, 0, Math.PI * 2);
+            ctx.strokeStyle = colorWithAlpha(ripple.color, ripple.opacity * 0.7);
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+        
+        if (ripple.radius > 60) {
+            ctx.beginPath();
+            ctx.arc(ripple.centerX, ripple.centerY, ripple.radius * 0.4, 0, Math.PI * 2);
+            ctx.strokeStyle = colorWithAlpha(ripple.color, ripple.opacity * 0.5);
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+}
+
+/**
+ * 绘制波浪阴影（增强深度感）
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @param {number} centerY - Y轴中心点
+ * @param {number} waveHeight - 波浪高度
+ */
+function drawWaveShadow(width, height, centerY, waveHeight) {
+    ctx.save();
+    
+    // 使用模糊滤镜
+    ctx.filter = 'blur(10px)';
+    
+    ctx.beginPath();
+    ctx.moveTo(0, centerY + 10);
+    
+    for (let x = 0; x < width; x++) {
+        const baseX = x * 0.015 + waveOffset * 0.7;
+        const y = centerY + 10 + 
                  Math.sin(baseX) * waveHeight +
+                 Math.sin(baseX * 1.6 + 1.0) * (waveHeight * 0.25) +
+                 getSurfaceOffset(x);
+        
+        ctx.lineTo(x, y);
+    }
+    
+    ctx.lineTo(width, height);
+    ctx.lineTo(0, height);
+    ctx.closePath();
+    
+    // 使用半透明黑色作为阴影
+    ctx.fillStyle = colorWithAlpha('black', 0.1);
+    ctx.fill();
+    
+    // 重置滤镜
+    ctx.filter = 'none';
+    ctx.restore();
+}
+
+/**
+ * 绘制波浪反射效果
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @param {number} centerY - Y轴中心点
+ * @param {number} waveHeight - 波浪高度
+ * @param {Object} layer - 反射的波浪层 { frequency, speed }
+ */
+function drawWaveReflection(width, height, centerY, waveHeight, layer) {
+    // 仅在画布下半部分绘制反射；按未抬升的水位判断，引导呼吸时反射不会随呼吸闪烁
+    if (centerY + waveRise < height / 2) return;
+    
+    ctx.save();
+    
+    ctx.globalAlpha = 0.15;
+    ctx.beginPath();
+    ctx.moveTo(0, centerY);
+    
+    for (let x = 0; x < width; x++) {
+        const baseX = x * layer.frequency + waveOffset * layer.speed;
+        // 反射效果是波浪的镜像
+        const y = centerY - 
+                 (Math.sin(baseX) * waveHeight +
                  Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3) +
                  Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15) +
-                 (isFocusMode && isRunning ? Math.sin(baseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0);
+                 getSurfaceOffset(x));
+        
+        ctx.lineTo(x, y);
+    }
+    
+    ctx.lineTo(width, height);
+    ctx.lineTo(0, height);
+    ctx.closePath();
+    
+    // 使用波浪颜色的渐变作为反射
+    const gradient = ctx.createLinearGradient(0, centerY, 0, height);
+    gradient.addColorStop(0, colorWithAlpha(waveColor, 0.3));
+    gradient.addColorStop(1, colorWithAlpha(waveColor, 0));
+    
+    ctx.fillStyle = gradient;
+    ctx.fill();
+    
+    ctx.restore();
+}
+
+/**
+ * 更新进度条显示
+ */
+function updateProgressBar() {
+    if (!progressBar) return;
+    
+    const percentage = timerCore.progress * 100;
+    progressBar.style.width = `${percentage}%`;
+    
+    // 根据模式和状态改变进度条颜色
+    const colors = activeTheme.colors;
+    if (timerCore.isFocus) {
+        progressBar.style.background = `linear-gradient(90deg, ${colors.focus}, ${colors.focusAccent})`;
+    } else {
+        progressBar.style.background = `linear-gradient(90deg, ${colors.break}, ${colors.breakAccent})`;
+    }
+    
+    // 暂停时添加暂停效果
+    if (timerCore.isPaused) {
+        progressBar.style.opacity = '0.7';
+    } else {
+        progressBar.style.opacity = '1';
+    }
+}
+
+/**
+ * 初始化背景粒子效果
+ */
+function initBackgroundParticles() {
+    syncBackgroundParticles();
+}
+
+/**
+ * 按渲染质量调整背景粒子数量（多余的移除，不足的补充）
+ */
+function syncBackgroundParticles() {
+    if (!particlesContainer) return;
+    
+    const particleCount = renderingQuality.backgroundParticles;
+    
+    while (backgroundParticles.length > particleCount) {
+        backgroundParticles.pop().element.remove();
+    }
+    while (backgroundParticles.length < particleCount) {
+        backgroundParticles.push(createParticle());
+    }
+}
+
+/**
+ * 创建单个背景粒子
+ * @returns {Object} { element, duration, direction, type, startTime }
+ */
+function createParticle() {
+    const particle = document.createElement('div');
+    particle.classList.add('particle');
+    
+    // 随机大小
+    const size = Math.random() * 4 + 1;
+    particle.style.width = `${size}px`;
+    particle.style.height = `${size}px`;
+    
+    // 随机位置
+    particle.style.left = `${Math.random() * 100}%`;
+    particle.style.top = `${Math.random() * 100}%`;
+    
+    // 随机动画参数
+    const duration = Math.random() * 10 + 10;
+    const direction = Math.random() > 0.5 ? 1 : -1;
+    
+    // 随机动画路径（正弦波或直线）
+    const animationType = Math.random() > 0.5 ? 'wave' : 'straight';
+    
+    // 设置样式
+    particle.style.position = 'absolute';
+    particle.style.borderRadius = '50%';
+    particle.style.opacity = Math.random() * 0.5 + 0.1;
+    particle.style.pointerEvents = 'none';
+    particle.style.transform = `translateY(0px) translateX(0px)`;
+    
+    // 随机颜色，匹配主题
+    const themeColors = activeTheme.colors;
+    const colors = [themeColors.focus, themeColors.idle, themeColors.break, themeColors.focusAccent];
+    particle.style.background = colorWithAlpha(colors[Math.floor(Math.random() * colors.length)], 0.5);
+    
+    particlesContainer.appendChild(particle);
+    
+    return { element: particle, duration, direction, type: animationType, startTime: null };
+}
+
+/**
+ * 更新全部背景粒子的位置和透明度（由动画循环统一驱动）
+ * @param {number} timestamp - 动画时间戳（毫秒）
+ */
+function updateBackgroundParticles(timestamp) {
+    backgroundParticles.forEach(particle => {
+        if (particle.startTime === null) particle.startTime = timestamp;
+        const elapsed = timestamp - particle.startTime;
+        const progress = (elapsed % (particle.duration * 1000)) / (particle.duration * 1000);
+        
+        let x, y;
         
-        if (x === 0) {
-            ctx.moveTo(x, y - 3);
+        if (particle.type === 'wave') {
+            // 波浪运动
+            x = progress * window.innerWidth * particle.direction;
+            y = Math.sin(progress * Math.PI * 4) * 50;
         } else {
-            // 使用更平滑的线条
-            const nextX = x + 1;
-            const nextBaseX = nextX * 0.030 + waveOffset * 1.8;
-            const nextY = centerY + 
-                          Math.sin(nextBaseX) * waveHeight +
-                          Math.sin(nextBaseX * 1.7 + 1.2) * (waveHeight * 0.3) +
-                          Math.sin(nextBaseX * 2.5 + 0.5) * (waveHeight * 0.15) +
-                          (isFocusMode && isRunning ? Math.sin(nextBaseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0);
-            
-            const controlPointX = (x + nextX) / 2;
-            const controlPointY = (y + nextY) / 2 - 1;
-            
-            ctx.quadraticCurveTo(x, y - 3, controlPointX, controlPointY - 3);
+            // 直线运动
+            x = progress * window.innerWidth * particle.direction;
+            y = progress * 100;
         }
+        
+        particle.element.style.transform = `translate(${x}px, ${y}px)`;
+        
+        // 淡出效果
+        particle.element.style.opacity = Math.sin(progress * Math.PI) * 0.4 + 0.1;
+    });
+}
+
+/**
+ * 显示完成动画
+ * @param {string} message 完成信息文本
+ */
+function showCompletionAnimation(message) {
+    if (!completionAnimation || !completionText) return;
+    
+    // 设置完成文本
+    completionText.textContent = message;
+    
+    // 移除隐藏类以显示动画
+    completionAnimation.classList.remove('hidden');
+    
+    // 焦点移到弹窗内，屏幕阅读器会朗读弹窗内容；正在输入或使用命令面板时不抢走焦点，只播报
+    const active = document.activeElement;
+    if (!isEditableElement(active) && commandPaletteElement.classList.contains('hidden')) {
+        if (!completionAnimation.contains(active)) completionReturnFocus = active;
+        completionCloseBtn.focus();
+    } else {
+        announce(message, true);
     }
     
-    // 根据波浪高度动态调整高光
-    const highlightAlpha = Math.min(0.7, 0.2 + waveHeight / 100);
+    // 3秒后自动隐藏，或点击任何位置、按 Esc 隐藏
+    clearTimeout(completionTimeout);
+    completionTimeout = setTimeout(hideCompletionAnimation, COMPLETION_DISPLAY_TIME);
+}
+
+/**
+ * 隐藏完成动画，焦点在弹窗内时恢复到打开前的元素
+ */
+function hideCompletionAnimation() {
+    clearTimeout(completionTimeout);
+    completionTimeout = null;
+    if (!completionAnimation || completionAnimation.classList.contains('hidden')) return;
     
-    // 设置高光样式
-    ctx.strokeStyle = getColorWithAlpha('white', highlightAlpha);
-    ctx.lineWidth = 3;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.stroke();
+    const hadFocus = completionAnimation.contains(document.activeElement);
+    completionAnimation.classList.add('hidden');
+    if (hadFocus && completionReturnFocus && document.contains(completionReturnFocus)) {
+        completionReturnFocus.focus();
+    }
+    completionReturnFocus = null;
+}
+
+/**
+ * 完成动画的键盘操作：Esc 关闭，Tab 保持在弹窗内
+ * @param {KeyboardEvent} e
+ */
+function handleCompletionKey(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        hideCompletionAnimation();
+    } else if (e.key === 'Tab') {
+        // 弹窗中只有一个按钮
+        e.preventDefault();
+        completionCloseBtn.focus();
+    }
+}
+
+/**
+ * 加载任务清单
+ */
+function loadTasks() {
+    if (!taskListElement) return;
     
-    // 添加第二层柔和高光
-    ctx.beginPath();
-    for (let x = 0; x < width; x += 2) {
-        const baseX = x * 0.030 + waveOffset * 1.8;
-        const y = centerY + 
-                 Math.sin(baseX) * waveHeight +
-                 Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3) +
-                 Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15) +
-                 (isFocusMode && isRunning ? Math.sin(baseX * 0.8) * (waveHeight * 0.05 * attentionIntensity) : 0);
-        
-        if (x === 0) {
-            ctx.moveTo(x, y - 5);
-        } else {
-            ctx.lineTo(x, y - 5);
-        }
+    try {
+        activeTaskId = localStorage.getItem(ACTIVE_TASK_KEY);
+    } catch (e) {
+        // 保持内存中的选择
     }
     
-    ctx.strokeStyle = getColorWithAlpha('white', highlightAlpha * 0.4);
-    ctx.lineWidth = 5;
-    ctx.stroke();
+    taskStore.getAll()
+        .then(taskList => {
+            tasks = taskList;
+            // 已删除或已完成的任务不能作为当前任务
+            const activeTask = tasks.find(task => task.id === activeTaskId);
+            if (!activeTask || activeTask.done) setActiveTask(null);
+            renderTasks();
+        })
+        .catch(() => {
+            tasks = [];
+            renderTasks();
+        });
 }
 
 /**
- * 绘制波浪顶部边框
- * @param {number} width - 画布宽度
- * @param {number} centerY - Y轴中心点
- * @param {number} waveHeight - 波浪高度
+ * 渲染任务清单（未完成的在前）
  */
-function drawWaveBorder(width, centerY, waveHeight) {
-    ctx.beginPath();
+function renderTasks() {
+    taskListElement.innerHTML = '';
     
-    for (let x = 0; x < width; x++) {
-        // 与顶层波浪相同的计算，但添加微小变化
-        const y = centerY + 
-                 Math.sin(x * 0.030 + waveOffset * 1.8) * waveHeight +
-                 Math.sin(x * 0.051 + waveOffset * 1.62) * (waveHeight * 0.3) +
-                 Math.sin(x * 0.075 + waveOffset * 2.34) * (waveHeight * 0.15);
+    const sorted = tasks.slice().sort((a, b) => (a.done - b.done) || (a.createdAt - b.createdAt));
+    sorted.forEach(task => {
+        const item = document.createElement('li');
+        item.className = 'task-item' +
+            (task.done ? ' done' : '') +
+            (task.id === activeTaskId ? ' active' : '');
         
-        if (x === 0) {
-            ctx.moveTo(x, y);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = task.done;
+        checkbox.setAttribute('aria-label', t('tasks.complete', { title: task.title }));
+        checkbox.addEventListener('change', () => toggleTaskDone(task.id, checkbox.checked));
+        
+        const title = document.createElement('button');
+        title.type = 'button';
+        title.className = 'task-title';
+        title.textContent = task.title;
+        title.disabled = task.done;
+        title.setAttribute('aria-pressed', task.id === activeTaskId ? 'true' : 'false');
+        title.addEventListener('click', () => setActiveTask(task.id === activeTaskId ? null : task.id));
+        
+        // 实际 / 预估番茄钟数
+        const count = document.createElement('span');
+        count.className = 'task-count' + (task.completedPomodoros > task.estimate ? ' over' : '');
+        count.textContent = `🍅 ${task.completedPomodoros} / ${task.estimate}`;
+        count.title = t('tasks.count');
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'task-delete';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', t('tasks.delete', { title: task.title }));
+        remove.addEventListener('click', () => deleteTask(task.id));
+        
+        item.append(checkbox, title, count, remove);
+        taskListElement.appendChild(item);
+    });
+    
+    updateCurrentTaskLabel();
+}
+
+/**
+ * 更新计时器下方的当前任务显示
+ */
+function updateCurrentTaskLabel() {
+    if (!currentTaskElement) return;
+    
+    const task = tasks.find(item => item.id === activeTaskId);
+    currentTaskElement.textContent = task ? t('tasks.current', { title: task.title }) : '';
+    currentTaskElement.classList.toggle('hidden', !task);
+}
+
+/**
+ * 添加任务
+ * @param {Event} e - 表单提交事件
+ */
+function addTask(e) {
+    e.preventDefault();
+    
+    const title = taskTitleInput.value.trim();
+    if (!title) return;
+    const estimate = Math.min(20, Math.max(1, Math.round(Number(taskEstimateInput.value)) || 1));
+    
+    taskStore.add({ title, estimate })
+        .then(task => {
+            taskTitleInput.value = '';
+            taskEstimateInput.value = 1;
+            // 没有当前任务时自动选中新任务
+            if (!activeTaskId) setActiveTask(task.id);
+            loadTasks();
+        })
+        .catch(() => showNotification(t('tasks.saveFailed')));
+}
+
+/**
+ * 设置当前专注任务
+ * @param {string|null} id - 任务 id，null 表示不关联任务
+ */
+function setActiveTask(id) {
+    activeTaskId = id;
+    try {
+        if (id) {
+            localStorage.setItem(ACTIVE_TASK_KEY, id);
         } else {
-            ctx.lineTo(x, y);
+            localStorage.removeItem(ACTIVE_TASK_KEY);
         }
+    } catch (e) {
+        // 忽略
     }
     
-    // 设置边框样式，使用半透明效果
-    ctx.strokeStyle = getColorWithAlpha(waveColor, 0.8);
-    ctx.lineWidth = 2;
+    // 空闲时选择的任务会用于下一次专注
+    if (timerCore.isIdle || !timerCore.isFocus) {
+        sessionTaskId = null;
+    }
+    if (taskListElement) renderTasks();
+}
+
+/**
+ * 勾选或取消完成任务
+ * @param {string} id - 任务 id
+ * @param {boolean} done - 是否完成
+ */
+function toggleTaskDone(id, done) {
+    taskStore.update(id, { done, doneAt: done ? Date.now() : null })
+        .then(() => {
+            if (done && id === activeTaskId) setActiveTask(null);
+            loadTasks();
+        })
+        .catch(() => showNotification(t('tasks.updateFailed')));
+}
+
+/**
+ * 删除任务（已记录的会话保留任务 id）
+ * @param {string} id - 任务 id
+ */
+function deleteTask(id) {
+    const task = tasks.find(item => item.id === id);
+    if (!task || !window.confirm(t('tasks.confirmDelete', { title: task.title }))) return;
     
-    // 使用更平滑的线条
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
+    taskStore.delete(id)
+        .then(() => {
+            if (id === activeTaskId) setActiveTask(null);
+            loadTasks();
+        })
+        .catch(() => showNotification(t('tasks.deleteFailed')));
+}
+
+/**
+ * 重新加载历史会话并刷新统计视图
+ */
+function refreshStatistics() {
+    if (!statsCtx) return;
     
-    ctx.stroke();
+    sessionStore.getAll()
+        .then(sessions => {
+            statsSessions = sessions;
+            renderStatistics();
+        })
+        .catch(() => {
+            // IndexedDB 不可用时显示空统计
+            statsSessions = [];
+            renderStatistics();
+        });
 }
 
 /**
- * 更新专注时间
+ * 切换统计周期
+ * @param {string} range - day / week / month
  */
-function updateFocusTime() {
-    if (!isRunning) {
-        timeLeft = focusTimeInput.value * 60;
-        totalTime = timeLeft;
-        updateTimerDisplay();
-    }
-    validateWaveReminder();
+function setStatsRange(range) {
+    statsRange = range;
+    statsTabButtons.forEach(button => {
+        const isActive = button.dataset.range === range;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+    renderStatistics();
 }
 
 /**
- * 验证休息时间输入
+ * 渲染统计摘要和图表
  */
-function validateBreakTime() {
-    if (breakTimeInput.value < 1) breakTimeInput.value = 1;
-    if (breakTimeInput.value > 30) breakTimeInput.value = 30;
+function renderStatistics() {
+    if (!statsCtx) return;
+    
+    const stats = computeStatistics(statsSessions, Date.now());
+    
+    document.getElementById('statsToday').textContent = i18n.formatNumber(Math.round(stats.todayMinutes));
+    document.getElementById('statsCompletion').textContent = stats.completionRate === null ?
+        '--' : i18n.formatPercent(stats.completionRate);
+    document.getElementById('statsBestHour').textContent = stats.bestHour === null ?
+        '--' : formatHourRange(stats.bestHour);
+    document.getElementById('statsStreak').textContent = i18n.formatNumber(stats.currentStreak);
+    document.getElementById('statsStreakLabel').textContent = t('stats.streak', { longest: stats.longestStreak });
+    
+    drawStatsChart(stats[statsRange]);
 }
 
 /**
- * 验证波浪提醒间隔输入
+ * 计算专注统计数据
+ * @param {Object[]} sessions - 历史会话
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 统计结果
  */
-function validateWaveReminder() {
-    const maxReminder = focusTimeInput.value;
-    if (waveReminderInput.value > maxReminder) {
-        waveReminderInput.value = maxReminder;
+function computeStatistics(sessions, now) {
+    const focusSessions = sessions.filter(session => session.phase === TIMER_PHASE.FOCUS);
+    
+    // 按日/周/月汇总专注分钟数
+    const sumMinutes = (start, end) => focusSessions
+        .filter(session => session.startTime >= start && session.startTime < end)
+        .reduce((sum, session) => sum + session.actualDuration / 60, 0);
+    
+    const buildBuckets = (count, getStart, step) => {
+        const buckets = [];
+        const current = getStart(new Date(now));
+        for (let i = count - 1; i >= 0; i--) {
+            const start = step(current, -i);
+            const end = step(current, -i + 1);
+            buckets.push({ start, minutes: sumMinutes(start.getTime(), end.getTime()) });
+        }
+        return buckets;
+    };
+    
+    const day = buildBuckets(14, startOfDay, addDays);
+    const week = buildBuckets(8, startOfWeek, (date, n) => addDays(date, n * 7));
+    const month = buildBuckets(6, startOfMonth, addMonths);
+    
+    // 完成率：完成的专注 / （完成 + 提前重置）
+    const completedCount = focusSessions.filter(session => session.completed).length;
+    const resetCount = focusSessions.filter(session => session.resetEarly).length;
+    const completionRate = completedCount + resetCount > 0 ?
+        completedCount / (completedCount + resetCount) : null;
+    
+    // 最佳时段：专注分钟数最多的小时
+    const hourTotals = new Array(24).fill(0);
+    focusSessions.forEach(session => {
+        hourTotals[new Date(session.startTime).getHours()] += session.actualDuration / 60;
+    });
+    const maxHourMinutes = Math.max(...hourTotals);
+    const bestHour = maxHourMinutes > 0 ? hourTotals.indexOf(maxHourMinutes) : null;
+    
+    // 连续天数：有完成专注的日期
+    const activeDays = new Set(focusSessions
+        .filter(session => session.completed)
+        .map(session => startOfDay(new Date(session.startTime)).getTime()));
+    
+    const today = startOfDay(new Date(now));
+    let cursor = activeDays.has(today.getTime()) ? today : addDays(today, -1);
+    let currentStreak = 0;
+    while (activeDays.has(cursor.getTime())) {
+        currentStreak++;
+        cursor = addDays(cursor, -1);
     }
-    if (waveReminderInput.value < 1) waveReminderInput.value = 1;
+    
+    let longestStreak = 0;
+    activeDays.forEach(dayTime => {
+        // 只从连续区间的第一天开始计数
+        if (activeDays.has(addDays(new Date(dayTime), -1).getTime())) return;
+        let length = 0;
+        let date = new Date(dayTime);
+        while (activeDays.has(date.getTime())) {
+            length++;
+            date = addDays(date, 1);
+        }
+        longestStreak = Math.max(longestStreak, length);
+    });
+    
+    return {
+        day,
+        week,
+        month,
+        todayMinutes: day[day.length - 1].minutes,
+        completedCount,
+        resetCount,
+        completionRate,
+        hourTotals,
+        bestHour,
+        currentStreak,
+        longestStreak
+    };
 }
 
-// 窗口大小变化时调整画布
-window.addEventListener('resize', () => {
-    if (window.innerWidth < 500) {
-        waveCanvas.width = window.innerWidth - 80;
-    } else {
-        waveCanvas.width = 400;
+/**
+ * 获取某天零点
+ * @param {Date} date - 日期
+ * @returns {Date} 当天零点
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * 获取所在周的周一零点
+ * @param {Date} date - 日期
+ * @returns {Date} 周一零点
+ */
+function startOfWeek(date) {
+    const day = startOfDay(date);
+    const offset = (day.getDay() + 6) % 7; // 周一为一周的第一天
+    return addDays(day, -offset);
+}
+
+/**
+ * 获取所在月的第一天零点
+ * @param {Date} date - 日期
+ * @returns {Date} 当月第一天
+ */
+function startOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+/**
+ * 日期加减天数（按日历计算，不受夏令时影响）
+ * @param {Date} date - 日期
+ * @param {number} days - 天数
+ * @returns {Date} 新日期
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * 日期加减月数
+ * @param {Date} date - 日期
+ * @param {number} months - 月数
+ * @returns {Date} 新日期
+ */
+function addMonths(date, months) {
+    return new Date(date.getFullYear(), date.getMonth() + months, 1);
+}
+
+/**
+ * 格式化统计图表的横轴标签（按界面语言，如 "3/15"、"3月" 或 "Mar"）
+ * @param {Date} date - 区间开始日期
+ * @returns {string} 标签文本
+ */
+function formatStatsLabel(date) {
+    if (statsRange === 'month') {
+        return i18n.formatDate(date, { month: 'short' });
     }
-});
+    return i18n.formatDate(date, { month: 'numeric', day: 'numeric' });
+}
 
 /**
- * 模拟注意力波动（专注模式下）
+ * 格式化最佳时段（按界面语言的时间格式，如 "09:00-10:00" 或 "9:00 AM-10:00 AM"）
+ * @param {number} hour - 开始的小时 0~23
+ * @returns {string}
  */
-function simulateAttentionFluctuation() {
-    // 每30秒注意力会有一定的波动
-    const timeSinceLastBoost = lastAttentionBoostTime - timeLeft;
+function formatHourRange(hour) {
+    const format = { hour: 'numeric', minute: '2-digit' };
+    const day = startOfDay(new Date());
+    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour + 1);
+    return `${i18n.formatDate(start, format)}-${i18n.formatDate(end, format)}`;
+}
+
+/**
+ * 绘制专注时间柱状图
+ * 与波浪画布一样直接使用 Canvas 绘制，不依赖图表库
+ * @param {Object[]} buckets - 统计区间 [{ start, minutes }]
+ */
+function drawStatsChart(buckets) {
+    const width = statsCanvas.width;
+    const height = statsCanvas.height;
+    const padding = { top: 24, right: 12, bottom: 30, left: 40 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    
+    statsCtx.clearRect(0, 0, width, height);
+    
+    // 纵轴最大值取整到10分钟
+    const maxMinutes = Math.max(...buckets.map(bucket => bucket.minutes));
+    const axisMax = Math.max(10, Math.ceil(maxMinutes / 10) * 10);
+    
+    // 绘制网格线和纵轴刻度
+    statsCtx.font = '11px "Segoe UI", "Microsoft YaHei", sans-serif';
+    statsCtx.textAlign = 'right';
+    statsCtx.textBaseline = 'middle';
+    const gridLines = 4;
+    for (let i = 0; i <= gridLines; i++) {
+        const y = padding.top + chartHeight - (chartHeight * i) / gridLines;
+        statsCtx.strokeStyle = colorWithAlpha(activeTheme.surface.text, i === 0 ? 0.3 : 0.08);
+        statsCtx.lineWidth = 1;
+        statsCtx.beginPath();
+        statsCtx.moveTo(padding.left, y);
+        statsCtx.lineTo(width - padding.right, y);
+        statsCtx.stroke();
+        
+        statsCtx.fillStyle = activeTheme.surface.textMuted;
+        statsCtx.fillText(i18n.formatNumber(Math.round((axisMax * i) / gridLines)), padding.left - 6, y);
+    }
+    
+    // 绘制柱子
+    const slotWidth = chartWidth / buckets.length;
+    const barWidth = Math.max(4, slotWidth * 0.6);
+    const labelStep = buckets.length > 8 ? 2 : 1;
+    
+    buckets.forEach((bucket, index) => {
+        const x = padding.left + slotWidth * index + (slotWidth - barWidth) / 2;
+        const barHeight = (bucket.minutes / axisMax) * chartHeight;
+        const y = padding.top + chartHeight - barHeight;
+        
+        if (barHeight > 0) {
+            const gradient = statsCtx.createLinearGradient(0, y, 0, padding.top + chartHeight);
+            gradient.addColorStop(0, activeTheme.colors.focus);
+            gradient.addColorStop(1, activeTheme.colors.focusAccent);
+            statsCtx.fillStyle = gradient;
+            statsCtx.beginPath();
+            statsCtx.moveTo(x, padding.top + chartHeight);
+            statsCtx.lineTo(x, y + Math.min(4, barHeight));
+            statsCtx.quadraticCurveTo(x, y, x + Math.min(4, barWidth / 2), y);
+            statsCtx.lineTo(x + barWidth - Math.min(4, barWidth / 2), y);
+            statsCtx.quadraticCurveTo(x + barWidth, y, x + barWidth, y + Math.min(4, barHeight));
+            statsCtx.lineTo(x + barWidth, padding.top + chartHeight);
+            statsCtx.closePath();
+            statsCtx.fill();
+            
+            // 柱顶数值
+            statsCtx.fillStyle = activeTheme.surface.text;
+            statsCtx.textAlign = 'center';
+            statsCtx.textBaseline = 'bottom';
+            statsCtx.fillText(i18n.formatNumber(Math.round(bucket.minutes)), x + barWidth / 2, y - 2);
+        }
+        
+        // 横轴标签
+        if (index % labelStep === (buckets.length - 1) % labelStep) {
+            statsCtx.fillStyle = activeTheme.surface.textMuted;
+            statsCtx.textAlign = 'center';
+            statsCtx.textBaseline = 'top';
+            statsCtx.fillText(formatStatsLabel(bucket.start), x + barWidth / 2, padding.top + chartHeight + 8);
+        }
+    });
     
-    if (timeSinceLastBoost > 30) {
-        // 注意力随时间自然下降（使用非线性衰减）
-        const decayFactor = Math.max(0.7, 1 - (timeSinceLastBoost / 300));
-        attentionIntensity = Math.max(0.7, decayFactor);
+    // 没有数据时显示提示
+    if (maxMinutes === 0) {
+        statsCtx.fillStyle = activeTheme.surface.textMuted;
+        statsCtx.font = '14px "Segoe UI", "Microsoft YaHei", sans-serif';
+        statsCtx.textAlign = 'center';
+        statsCtx.textBaseline = 'middle';
+        statsCtx.fillText(t('stats.empty'), width / 2, padding.top + chartHeight / 2);
     }
 }
 
+// 历史记录导出文件格式版本
+const BACKUP_FORMAT_VERSION = 1;
+
+// CSV 导出的列
+const CSV_COLUMNS = ['id', 'phase', 'startTime', 'endTime', 'plannedDuration', 'actualDuration',
+    'pauseCount', 'pausedSeconds', 'remindersFired', 'outcome'];
+
 /**
- * 添加波纹效果
+ * 获取当前计时设置
+ * @returns {Object} 设置快照
  */
-function addRippleEffect() {
-    const ripple = {
-        centerX: waveCanvas.width / 2,
-        centerY: waveCanvas.height / 2,
-        radius: 0,
-        maxRadius: Math.min(waveCanvas.width, waveCanvas.height) * 0.8,
-        speed: 3,
-        opacity: 1.0,
-        color: getColorWithAlpha(waveColor, 0.7)
+function getSettingsSnapshot() {
+    return {
+        focusTime: Number(focusTimeInput.value),
+        breakTime: Number(breakTimeInput.value),
+        waveReminder: Number(waveReminderInput.value),
+        longBreakTime: Number(longBreakTimeInput.value),
+        longBreakInterval: Number(longBreakIntervalInput.value),
+        autoStartBreak: autoStartBreakInput.checked,
+        autoStartFocus: autoStartFocusInput.checked,
+        focusCheckIn: focusCheckInInput.checked,
+        systemNotifications: systemNotificationsInput.checked,
+        theme: themeMode,
+        customTheme: normalizeCustomTheme(customTheme),
+        visualization: visualRendererId,
+        waveStyle: normalizeWaveStyle(waveStyle),
+        renderingQuality: qualityManager.mode,
+        guidedBreathing: guidedBreathingInput.checked,
+        breathingPattern: breathingPatternSelect.value,
+        breathingCustom: getCustomBreathingDurations(),
+        breathingCues: breathingCuesInput.checked,
+        volume: Number(volumeInput.value),
+        muted: muteInput.checked,
+        sounds: getSoundSelection(),
+        ambientSound: ambientSoundSelect.value,
+        ambientVolume: Number(ambientVolumeInput.value),
+        tickingSound: tickingSoundInput.checked,
+        countdownSound: countdownSoundInput.checked,
+        announceInterval: Number(announceIntervalSelect.value),
+        sonifiedProgress: sonifiedProgressInput.checked,
+        attentionModel: attentionModel.id,
+        attentionParams: Object.assign({}, attentionModel.params)
+    };
+}
+
+/**
+ * 应用设置快照到设置面板，并经过现有的校验规则
+ * @param {Object} settings - 设置快照（缺少的项保持不变）
+ */
+function applySettingsSnapshot(settings) {
+    const numberInputs = {
+        focusTime: focusTimeInput,
+        breakTime: breakTimeInput,
+        waveReminder: waveReminderInput,
+        longBreakTime: longBreakTimeInput,
+        longBreakInterval: longBreakIntervalInput
     };
+    Object.keys(numberInputs).forEach(key => {
+        const value = Number(settings[key]);
+        if (Number.isFinite(value)) {
+            const input = numberInputs[key];
+            input.value = Math.min(Number(input.max), Math.max(Number(input.min), Math.round(value)));
+        }
+    });
+    if (typeof settings.autoStartBreak === 'boolean') autoStartBreakInput.checked = settings.autoStartBreak;
+    if (typeof settings.autoStartFocus === 'boolean') autoStartFocusInput.checked = settings.autoStartFocus;
+    if (typeof settings.focusCheckIn === 'boolean') focusCheckInInput.checked = settings.focusCheckIn;
+    if (typeof settings.systemNotifications === 'boolean') {
+        // 权限被收回时视为关闭
+        systemNotificationsInput.checked = settings.systemNotifications && systemNotifier.isGranted;
+    }
+    applyThemeSnapshot(settings);
+    if (typeof settings.visualization === 'string') setVisualization(settings.visualization);
+    if (settings.waveStyle && typeof settings.waveStyle === 'object') {
+        waveStyle = normalizeWaveStyle(settings.waveStyle);
+        renderWaveStyleControls();
+    }
+    if (typeof settings.renderingQuality === 'string') qualityManager.setMode(settings.renderingQuality);
+    applyBreathingSnapshot(settings);
+    applySoundSnapshot(settings);
+    if (settings.announceInterval !== undefined) {
+        announceIntervalSelect.value = String(normalizeAnnounceInterval(settings.announceInterval));
+    }
+    if (typeof settings.sonifiedProgress === 'boolean') sonifiedProgressInput.checked = settings.sonifiedProgress;
     
-    rippleEffects.push(ripple);
+    validateBreakTime();
+    validateLongBreakTime();
+    validateLongBreakInterval();
+    validateWaveReminder();
+    applyTimerSettings();
+    
+    // 未包含注意力模型的设置（如旧预设）保持当前模型
+    if (typeof settings.attentionModel === 'string') {
+        setAttentionModel(settings.attentionModel, settings.attentionParams);
+    } else {
+        setAttentionModel(attentionModel.id, attentionModel.params);
+    }
 }
 
 /**
- * 添加模式切换波纹效果
+ * 从本地存储加载设置和预设，并应用正在使用的预设
  */
-function addModeTransitionRipples() {
-    const rippleCount = 3;
-    const centerX = waveCanvas.width / 2;
-    const centerY = waveCanvas.height / 2;
+function loadSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch (e) {
+        saved = null;
+    }
     
-    for (let i = 0; i < rippleCount; i++) {
-        setTimeout(() => {
-            const ripple = {
-                centerX: centerX + (Math.random() - 0.5) * 20,
-                centerY: centerY + (Math.random() - 0.5) * 20,
-                radius: 0,
-                maxRadius: Math.min(waveCanvas.width, waveCanvas.height) * 0.8,
-                speed: 2 + i, // 每个波纹速度递增
-                opacity: 0.8,
-                color: getColorWithAlpha(isFocusMode ? '#e74c3c' : '#27ae60', 0.7)
-            };
-            
-            rippleEffects.push(ripple);
-        }, i * 200);
+    if (saved && Array.isArray(saved.presets)) {
+        settingsState = {
+            activePresetId: saved.activePresetId || null,
+            presets: saved.presets.filter(preset => preset && preset.id && preset.name && preset.settings),
+            current: saved.current || null,
+            // 旧版本保存的设置没有此标记：其中已有注意力模型时视为用户已选择过，不再自动切换
+            attentionModelChosen: typeof saved.attentionModelChosen === 'boolean' ?
+                saved.attentionModelChosen : Boolean(saved.current && typeof saved.current.attentionModel === 'string')
+        };
+    } else {
+        // 首次使用：写入内置预设，默认使用「学习 25/5」
+        settingsState = {
+            activePresetId: 'study',
+            presets: DEFAULT_PRESETS.map(preset => Object.assign({}, preset, {
+                settings: Object.assign({}, preset.settings)
+            })),
+            current: null,
+            attentionModelChosen: false
+        };
+    }
+    
+    const activePreset = findPreset(settingsState.activePresetId);
+    if (activePreset) {
+        applySettingsSnapshot(Object.assign({}, settingsState.current, activePreset.settings));
+    } else {
+        settingsState.activePresetId = null;
+        if (settingsState.current) applySettingsSnapshot(settingsState.current);
     }
+    
+    settingsState.current = getSettingsSnapshot();
+    renderPresetOptions();
+    saveSettings();
 }
 
 /**
- * 更新波纹效果
+ * 保存设置到本地存储
  */
-function updateRippleEffects() {
-    for (let i = rippleEffects.length - 1; i >= 0; i--) {
-        const ripple = rippleEffects[i];
-        
-        // 更新波纹半径
-        ripple.radius += ripple.speed;
-        
-        // 更新透明度（随半径增加而降低）
-        ripple.opacity = 1 - (ripple.radius / ripple.maxRadius);
-        
-        // 如果波纹超出最大半径或透明度为0，移除它
-        if (ripple.radius > ripple.maxRadius || ripple.opacity <= 0) {
-            rippleEffects.splice(i, 1);
-        }
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settingsState));
+    } catch (e) {
+        // 本地存储不可用时只在本次会话中生效
+    }
+}
+
+/**
+ * 设置变化 - 保存当前设置，与预设不一致时切换为自定义
+ */
+function handleSettingsChange() {
+    settingsState.current = getSettingsSnapshot();
+    
+    const activePreset = findPreset(settingsState.activePresetId);
+    if (activePreset && !isSameSettings(activePreset.settings, settingsState.current)) {
+        settingsState.activePresetId = null;
     }
+    
+    renderPresetOptions();
+    saveSettings();
 }
 
 /**
- * 绘制波纹效果
+ * 判断设置是否与预设一致（只比较预设中包含的项）
+ * @param {Object} presetSettings - 预设的设置
+ * @param {Object} settings - 当前设置
+ * @returns {boolean} 是否一致
  */
-function drawRippleEffects() {
-    for (let i = 0; i < rippleEffects.length; i++) {
-        const ripple = rippleEffects[i];
-        
-        ctx.beginPath();
-        ctx.arc(ripple.centerX, ripple.centerY, ripple.radius, 0, Math.PI * 2);
-        
-        // 设置波纹样式
-        ctx.strokeStyle = getColorWithAlpha(ripple.color, ripple.opacity);
-        ctx.lineWidth = 2;
-        
-        ctx.stroke();
-        
-        // 添加内环波纹效果
-        if (ripple.radius > 30) {
-            ctx.beginPath();
-            ctx.arc(ripple.centerX, ripple.centerY, ripple.radius * 0.7, 0, Math.PI * 2);
-            ctx.strokeStyle = getColorWithAlpha(ripple.color, ripple.opacity * 0.7);
-            ctx.lineWidth = 1.5;
-            ctx.stroke();
-        }
-        
-        if (ripple.radius > 60) {
-            ctx.beginPath();
-            ctx.arc(ripple.centerX, ripple.centerY, ripple.radius * 0.4, 0, Math.PI * 2);
-            ctx.strokeStyle = getColorWithAlpha(ripple.color, ripple.opacity * 0.5);
-            ctx.lineWidth = 1;
-            ctx.stroke();
-        }
-    }
+function isSameSettings(presetSettings, settings) {
+    return Object.keys(presetSettings).every(key =>
+        JSON.stringify(presetSettings[key]) === JSON.stringify(settings[key]));
+}
+
+/**
+ * 按 id 查找预设
+ * @param {string} id - 预设 id
+ * @returns {Object|undefined} 预设
+ */
+function findPreset(id) {
+    return settingsState.presets.find(preset => preset.id === id);
 }
 
 /**
- * 计算指定位置的波纹效果影响
- * @param {number} x - X坐标
- * @param {number} y - Y坐标
- * @returns {number} 波纹效果对该点的影响值
+ * 渲染预设下拉选项
  */
-function calculateRippleEffect(x, y) {
-    let effect = 0;
+function renderPresetOptions() {
+    if (!presetSelect) return;
     
-    for (let i = 0; i < rippleEffects.length; i++) {
-        const ripple = rippleEffects[i];
-        
-        // 计算点到波纹中心的距离
-        const distance = Math.sqrt(Math.pow(x - ripple.centerX, 2) + Math.pow(y - ripple.centerY, 2));
-        
-        // 如果点在波纹范围内，计算影响
-        if (Math.abs(distance - ripple.radius) < 15) {
-            // 计算影响强度（距离波纹边缘越近，影响越大）
-            const intensity = 1 - Math.abs(distance - ripple.radius) / 15;
-            effect += Math.sin(distance * 0.02) * 3 * intensity * ripple.opacity;
-        }
+    presetSelect.innerHTML = '';
+    if (!settingsState.activePresetId) {
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = t('preset.custom');
+        presetSelect.appendChild(customOption);
     }
+    settingsState.presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = getPresetName(preset);
+        presetSelect.appendChild(option);
+    });
+    presetSelect.value = settingsState.activePresetId || '';
     
-    return effect;
+    // 没有选中预设时不能重命名或删除
+    document.getElementById('presetRenameBtn').disabled = !settingsState.activePresetId;
+    document.getElementById('presetDeleteBtn').disabled = !settingsState.activePresetId;
 }
 
 /**
- * 绘制波浪阴影（增强深度感）
- * @param {number} width - 画布宽度
- * @param {number} height - 画布高度
- * @param {number} centerY - Y轴中心点
- * @param {number} waveHeight - 波浪高度
+ * 切换到指定预设
+ * @param {string} id - 预设 id
  */
-function drawWaveShadow(width, height, centerY, waveHeight) {
-    ctx.save();
+function selectPreset(id) {
+    const preset = findPreset(id);
+    if (!preset) return;
     
-    // 使用模糊滤镜
-    ctx.filter = 'blur(10px)';
+    applySettingsSnapshot(preset.settings);
+    settingsState.activePresetId = preset.id;
+    settingsState.current = getSettingsSnapshot();
     
-    ctx.beginPath();
-    ctx.moveTo(0, centerY + 10);
+    // 校验可能调整了预设中的数值，同步回预设
+    Object.keys(preset.settings).forEach(key => {
+        preset.settings[key] = settingsState.current[key];
+    });
     
-    for (let x = 0; x < width; x++) {
-        const baseX = x * 0.015 + waveOffset * 0.7;
-        const y = centerY + 10 + 
-                 Math.sin(baseX) * waveHeight +
-                 Math.sin(baseX * 1.6 + 1.0) * (waveHeight * 0.25);
-        
-        ctx.lineTo(x, y);
-    }
+    renderPresetOptions();
+    saveSettings();
+    showNotification(t('preset.switched', { name: getPresetName(preset) }));
+}
+
+/**
+ * 将当前设置另存为新预设
+ */
+function createPreset() {
+    const snapshot = getSettingsSnapshot();
+    const name = window.prompt(t('preset.promptName'),
+        t('preset.customName', { focus: snapshot.focusTime, break: snapshot.breakTime }));
+    if (name === null || !name.trim()) return;
     
-    ctx.lineTo(width, height);
-    ctx.lineTo(0, height);
-    ctx.closePath();
+    const preset = {
+        id: `preset-${Date.now().toString(36)}`,
+        name: name.trim().slice(0, 30),
+        settings: snapshot
+    };
+    settingsState.presets.push(preset);
+    settingsState.activePresetId = preset.id;
+    settingsState.current = snapshot;
     
-    // 使用半透明黑色作为阴影
-    ctx.fillStyle = getColorWithAlpha('black', 0.1);
-    ctx.fill();
+    renderPresetOptions();
+    saveSettings();
+}
+
+/**
+ * 重命名当前预设
+ */
+function renamePreset() {
+    const preset = findPreset(settingsState.activePresetId);
+    if (!preset) return;
     
-    // 重置滤镜
-    ctx.filter = 'none';
-    ctx.restore();
+    const name = window.prompt(t('preset.promptRename'), getPresetName(preset));
+    if (name === null || !name.trim()) return;
+    
+    preset.name = name.trim().slice(0, 30);
+    renderPresetOptions();
+    saveSettings();
 }
 
 /**
- * 绘制波浪反射效果
- * @param {number} width - 画布宽度
- * @param {number} height - 画布高度
- * @param {number} centerY - Y轴中心点
- * @param {number} waveHeight - 波浪高度
+ * 删除当前预设（当前设置保持不变）
  */
-function drawWaveReflection(width, height, centerY, waveHeight) {
-    ctx.save();
+function deletePreset() {
+    const preset = findPreset(settingsState.activePresetId);
+    if (!preset || !window.confirm(t('preset.confirmDelete', { name: getPresetName(preset) }))) return;
     
-    // 仅在画布下半部分绘制反射
-    if (centerY < height / 2) return;
+    settingsState.presets = settingsState.presets.filter(item => item.id !== preset.id);
+    settingsState.activePresetId = null;
     
-    ctx.globalAlpha = 0.15;
-    ctx.beginPath();
-    ctx.moveTo(0, centerY);
+    renderPresetOptions();
+    saveSettings();
+}
+
+/**
+ * 导出历史记录
+ * @param {string} format - csv / json / ics
+ */
+function exportHistory(format) {
+    Promise.all([sessionStore.getAll(), taskStore.getAll()])
+        .then(([sessions, taskList]) => {
+            const date = new Date();
+            const stamp = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+            
+            if (format === 'csv') {
+                downloadFile(`conwave-history-${stamp}.csv`, sessionsToCsv(sessions), 'text/csv;charset=utf-8');
+            } else if (format === 'ics') {
+                downloadFile(`conwave-focus-${stamp}.ics`, sessionsToIcs(sessions), 'text/calendar;charset=utf-8');
+            } else {
+                const backup = {
+                    app: 'ConWaveTimer',
+                    version: BACKUP_FORMAT_VERSION,
+                    exportedAt: date.toISOString(),
+                    settings: getSettingsSnapshot(),
+                    sessions,
+                    tasks: taskList
+                };
+                downloadFile(`conwave-backup-${stamp}.json`, JSON.stringify(backup, null, 2), 'application/json');
+            }
+        })
+        .catch(() => showNotification(t('history.exportFailed')));
+}
+
+/**
+ * 触发浏览器下载
+ * @param {string} filename - 文件名
+ * @param {string} content - 文件内容
+ * @param {string} type - MIME 类型
+ */
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 会话列表转为 CSV（带 BOM，便于表格软件识别中文）
+ * @param {Object[]} sessions - 会话列表
+ * @returns {string} CSV 文本
+ */
+function sessionsToCsv(sessions) {
+    const escapeCsv = value => {
+        const text = String(value === undefined || value === null ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
     
-    for (let x = 0; x < width; x++) {
-        const baseX = x * 0.030 + waveOffset * 1.8;
-        // 反射效果是波浪的镜像
-        const y = centerY - 
-                 (Math.sin(baseX) * waveHeight +
-                 Math.sin(baseX * 1.7 + 1.2) * (waveHeight * 0.3) +
-                 Math.sin(baseX * 2.5 + 0.5) * (waveHeight * 0.15));
-        
-        ctx.lineTo(x, y);
-    }
+    const rows = sessions.map(session => {
+        const pausedSeconds = Math.round(session.pauses.reduce((sum, pause) => sum + (pause.end - pause.start), 0) / 1000);
+        return [
+            session.id,
+            session.phase,
+            new Date(session.startTime).toISOString(),
+            new Date(session.endTime).toISOString(),
+            session.plannedDuration,
+            session.actualDuration,
+            session.pauses.length,
+            pausedSeconds,
+            session.remindersFired,
+            session.outcome
+        ].map(escapeCsv).join(',');
+    });
     
-    ctx.lineTo(width, height);
-    ctx.lineTo(0, height);
-    ctx.closePath();
+    return '\uFEFF' + [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+/**
+ * 专注会话转为 iCalendar，每个专注时段对应一个日历事件
+ * @param {Object[]} sessions - 会话列表
+ * @returns {string} .ics 文本
+ */
+function sessionsToIcs(sessions) {
+    const formatIcsDate = time => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escapeIcsText = text => String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+    const outcomeLabel = outcome => i18n.label(`history.outcome.${outcome}`, outcome);
     
-    // 使用波浪颜色的渐变作为反射
-    const gradient = ctx.createLinearGradient(0, centerY, 0, height);
-    gradient.addColorStop(0, getColorWithAlpha(waveColor, 0.3));
-    gradient.addColorStop(1, getColorWithAlpha(waveColor, 0));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ConWaveTimer//专注力波浪计时器//ZH',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeIcsText(t('ics.calendarName'))}`
+    ];
+    const stamp = formatIcsDate(Date.now());
     
-    ctx.fillStyle = gradient;
-    ctx.fill();
+    sessions
+        .filter(session => session.phase === TIMER_PHASE.FOCUS && session.endTime > session.startTime)
+        .forEach(session => {
+            const description = t('ics.description', {
+                planned: Math.round(session.plannedDuration / 60),
+                actual: Math.round(session.actualDuration / 60),
+                pauses: session.pauses.length,
+                reminders: session.remindersFired
+            });
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${escapeIcsText(session.id)}@conwavetimer`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatIcsDate(session.startTime)}`,
+                `DTEND:${formatIcsDate(session.endTime)}`,
+                `SUMMARY:${escapeIcsText(t('ics.summary', { outcome: outcomeLabel(session.outcome) }))}`,
+                `DESCRIPTION:${escapeIcsText(description)}`,
+                'END:VEVENT'
+            );
+        });
     
-    ctx.restore();
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
 }
 
 /**
- * 更新进度条显示
+ * 按 RFC 5545 折叠超过 75 字节的行
+ * @param {string} line - 原始行
+ * @returns {string} 折叠后的行
  */
-function updateProgressBar() {
-    if (!progressBar) return;
-    
-    const percentage = ((totalTime - timeLeft) / totalTime) * 100;
-    progressBar.style.width = `${percentage}%`;
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
     
-    // 根据模式和状态改变进度条颜色
-    if (isFocusMode) {
-        progressBar.style.background = `linear-gradient(90deg, #e74c3c, #f39c12)`;
-    } else {
-        progressBar.style.background = `linear-gradient(90deg, #27ae60, #1abc9c)`;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // 续行以一个空格开头，占用 1 字节
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
     }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * 处理导入文件
+ * @param {Event} e - 文件选择事件
+ */
+function handleImportFile(e) {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
     
-    // 暂停时添加暂停效果
-    if (isPaused) {
-        progressBar.style.opacity = '0.7';
+    const reader = new FileReader();
+    reader.onload = () => {
+        let parsed;
+        try {
+            parsed = parseImportFile(String(reader.result), file.name);
+        } catch (error) {
+            showImportReport(t('import.failed', { reason: error.message }), []);
+            return;
+        }
+        importSessions(parsed);
+    };
+    reader.onerror = () => showImportReport(t('import.failed', { reason: t('import.readFailed') }), []);
+    reader.readAsText(file);
+    
+    // 允许重复选择同一文件
+    importFileInput.value = '';
+}
+
+/**
+ * 解析导入文件（JSON 备份或 CSV）
+ * @param {string} text - 文件内容
+ * @param {string} filename - 文件名
+ * @returns {Object} { sessions, invalid, settings, tasks }
+ */
+function parseImportFile(text, filename) {
+    const content = text.replace(/^\uFEFF/, '');
+    let rawSessions;
+    let settings = null;
+    let importedTasks = [];
+    
+    if (/\.csv$/i.test(filename) || /^id,phase,/.test(content)) {
+        rawSessions = parseCsvSessions(content);
     } else {
-        progressBar.style.opacity = '1';
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(t('import.error.invalidFile'));
+        }
+        if (Array.isArray(data)) {
+            rawSessions = data;
+        } else if (data && data.app === 'ConWaveTimer' && Array.isArray(data.sessions)) {
+            if (data.version > BACKUP_FORMAT_VERSION) {
+                throw new Error(t('import.error.newerVersion'));
+            }
+            rawSessions = data.sessions;
+            settings = data.settings && typeof data.settings === 'object' ? data.settings : null;
+            importedTasks = Array.isArray(data.tasks) ? data.tasks.map(normalizeImportedTask).filter(Boolean) : [];
+        } else {
+            throw new Error(t('import.error.unrecognized'));
+        }
     }
+    
+    const sessions = [];
+    const invalid = [];
+    rawSessions.forEach((raw, index) => {
+        const session = normalizeImportedSession(raw);
+        if (session) {
+            sessions.push(session);
+        } else {
+            invalid.push(index + 1);
+        }
+    });
+    
+    return { sessions, invalid, settings, tasks: importedTasks };
 }
 
 /**
- * 初始化背景粒子效果
+ * 解析导出的 CSV 会话
+ * @param {string} text - CSV 内容
+ * @returns {Object[]} 原始会话数据
  */
-function initBackgroundParticles() {
-    if (!particlesContainer) return;
-    
-    const particleCount = 30; // 粒子数量
+function parseCsvSessions(text) {
+    const rows = parseCsv(text).filter(row => row.some(cell => cell !== ''));
+    if (rows.length === 0) throw new Error(t('import.error.emptyCsv'));
     
-    for (let i = 0; i < particleCount; i++) {
-        createParticle();
-    }
+    const header = rows[0];
+    const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) throw new Error(t('import.error.missingColumns', { columns: missing.join(', ') }));
     
-    // 定期更新粒子
-    setInterval(() => {
-        // 移除已经消失的粒子
-        const particles = particlesContainer.querySelectorAll('.particle');
-        particles.forEach(particle => {
-            if (particle.style.opacity <= 0) {
-                particle.remove();
-            }
+    return rows.slice(1).map(row => {
+        const record = {};
+        header.forEach((column, index) => {
+            record[column] = row[index];
         });
         
-        // 根据需要添加新粒子
-        if (particles.length < particleCount) {
-            const missingCount = particleCount - particles.length;
-            for (let i = 0; i < missingCount; i++) {
-                createParticle();
+        // CSV 只有暂停汇总，导入为一个等长的暂停区间
+        const pausedMs = Number(record.pausedSeconds) * 1000;
+        const startTime = Date.parse(record.startTime);
+        return {
+            id: record.id,
+            phase: record.phase,
+            startTime,
+            endTime: Date.parse(record.endTime),
+            plannedDuration: Number(record.plannedDuration),
+            actualDuration: Number(record.actualDuration),
+            pauses: Number(record.pauseCount) > 0 && pausedMs > 0 ?
+                [{ start: startTime, end: startTime + pausedMs }] : [],
+            remindersFired: Number(record.remindersFired),
+            outcome: record.outcome
+        };
+    });
+}
+
+/**
+ * 简单的 RFC 4180 CSV 解析
+ * @param {string} text - CSV 内容
+ * @returns {string[][]} 行列数据
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
         }
-    }, 500);
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
 }
 
 /**
- * 创建单个背景粒子
+ * 校验并规范化导入的会话
+ * @param {Object} raw - 原始数据
+ * @returns {Object|null} 规范化的会话，无效时返回 null
  */
-function createParticle() {
-    if (!particlesContainer) return;
-    
-    const particle = document.createElement('div');
-    particle.classList.add('particle');
-    
-    // 随机大小
-    const size = Math.random() * 4 + 1;
-    particle.style.width = `${size}px`;
-    particle.style.height = `${size}px`;
-    
-    // 随机位置
-    particle.style.left = `${Math.random() * 100}%`;
-    particle.style.top = `${Math.random() * 100}%`;
+function normalizeImportedSession(raw) {
+    if (!raw || typeof raw !== 'object') return null;
     
-    // 随机动画参数
-    const duration = Math.random() * 10 + 10;
-    const delay = Math.random() * 5;
-    const direction = Math.random() > 0.5 ? 1 : -1;
+    const isTime = value => Number.isFinite(value) && value > 0;
+    const isDuration = value => Number.isFinite(value) && value >= 0;
+    const outcomes = ['completed', 'skipped', 'reset'];
     
-    // 随机动画路径（正弦波或直线）
-    const animationType = Math.random() > 0.5 ? 'wave' : 'straight';
+    if (!Object.values(TIMER_PHASE).includes(raw.phase)) return null;
+    if (!isTime(raw.startTime) || !isTime(raw.endTime) || raw.endTime < raw.startTime) return null;
+    if (!isDuration(raw.plannedDuration) || !isDuration(raw.actualDuration)) return null;
     
-    // 设置样式
-    particle.style.position = 'absolute';
-    particle.style.borderRadius = '50%';
-    particle.style.opacity = Math.random() * 0.5 + 0.1;
-    particle.style.pointerEvents = 'none';
-    particle.style.animation = animationType === 'wave' ? 
-        `particleFloat ${duration}s linear infinite` : 
-        `particleMove ${duration}s linear infinite`;
-    particle.style.animationDelay = `${delay}s`;
-    particle.style.transform = `translateY(0px) translateX(0px)`;
+    const pauses = raw.pauses === undefined ? [] : raw.pauses;
+    if (!Array.isArray(pauses) || !pauses.every(pause => pause &&
+        isTime(pause.start) && isTime(pause.end) && pause.end >= pause.start)) {
+        return null;
+    }
     
-    // 随机颜色，匹配主题
-    const colors = ['rgba(231, 76, 60, 0.5)', 'rgba(52, 152, 219, 0.5)', 
-                   'rgba(46, 204, 113, 0.5)', 'rgba(155, 89, 182, 0.5)'];
-    particle.style.background = colors[Math.floor(Math.random() * colors.length)];
+    const outcome = outcomes.includes(raw.outcome) ? raw.outcome : (raw.completed ? 'completed' : 'reset');
+    const remindersFired = Number.isInteger(raw.remindersFired) && raw.remindersFired >= 0 ? raw.remindersFired : 0;
     
-    particlesContainer.appendChild(particle);
+    const session = {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : `${raw.phase}-${raw.startTime}`,
+        phase: raw.phase,
+        startTime: raw.startTime,
+        endTime: raw.endTime,
+        plannedDuration: raw.plannedDuration,
+        actualDuration: raw.actualDuration,
+        pauses: pauses.map(pause => ({ start: pause.start, end: pause.end })),
+        remindersFired,
+        outcome,
+        completed: outcome === 'completed',
+        resetEarly: outcome === 'reset'
+    };
+    if (typeof raw.taskId === 'string' && raw.taskId) {
+        session.taskId = raw.taskId;
+    }
+    if (Array.isArray(raw.checkIns)) {
+        const checkIns = raw.checkIns.filter(checkIn => checkIn &&
+            Number.isInteger(checkIn.rating) && checkIn.rating >= 1 && checkIn.rating <= 5 &&
+            isDuration(checkIn.sinceBoost) && isDuration(checkIn.elapsed) && isTime(checkIn.at))
+            .map(checkIn => ({ rating: checkIn.rating, sinceBoost: checkIn.sinceBoost, elapsed: checkIn.elapsed, at: checkIn.at }));
+        if (checkIns.length > 0) session.checkIns = checkIns;
+    }
+    if (raw.phase !== TIMER_PHASE.FOCUS && Number.isInteger(raw.breathCycles) && raw.breathCycles > 0) {
+        session.breathCycles = raw.breathCycles;
+    }
+    return session;
+}
+
+/**
+ * 校验并规范化导入的任务
+ * @param {Object} raw - 原始数据
+ * @returns {Object|null} 规范化的任务，无效时返回 null
+ */
+function normalizeImportedTask(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.id !== 'string' || !raw.id || typeof raw.title !== 'string' || !raw.title.trim()) return null;
     
-    // 添加粒子动画
-    animateParticle(particle, duration, direction, animationType);
+    const toCount = (value, fallback) => Number.isInteger(value) && value >= 0 ? value : fallback;
+    return {
+        id: raw.id,
+        title: raw.title.trim().slice(0, 60),
+        estimate: Math.max(1, toCount(raw.estimate, 1)),
+        completedPomodoros: toCount(raw.completedPomodoros, 0),
+        done: raw.done === true,
+        createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+        doneAt: Number.isFinite(raw.doneAt) ? raw.doneAt : null
+    };
+}
+
+/**
+ * 比较两条会话的核心数据是否一致
+ * @param {Object} a - 会话
+ * @param {Object} b - 会话
+ * @returns {boolean} 是否一致
+ */
+function isSameSession(a, b) {
+    return a.phase === b.phase &&
+        a.startTime === b.startTime &&
+        Math.abs(a.endTime - b.endTime) < 1000 &&
+        a.actualDuration === b.actualDuration &&
+        a.outcome === b.outcome;
 }
 
 /**
- * 动画单个粒子
+ * 将导入会话与现有历史合并：新记录写入，重复记录跳过，冲突记录只报告不覆盖
+ * @param {Object[]} existing - 现有会话
+ * @param {Object[]} incoming - 导入的会话
+ * @returns {Object} { added, duplicates, conflicts }
  */
-function animateParticle(particle, duration, direction, type) {
-    let startTime = null;
+function mergeImportedSessions(existing, incoming) {
+    const byId = new Map(existing.map(session => [session.id, session]));
+    const byStart = new Map(existing.map(session => [`${session.phase}-${session.startTime}`, session]));
+    const added = [];
+    const duplicates = [];
+    const conflicts = [];
     
-    function animate(timestamp) {
-        if (!startTime) startTime = timestamp;
-        const elapsed = timestamp - startTime;
-        const progress = (elapsed % (duration * 1000)) / (duration * 1000);
-        
-        let x, y;
-        
-        if (type === 'wave') {
-            // 波浪运动
-            x = progress * window.innerWidth * direction;
-            y = Math.sin(progress * Math.PI * 4) * 50;
+    incoming.forEach(session => {
+        const match = byId.get(session.id) || byStart.get(`${session.phase}-${session.startTime}`);
+        if (!match) {
+            added.push(session);
+            byId.set(session.id, session);
+            byStart.set(`${session.phase}-${session.startTime}`, session);
+        } else if (isSameSession(match, session)) {
+            duplicates.push(session);
         } else {
-            // 直线运动
-            x = progress * window.innerWidth * direction;
-            y = progress * 100;
+            conflicts.push({ existing: match, incoming: session });
         }
-        
-        particle.style.transform = `translate(${x}px, ${y}px)`;
-        
-        // 淡出效果
-        particle.style.opacity = Math.sin(progress * Math.PI) * 0.4 + 0.1;
-        
-        requestAnimationFrame(animate);
-    }
+    });
     
-    requestAnimationFrame(animate);
+    return { added, duplicates, conflicts };
 }
 
 /**
- * 显示完成动画
- * @param {string} message 完成信息文本
+ * 导入会话和设置
+ * @param {Object} parsed - parseImportFile() 的结果
  */
-function showCompletionAnimation(message) {
-    if (!completionAnimation || !completionText) return;
+function importSessions(parsed) {
+    sessionStore.getAll()
+        .then(existing => {
+            const result = mergeImportedSessions(existing, parsed.sessions);
+            return Promise.all(result.added.map(session => sessionStore.put(session))).then(() => result);
+        })
+        .then(result => importTasks(parsed.tasks).then(addedTasks => {
+            result.addedTasks = addedTasks;
+            return result;
+        }))
+        .then(result => {
+            const lines = [];
+            result.conflicts.forEach(conflict => {
+                lines.push(t('import.conflict', {
+                    time: i18n.formatDate(conflict.incoming.startTime, { dateStyle: 'medium', timeStyle: 'short' }),
+                    phase: getPhaseLabel(conflict.incoming.phase)
+                }));
+            });
+            if (parsed.invalid.length > 0) {
+                lines.push(t('import.invalid', { rows: i18n.formatList(parsed.invalid) }));
+            }
+            if (result.addedTasks > 0) {
+                lines.push(t('import.addedTasks', { count: result.addedTasks }));
+            }
+            
+            // 设置与当前不同时先询问，避免静默覆盖
+            if (parsed.settings) {
+                const current = getSettingsSnapshot();
+                const imported = {};
+                Object.keys(current).forEach(key => {
+                    if (parsed.settings[key] !== undefined) imported[key] = parsed.settings[key];
+                });
+                if (!isSameSettings(imported, current) && window.confirm(t('import.confirmSettings'))) {
+                    applySettingsSnapshot(parsed.settings);
+                    handleSettingsChange();
+                    lines.push(t('import.settingsRestored'));
+                }
+            }
+            
+            showImportReport(
+                t('import.summary', {
+                    added: result.added.length,
+                    duplicates: result.duplicates.length,
+                    conflicts: result.conflicts.length
+                }),
+                lines
+            );
+            refreshStatistics();
+            loadTasks();
+            loadAttentionCalibration();
+        })
+        .catch(() => showImportReport(t('import.failed', { reason: t('import.writeFailed') }), []));
+}
+
+/**
+ * 导入备份中的任务（已存在的任务保持不变）
+ * @param {Object[]} importedTasks - 规范化后的任务
+ * @returns {Promise<number>} 新增任务数
+ */
+function importTasks(importedTasks) {
+    if (importedTasks.length === 0) return Promise.resolve(0);
     
-    // 设置完成文本
-    completionText.textContent = message;
+    return taskStore.getAll().then(existing => {
+        const existingIds = new Set(existing.map(task => task.id));
+        const added = importedTasks.filter(task => !existingIds.has(task.id));
+        return Promise.all(added.map(task => taskStore.put(task))).then(() => added.length);
+    });
+}
+
+/**
+ * 显示导入结果报告
+ * @param {string} summary - 摘要
+ * @param {string[]} details - 详细信息
+ */
+function showImportReport(summary, details) {
+    showNotification(summary);
+    if (!importReportElement) return;
     
-    // 移除隐藏类以显示动画
-    completionAnimation.classList.remove('hidden');
+    importReportElement.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'import-report-summary';
+    title.textContent = summary;
+    importReportElement.appendChild(title);
     
-    // 添加点击关闭功能
-    function closeOnClick() {
-        completionAnimation.classList.add('hidden');
-        completionAnimation.removeEventListener('click', closeOnClick);
+    if (details.length > 0) {
+        const list = document.createElement('ul');
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        importReportElement.appendChild(list);
     }
-    
-    // 3秒后自动隐藏，或点击任何位置隐藏
-    setTimeout(() => {
-        completionAnimation.classList.add('hidden');
-        completionAnimation.removeEventListener('click', closeOnClick);
-    }, 3000);
-    
-    completionAnimation.addEventListener('click', closeOnClick);
+    importReportElement.classList.remove('hidden');
+}
+
+/**
+ * 获取阶段名称（简称，如「专注」）
+ * @param {string} phase - 阶段
+ * @returns {string} 阶段名称
+ */
+function getPhaseLabel(phase) {
+    return i18n.label(`phaseShort.${phase}`, phase);
+}
+
+/**
+ * 获取计时器上显示的阶段名称（如「专注时间」）
+ * @param {string} phase - 阶段
+ * @returns {string} 阶段名称
+ */
+function getPhaseTitle(phase) {
+    return i18n.label(`phase.${phase}`, phase);
 }
 
 // 添加粒子相关的CSS动画样式
@@ -1374,5 +4895,27 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
-// 初始化应用
-window.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
+// 初始化应用（先恢复刷新前的计时状态）
+window.addEventListener('DOMContentLoaded', () => {
+    translatePage();
+    renderLanguageOptions();
+    bindTimerCoreEvents();
+    renderAttentionModelOptions();
+    renderSoundOptions();
+    renderThemeOptions();
+    renderVisualizationOptions();
+    renderWaveStyleControls();
+    initRenderingQuality();
+    initCanvasLayout();
+    loadShortcuts();
+    renderBreathingOptions();
+    renderAccessibilityOptions();
+    loadSettings();
+    restoreTimerState();
+    initApp();
+    registerServiceWorker().then(registration => {
+        systemNotifier.attach(registration);
+        scheduleSystemNotifications();
+    });
+    handleLaunchAction();
+});
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * 专注力波浪计时器 - 会话历史与任务存储
+ * 将每次专注/休息会话和任务清单保存到本地 IndexedDB，并提供简单的查询接口，
+ * 供历史记录、统计、任务和导出功能使用
+ */
+
+const SESSION_DB_NAME = 'conWaveTimer';
+const SESSION_DB_VERSION = 2;
+const SESSION_STORE_NAME = 'sessions';
+const TASK_STORE_NAME = 'tasks';
+
+/**
+ * 打开数据库，并在版本升级时创建所需的对象仓库
+ * @param {IDBFactory} idb - IndexedDB 实现
+ * @param {string} dbName - 数据库名称
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+function openHistoryDatabase(idb, dbName) {
+    return new Promise((resolve, reject) => {
+        if (!idb) {
+            reject(new Error('当前环境不支持 IndexedDB'));
+            return;
+        }
+
+        const request = idb.open(dbName, SESSION_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SESSION_STORE_NAME)) {
+                const store = db.createObjectStore(SESSION_STORE_NAME, { keyPath: 'id' });
+                store.createIndex('startTime', 'startTime');
+                store.createIndex('phase', 'phase');
+            }
+            // 版本 2：任务清单
+            if (!db.objectStoreNames.contains(TASK_STORE_NAME)) {
+                const store = db.createObjectStore(TASK_STORE_NAME, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB 对象仓库的基础封装
+ */
+class IndexedStore {
+    /**
+     * @param {string} storeName - 对象仓库名称
+     * @param {Object} [options]
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB 实现，默认使用全局对象
+     * @param {string} [options.dbName] - 数据库名称
+     */
+    constructor(storeName, options = {}) {
+        this.storeName = storeName;
+        this.idb = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || SESSION_DB_NAME;
+        this.dbPromise = null;
+    }
+
+    /**
+     * 打开数据库（只打开一次）
+     * @returns {Promise<IDBDatabase>} 数据库连接
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = openHistoryDatabase(this.idb, this.dbName);
+
+        // 打开失败时允许稍后重试
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * 在对象仓库上执行一次事务
+     * @param {string} mode - 事务模式（readonly / readwrite）
+     * @param {Function} operation - 接收对象仓库，返回 IDBRequest 或结果
+     * @returns {Promise<*>} 请求结果
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            let result;
+
+            const request = operation(store);
+            if (request && typeof request.onsuccess !== 'undefined') {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            } else {
+                result = request;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * 写入或覆盖一条记录
+     * @param {Object} record - 包含 id 的记录
+     * @returns {Promise<string>} 记录 id
+     */
+    async put(record) {
+        await this.transaction('readwrite', store => store.put(record));
+        return record.id;
+    }
+
+    /**
+     * 按 id 获取记录
+     * @param {string} id - 记录 id
+     * @returns {Promise<Object|undefined>} 记录
+     */
+    get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    /**
+     * 统计记录数量
+     * @returns {Promise<number>} 记录总数
+     */
+    count() {
+        return this.transaction('readonly', store => store.count());
+    }
+
+    /**
+     * 删除一条记录
+     * @param {string} id - 记录 id
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 清空全部记录
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * 会话历史存储
+ *
+ * 会话记录字段：
+ * - id: 唯一标识
+ * - phase: 阶段（focus / break / longBreak）
+ * - startTime / endTime: 开始和结束时间戳（毫秒）
+ * - plannedDuration / actualDuration: 计划时长和实际计时时长（秒，不含暂停）
+ * - pauses: 暂停区间 [{ start, end }]
+ * - remindersFired: 触发的波浪提醒次数
+ * - outcome: 结束方式（completed / skipped / reset）
+ * - completed / resetEarly: 是否完成、是否被提前重置
+ * - taskId: 专注会话所属的任务（可选）
+ */
+class SessionStore extends IndexedStore {
+    /**
+     * @param {Object} [options] - 见 IndexedStore
+     */
+    constructor(options = {}) {
+        super(SESSION_STORE_NAME, options);
+    }
+
+    /**
+     * 添加一条会话记录
+     * @param {Object} session - 会话数据（无 id 时自动生成）
+     * @returns {Promise<string>} 会话 id
+     */
+    async add(session) {
+        const record = Object.assign({ id: createSessionId(session) }, session);
+        await this.transaction('readwrite', store => store.add(record));
+        return record.id;
+    }
+
+    /**
+     * 获取全部会话（按开始时间排序）
+     * @returns {Promise<Object[]>} 会话列表
+     */
+    getAll() {
+        return this.query();
+    }
+
+    /**
+     * 查询会话
+     * @param {Object} [filter]
+     * @param {number} [filter.from] - 开始时间下限（含）
+     * @param {number} [filter.to] - 开始时间上限（不含）
+     * @param {string} [filter.phase] - 只返回指定阶段
+     * @param {boolean} [filter.completed] - 只返回已完成或未完成的会话
+     * @param {number} [filter.limit] - 最多返回条数
+     * @param {boolean} [filter.reverse] - 是否按时间倒序
+     * @returns {Promise<Object[]>} 会话列表
+     */
+    query(filter = {}) {
+        const { from, to, phase, completed, limit, reverse = false } = filter;
+        const range = createTimeRange(from, to);
+
+        return this.transaction('readonly', store => {
+            const results = [];
+            const request = store.index('startTime').openCursor(range, reverse ? 'prev' : 'next');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                const session = cursor.value;
+                if ((phase === undefined || session.phase === phase) &&
+                    (completed === undefined || session.completed === completed)) {
+                    results.push(session);
+                }
+                if (limit === undefined || results.length < limit) {
+                    cursor.continue();
+                }
+            };
+            return results;
+        });
+    }
+}
+
+/**
+ * 任务清单存储
+ *
+ * 任务字段：
+ * - id: 唯一标识
+ * - title: 任务名称
+ * - estimate: 预估番茄钟数
+ * - completedPomodoros: 已完成的专注番茄钟数
+ * - done: 是否已完成
+ * - createdAt / doneAt: 创建和完成时间戳
+ */
+class TaskStore extends IndexedStore {
+    /**
+     * @param {Object} [options] - 见 IndexedStore
+     */
+    constructor(options = {}) {
+        super(TASK_STORE_NAME, options);
+    }
+
+    /**
+     * 添加任务
+     * @param {Object} task - 任务数据（无 id 时自动生成）
+     * @returns {Promise<Object>} 保存后的任务
+     */
+    async add(task) {
+        const record = Object.assign({
+            id: `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            estimate: 1,
+            completedPomodoros: 0,
+            done: false,
+            createdAt: Date.now(),
+            doneAt: null
+        }, task);
+        await this.transaction('readwrite', store => store.add(record));
+        return record;
+    }
+
+    /**
+     * 获取全部任务（按创建时间排序）
+     * @returns {Promise<Object[]>} 任务列表
+     */
+    getAll() {
+        return this.transaction('readonly', store => store.index('createdAt').getAll());
+    }
+
+    /**
+     * 更新任务的部分字段
+     * @param {string} id - 任务 id
+     * @param {Object|Function} patch - 要更新的字段，或接收原任务返回新字段的函数
+     * @returns {Promise<Object|undefined>} 更新后的任务
+     */
+    update(id, patch) {
+        return this.transaction('readwrite', store => {
+            const result = {};
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const changes = typeof patch === 'function' ? patch(request.result) : patch;
+                result.task = Object.assign(request.result, changes);
+                store.put(result.task);
+            };
+            return result;
+        }).then(result => result.task);
+    }
+}
+
+/**
+ * 生成会话 id
+ * @param {Object} session - 会话数据
+ * @returns {string} 唯一 id
+ */
+function createSessionId(session) {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${session.phase || 'session'}-${session.startTime || Date.now()}-${random}`;
+}
+
+/**
+ * 根据时间上下限创建索引范围
+ * @param {number} [from] - 下限（含）
+ * @param {number} [to] - 上限（不含）
+ * @returns {IDBKeyRange|undefined} 索引范围
+ */
+function createTimeRange(from, to) {
+    if (from !== undefined && to !== undefined) return IDBKeyRange.bound(from, to, false, true);
+    if (from !== undefined) return IDBKeyRange.lowerBound(from);
+    if (to !== undefined) return IDBKeyRange.upperBound(to, true);
+    return undefined;
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionStore, TaskStore };
+}
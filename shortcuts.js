@@ -0,0 +1,203 @@
+/**
+ * 专注力波浪计时器 - 键盘快捷键
+ * 负责把键盘事件规范化为快捷键文本（如 "Ctrl+K"、"Space"）、提供默认绑定并检查冲突，
+ * 与界面无关；命令本身和命令面板在 script.js 中实现
+ */
+
+// 快捷键文本中修饰键的顺序
+const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+/**
+ * 默认快捷键（命令 id -> 快捷键，空字符串表示默认不绑定，可在设置中指定）
+ */
+const DEFAULT_SHORTCUTS = {
+    toggleTimer: 'Space',
+    reset: 'R',
+    skip: 'S',
+    extend: '+',
+    shorten: '-',
+    toggleMute: 'M',
+    announceStatus: 'I',
+    addTask: 'T',
+    openSettings: '',
+    openStats: '',
+    exportCsv: '',
+    exportJson: '',
+    exportIcs: '',
+    importHistory: '',
+    commandPalette: 'Ctrl+K'
+};
+
+/**
+ * 保留的按键：用于焦点切换、弹窗和专注自评，不能绑定为快捷键
+ * （按键 -> 用途 id：focus 切换焦点、confirm 确认、close 关闭弹窗、checkIn 专注自评）
+ */
+const RESERVED_SHORTCUTS = {
+    Tab: 'focus',
+    'Shift+Tab': 'focus',
+    Enter: 'confirm',
+    Escape: 'close',
+    1: 'checkIn',
+    2: 'checkIn',
+    3: 'checkIn',
+    4: 'checkIn',
+    5: 'checkIn'
+};
+
+// 按键的显示名称
+const SHORTCUT_KEY_LABELS = {
+    Space: '空格',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Meta: '⌘'
+};
+
+/**
+ * 从键盘事件得到快捷键文本
+ * 字母统一为大写；符号（如 +、?）本身已包含 Shift，因此不再记录 Shift
+ * @param {KeyboardEvent} event - keydown 事件
+ * @returns {string|null} 快捷键文本，只按下修饰键时返回 null
+ */
+function getShortcutFromEvent(event) {
+    const key = event.key;
+    if (!key || ['Control', 'Alt', 'Shift', 'Meta', 'Dead', 'Unidentified', 'Process'].includes(key)) return null;
+
+    let name;
+    if (key === ' ' || key === 'Spacebar') {
+        name = 'Space';
+    } else if (key.length === 1) {
+        name = key.toUpperCase();
+    } else {
+        name = key;
+    }
+
+    // 单个符号（非字母、非数字）已由 Shift 决定，避免同一按键在不同布局下需要不同写法
+    const isSymbol = name.length === 1 && !/[A-Z0-9]/.test(name);
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey && !isSymbol) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return modifiers.concat(name).join('+');
+}
+
+/**
+ * 拆分快捷键文本
+ * @param {string} shortcut - 如 "Ctrl+Shift+K"、"+"、"Ctrl++"
+ * @returns {string[]} 修饰键和按键
+ */
+function splitShortcut(shortcut) {
+    const parts = shortcut.split('+');
+    // 按键本身是 "+" 时末尾会拆出两个空字符串
+    if (parts.length >= 2 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') {
+        parts.splice(-2, 2, '+');
+    }
+    return parts;
+}
+
+/**
+ * 规范化快捷键文本（修饰键排序、字母大写），无效时返回 null
+ * @param {*} shortcut - 快捷键文本
+ * @returns {string|null}
+ */
+function normalizeShortcut(shortcut) {
+    if (typeof shortcut !== 'string' || !shortcut) return null;
+
+    const parts = splitShortcut(shortcut);
+    const key = parts.pop();
+    if (!key || parts.some(part => !SHORTCUT_MODIFIERS.includes(part))) return null;
+
+    const modifiers = SHORTCUT_MODIFIERS.filter(modifier => parts.includes(modifier));
+    return modifiers.concat(key.length === 1 ? key.toUpperCase() : key).join('+');
+}
+
+/**
+ * 规范化保存的快捷键绑定：缺少或无效的项使用默认值，空字符串表示用户取消了绑定
+ * 与其他命令重复或使用保留按键的绑定也恢复为默认值（默认值同样冲突时取消绑定）
+ * @param {Object} raw - 命令 id -> 快捷键
+ * @returns {Object} 命令 id -> 快捷键
+ */
+function normalizeShortcutBindings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const bindings = {};
+
+    Object.keys(DEFAULT_SHORTCUTS).forEach(command => {
+        if (source[command] === '') {
+            bindings[command] = '';
+            return;
+        }
+        const shortcut = normalizeShortcut(source[command]);
+        if (shortcut && !findShortcutConflict(bindings, command, shortcut)) {
+            bindings[command] = shortcut;
+        } else {
+            const fallback = DEFAULT_SHORTCUTS[command];
+            bindings[command] = findShortcutConflict(bindings, command, fallback) ? '' : fallback;
+        }
+    });
+    return bindings;
+}
+
+/**
+ * 检查把快捷键绑定到命令时是否冲突
+ * @param {Object} bindings - 当前绑定
+ * @param {string} command - 要绑定的命令 id
+ * @param {string} shortcut - 快捷键文本
+ * @returns {Object|null} { command } 与其他命令冲突，{ reserved } 为保留按键（值为用途 id），不冲突时为 null
+ */
+function findShortcutConflict(bindings, command, shortcut) {
+    if (!shortcut) return null;
+    if (RESERVED_SHORTCUTS[shortcut]) return { reserved: RESERVED_SHORTCUTS[shortcut] };
+
+    const other = Object.keys(bindings).find(id => id !== command && bindings[id] === shortcut);
+    return other ? { command: other } : null;
+}
+
+/**
+ * 查找与快捷键对应的命令
+ * @param {Object} bindings - 当前绑定
+ * @param {string} shortcut - 快捷键文本
+ * @returns {string|null} 命令 id
+ */
+function findShortcutCommand(bindings, shortcut) {
+    if (!shortcut) return null;
+    return Object.keys(bindings).find(id => bindings[id] === shortcut) || null;
+}
+
+/**
+ * 快捷键的显示文本，如 "Ctrl + K"、"空格"
+ * @param {string} shortcut - 快捷键文本
+ * @param {Object} [keyLabels] - 按键的显示名称，默认使用 SHORTCUT_KEY_LABELS（界面语言不是中文时传入译名）
+ * @returns {string}
+ */
+function formatShortcut(shortcut, keyLabels = SHORTCUT_KEY_LABELS) {
+    if (!shortcut) return '';
+    return splitShortcut(shortcut).map(part => keyLabels[part] || part).join(' + ');
+}
+
+/**
+ * 快捷键对应的 aria-keyshortcuts 属性值（如 "Control+K"）
+ * @param {string} shortcut - 快捷键文本
+ * @returns {string}
+ */
+function getAriaKeyShortcut(shortcut) {
+    if (!shortcut) return '';
+    return splitShortcut(shortcut).map(part => (part === 'Ctrl' ? 'Control' : part)).join('+');
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SHORTCUTS,
+        RESERVED_SHORTCUTS,
+        SHORTCUT_KEY_LABELS,
+        getShortcutFromEvent,
+        normalizeShortcut,
+        normalizeShortcutBindings,
+        findShortcutConflict,
+        findShortcutCommand,
+        formatShortcut,
+        getAriaKeyShortcut
+    };
+}
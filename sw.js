@@ -0,0 +1,189 @@
+/**
+ * 专注力波浪计时器 - Service Worker
+ * 1. 离线缓存：安装时预缓存全部静态资源，之后优先从缓存读取；发布新版本时修改 CACHE_VERSION
+ * 2. 系统通知：按页面发来的计划在指定时间显示通知，并处理通知按钮：
+ *    - start-break / start-focus: 打开页面并开始下一阶段
+ *    - snooze: 5 分钟后再次提醒
+ */
+
+// 缓存版本（修改任何预缓存资源后都要更新）
+const CACHE_VERSION = 'v27';
+const CACHE_NAME = `conWaveTimer-${CACHE_VERSION}`;
+
+// 预缓存的静态资源
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'i18n.js',
+    'color-utils.js',
+    'theme.js',
+    'timer-core.js',
+    'timer-settings.js',
+    'attention-model.js',
+    'session-store.js',
+    'system-notifier.js',
+    'audio-engine.js',
+    'quality-manager.js',
+    'shortcuts.js',
+    'accessibility.js',
+    'renderers.js',
+    'water-surface.js',
+    'breathing-guide.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// 稍后提醒的延迟（毫秒）
+const SNOOZE_DELAY = 5 * 60 * 1000;
+
+// 已安排的通知：tag -> { timeoutId, done }
+const scheduledNotifications = new Map();
+
+self.addEventListener('install', event => {
+    // 新版本安装后进入等待，由页面提示用户更新
+    // 绕过 HTTP 缓存，确保取到与新版本一致的资源
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', event => {
+    // 清理旧版本缓存
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('conWaveTimer-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(respondFromCache(request));
+});
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+
+    if (message.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (message.type === 'schedule' && message.notification) {
+        // 在通知显示前保持 Service Worker 运行
+        event.waitUntil(scheduleNotification(message.notification));
+    } else if (message.type === 'cancel') {
+        cancelNotification(message.tag);
+    }
+});
+
+self.addEventListener('notificationclick', event => {
+    const notification = event.notification;
+    const data = notification.data || {};
+    notification.close();
+
+    if (event.action === 'snooze') {
+        event.waitUntil(scheduleNotification(Object.assign({}, data, {
+            at: Date.now() + SNOOZE_DELAY
+        })));
+        return;
+    }
+
+    event.waitUntil(openApp(event.action, notification.tag));
+});
+
+/**
+ * 缓存优先：页面导航忽略查询参数（如 ?action=start-focus）返回缓存的首页，
+ * 未缓存的资源从网络获取
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} 响应
+ */
+async function respondFromCache(request) {
+    const cached = request.mode === 'navigate' ?
+        await caches.match('index.html') :
+        await caches.match(request);
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            // Service Worker 中无法读取页面选择的语言，提示同时使用中文和英文
+            return new Response('离线状态下无法打开页面，请联网后重试\nYou are offline. Please reconnect and try again.', {
+                status: 503,
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * 安排通知（替换同标签的已安排通知）
+ * @param {Object} notification - { tag, at, title, body, actions }
+ * @returns {Promise<void>} 通知显示或被取消后完成
+ */
+function scheduleNotification(notification) {
+    cancelNotification(notification.tag);
+
+    return new Promise(resolve => {
+        const timeoutId = setTimeout(() => {
+            scheduledNotifications.delete(notification.tag);
+            showNotification(notification).then(resolve, resolve);
+        }, Math.max(0, notification.at - Date.now()));
+
+        scheduledNotifications.set(notification.tag, { timeoutId, done: resolve });
+    });
+}
+
+/**
+ * 取消已安排的通知
+ * @param {string} tag - 通知标签
+ */
+function cancelNotification(tag) {
+    const scheduled = scheduledNotifications.get(tag);
+    if (!scheduled) return;
+
+    clearTimeout(scheduled.timeoutId);
+    scheduled.done();
+    scheduledNotifications.delete(tag);
+}
+
+/**
+ * 显示通知（页面正在前台时由页面内提示负责，不再弹出）
+ * @param {Object} notification - { tag, title, body, actions }
+ * @returns {Promise<void>}
+ */
+async function showNotification(notification) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.some(client => client.visibilityState === 'visible' && client.focused)) return;
+
+    await self.registration.showNotification(notification.title, {
+        body: notification.body,
+        tag: notification.tag,
+        renotify: true,
+        requireInteraction: notification.tag === 'phase-end',
+        actions: notification.actions || [],
+        data: notification
+    });
+}
+
+/**
+ * 聚焦已打开的页面并转发按钮操作，没有页面时打开新页面
+ * @param {string} action - 按钮操作（点击通知本身时为空）
+ * @param {string} tag - 通知标签
+ * @returns {Promise<void>}
+ */
+async function openApp(action, tag) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows[0];
+
+    if (client) {
+        await client.focus();
+        if (action) client.postMessage({ type: 'notification-action', action, tag });
+        return;
+    }
+
+    await self.clients.openWindow(action ? `./?action=${encodeURIComponent(action)}` : './');
+}
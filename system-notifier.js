@@ -0,0 +1,144 @@
+/**
+ * 专注力波浪计时器 - 系统通知
+ * 通过 Service Worker（sw.js）提前安排阶段结束和波浪提醒的系统通知，
+ * 页面在后台被节流时也能准时弹出；不支持 Service Worker 时退回页面内定时器
+ */
+
+// 系统通知的标签（同一标签的通知会互相替换）
+const NOTIFICATION_TAG = {
+    PHASE_END: 'phase-end',
+    REMINDER: 'wave-reminder'
+};
+
+// 页面在后台时重新发送计划的间隔（毫秒），使 Service Worker 保持运行
+const NOTIFICATION_KEEPALIVE_INTERVAL = 60 * 1000;
+
+/**
+ * 系统通知管理
+ */
+class SystemNotifier {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onAction] - 点击通知按钮时的回调 (action, tag)
+     */
+    constructor(options = {}) {
+        this.onAction = options.onAction || (() => {});
+        this.registration = null;
+        this.fallbackTimers = {}; // 无 Service Worker 时的页面定时器
+        this.lastSentAt = 0;
+    }
+
+    /**
+     * 当前环境是否支持系统通知
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return typeof Notification !== 'undefined';
+    }
+
+    /**
+     * 是否已获得通知权限
+     * @returns {boolean}
+     */
+    get isGranted() {
+        return this.isSupported && Notification.permission === 'granted';
+    }
+
+    /**
+     * 请求通知权限
+     * @returns {Promise<boolean>} 是否获得权限
+     */
+    requestPermission() {
+        if (!this.isSupported) return Promise.resolve(false);
+        if (Notification.permission !== 'default') return Promise.resolve(this.isGranted);
+
+        return Promise.resolve(Notification.requestPermission())
+            .then(permission => permission === 'granted')
+            .catch(() => false);
+    }
+
+    /**
+     * 使用已注册的 Service Worker 安排通知，并接收通知按钮点击的消息
+     * @param {ServiceWorkerRegistration|null} registration - 注册结果，为 null 时使用页面定时器
+     */
+    attach(registration) {
+        this.registration = registration;
+        if (!registration || typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+
+        navigator.serviceWorker.addEventListener('message', event => {
+            const message = event.data || {};
+            if (message.type === 'notification-action') {
+                this.onAction(message.action, message.tag);
+            }
+        });
+    }
+
+    /**
+     * 安排一条系统通知（替换同标签的已安排通知）
+     * @param {string} tag - 通知标签
+     * @param {Object} notification
+     * @param {number} notification.at - 显示时间戳（毫秒）
+     * @param {string} notification.title - 标题
+     * @param {string} notification.body - 正文
+     * @param {Object[]} [notification.actions] - 按钮 [{ action, title }]
+     */
+    schedule(tag, notification) {
+        if (!this.isGranted) return;
+
+        const worker = this.registration && this.registration.active;
+        this.lastSentAt = Date.now();
+        if (worker) {
+            worker.postMessage({ type: 'schedule', notification: Object.assign({ tag }, notification) });
+            return;
+        }
+
+        // 退回页面定时器：后台时可能被节流而延迟，且无法显示按钮
+        this.clearFallback(tag);
+        this.fallbackTimers[tag] = setTimeout(() => {
+            delete this.fallbackTimers[tag];
+            if (typeof document !== 'undefined' && !document.hidden) return;
+            try {
+                new Notification(notification.title, { body: notification.body, tag });
+            } catch (e) {
+                // 部分移动端浏览器只允许通过 Service Worker 显示通知
+            }
+        }, Math.max(0, notification.at - Date.now()));
+    }
+
+    /**
+     * 取消已安排的通知
+     * @param {string} tag - 通知标签
+     */
+    cancel(tag) {
+        this.clearFallback(tag);
+
+        const worker = this.registration && this.registration.active;
+        if (worker) {
+            worker.postMessage({ type: 'cancel', tag });
+        }
+    }
+
+    /**
+     * 页面在后台时是否需要重新发送计划（保持 Service Worker 运行）
+     * @returns {boolean}
+     */
+    needsKeepAlive() {
+        return Boolean(this.registration) && Date.now() - this.lastSentAt >= NOTIFICATION_KEEPALIVE_INTERVAL;
+    }
+
+    /**
+     * 清除页面定时器
+     * @param {string} tag - 通知标签
+     */
+    clearFallback(tag) {
+        if (this.fallbackTimers[tag]) {
+            clearTimeout(this.fallbackTimers[tag]);
+            delete this.fallbackTimers[tag];
+        }
+    }
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SystemNotifier, NOTIFICATION_TAG };
+}
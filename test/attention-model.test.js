@@ -0,0 +1,37 @@
+/**
+ * 注意力模型单元测试（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CALIBRATION_MIN_CHECK_INS,
+    createAttentionModel,
+    fitAttentionCalibration
+} = require('../attention-model.js');
+
+test('自评不足时不拟合，无效的自评不计入', () => {
+    const checkIns = [{ sinceBoost: 60, rating: 5 }, { sinceBoost: 300, rating: 3 }, { sinceBoost: -1, rating: 2 },
+        { sinceBoost: 600, rating: 9 }];
+    assert.equal(CALIBRATION_MIN_CHECK_INS, 3);
+    assert.equal(fitAttentionCalibration(checkIns), null);
+});
+
+test('拟合的曲线驱动个人校准模型', () => {
+    const calibration = fitAttentionCalibration([
+        { sinceBoost: 60, rating: 5 },
+        { sinceBoost: 300, rating: 3 },
+        { sinceBoost: 600, rating: 2 }
+    ]);
+    assert.equal(calibration.samples, 3);
+
+    const model = createAttentionModel('calibrated', {}, calibration);
+    assert.equal(model.evaluate({ sinceBoost: 0, sinceStart: 0 }), 1);
+    const late = model.evaluate({ sinceBoost: 100000, sinceStart: 100000 });
+    assert.ok(Math.abs(late - calibration.floor) < 1e-9);
+});
+
+test('未知模型使用默认模型，参数限制在允许范围内', () => {
+    const model = createAttentionModel('unknown', { floor: 5, grace: 'x' });
+    assert.equal(model.id, 'linear');
+    assert.deepEqual(model.params, { floor: 0.95, grace: 30, duration: 300 });
+});
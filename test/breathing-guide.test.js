@@ -0,0 +1,53 @@
+/**
+ * 引导呼吸单元测试（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BREATHING_PATTERNS,
+    DEFAULT_CUSTOM_BREATHING,
+    normalizeBreathingDurations,
+    getBreathingState
+} = require('../breathing-guide.js');
+
+test('规范化节奏时长：吸气和呼气至少 1 秒，屏息可为 0，不超过 12 秒', () => {
+    assert.deepEqual(normalizeBreathingDurations([0, 0, 0, 0]), [1, 0, 1, 0]);
+    assert.deepEqual(normalizeBreathingDurations(['', '-3', '', '']), [1, 0, 1, 0]);
+    assert.deepEqual(normalizeBreathingDurations([20, 13, 4.6, '2']), [12, 12, 5, 2]);
+    assert.deepEqual(normalizeBreathingDurations(['x', 2, 6, 0]), [DEFAULT_CUSTOM_BREATHING[0], 2, 6, 0]);
+    assert.deepEqual(normalizeBreathingDurations([4, 4]), DEFAULT_CUSTOM_BREATHING);
+    assert.deepEqual(normalizeBreathingDurations(null), DEFAULT_CUSTOM_BREATHING);
+});
+
+test('按时长划分步骤边界', () => {
+    const durations = BREATHING_PATTERNS.box.durations;
+    assert.equal(getBreathingState(durations, 0).step, 'inhale');
+    assert.equal(getBreathingState(durations, 3.9).step, 'inhale');
+    assert.equal(getBreathingState(durations, 4).step, 'holdIn');
+    assert.equal(getBreathingState(durations, 8).step, 'exhale');
+    assert.equal(getBreathingState(durations, 12).step, 'holdOut');
+    assert.equal(getBreathingState(durations, 16).step, 'inhale');
+    assert.equal(getBreathingState(durations, -5).step, 'inhale');
+
+    assert.equal(getBreathingState(durations, 0).level, 0);
+    assert.ok(Math.abs(getBreathingState(durations, 2).level - 0.5) < 1e-9);
+    assert.equal(getBreathingState(durations, 5).level, 1);
+    assert.equal(getBreathingState(durations, 13).level, 0);
+    assert.equal(getBreathingState(durations, 0.2).secondsLeft, 4);
+    assert.equal(getBreathingState(durations, 3.9).secondsLeft, 1);
+});
+
+test('0 秒的屏息被跳过', () => {
+    const durations = BREATHING_PATTERNS.relax.durations; // [4, 7, 8, 0]
+    assert.equal(getBreathingState(durations, 18.9).step, 'exhale');
+    const next = getBreathingState(durations, 19);
+    assert.equal(next.step, 'inhale');
+    assert.equal(next.cycles, 1);
+});
+
+test('累计完成的呼吸次数', () => {
+    const durations = BREATHING_PATTERNS.box.durations;
+    assert.equal(getBreathingState(durations, 15.9).cycles, 0);
+    assert.equal(getBreathingState(durations, 16).cycles, 1);
+    assert.equal(getBreathingState(durations, 16 * 7 + 3).cycles, 7);
+});
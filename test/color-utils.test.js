@@ -0,0 +1,30 @@
+/**
+ * 颜色工具单元测试（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseColor, colorWithAlpha, mixColors } = require('../color-utils.js');
+
+test('解析十六进制、rgb()、hsl() 和颜色名称', () => {
+    assert.deepEqual(parseColor('#f80'), { r: 255, g: 136, b: 0, a: 1 });
+    assert.deepEqual(parseColor('rgba(10, 20, 30, 0.5)'), { r: 10, g: 20, b: 30, a: 0.5 });
+    assert.deepEqual(parseColor('hsl(120, 100%, 50%)'), { r: 0, g: 255, b: 0, a: 1 });
+    assert.deepEqual(parseColor(' CornflowerBlue '), { r: 100, g: 149, b: 237, a: 1 });
+    assert.deepEqual(parseColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+});
+
+test('无法解析的颜色返回 null，不会读取原型上的属性', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'notacolor', '#12'].forEach(color => {
+        assert.equal(parseColor(color), null, color);
+    });
+    assert.equal(parseColor(null), null);
+    assert.equal(parseColor('rgba(1, 2, 3, x)'), null);
+    assert.equal(parseColor('hsla(120, 100%, 50%, none)'), null);
+});
+
+test('透明度相乘，无法解析时使用后备颜色', () => {
+    assert.equal(colorWithAlpha('rgba(0, 0, 0, 0.5)', 0.5), 'rgba(0, 0, 0, 0.25)');
+    assert.doesNotThrow(() => colorWithAlpha('constructor', 0.5));
+    assert.equal(colorWithAlpha('rgba(1, 2, 3, x)', 1), colorWithAlpha('constructor', 1));
+    assert.equal(mixColors('#000000', '#ffffff', 0.5), 'rgba(128, 128, 128, 1)');
+});
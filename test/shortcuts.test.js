@@ -0,0 +1,85 @@
+/**
+ * 键盘快捷键单元测试（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_SHORTCUTS,
+    getShortcutFromEvent,
+    normalizeShortcut,
+    normalizeShortcutBindings,
+    findShortcutConflict,
+    findShortcutCommand,
+    formatShortcut,
+    getAriaKeyShortcut
+} = require('../shortcuts.js');
+
+/**
+ * 构造 keydown 事件
+ */
+function keyEvent(key, modifiers = {}) {
+    return Object.assign({ key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false }, modifiers);
+}
+
+test('从键盘事件得到快捷键文本', () => {
+    assert.equal(getShortcutFromEvent(keyEvent(' ')), 'Space');
+    assert.equal(getShortcutFromEvent(keyEvent('r')), 'R');
+    assert.equal(getShortcutFromEvent(keyEvent('k', { ctrlKey: true })), 'Ctrl+K');
+    assert.equal(getShortcutFromEvent(keyEvent('K', { metaKey: true, shiftKey: true })), 'Shift+Meta+K');
+    assert.equal(getShortcutFromEvent(keyEvent('ArrowUp', { altKey: true })), 'Alt+ArrowUp');
+    assert.equal(getShortcutFromEvent(keyEvent('Shift', { shiftKey: true })), null);
+});
+
+test('符号键本身已包含 Shift，不再记录 Shift', () => {
+    assert.equal(getShortcutFromEvent(keyEvent('+', { shiftKey: true })), '+');
+    assert.equal(getShortcutFromEvent(keyEvent('?', { shiftKey: true })), '?');
+    assert.equal(getShortcutFromEvent(keyEvent('+', { ctrlKey: true, shiftKey: true })), 'Ctrl++');
+    assert.equal(getShortcutFromEvent(keyEvent('1', { shiftKey: true })), 'Shift+1');
+});
+
+test('规范化快捷键文本，按键本身可以是 "+"', () => {
+    assert.equal(normalizeShortcut('Shift+Ctrl+k'), 'Ctrl+Shift+K');
+    assert.equal(normalizeShortcut('ctrl+K'), null);
+    assert.equal(normalizeShortcut('+'), '+');
+    assert.equal(normalizeShortcut('Ctrl++'), 'Ctrl++');
+    assert.equal(normalizeShortcut('Hyper+K'), null);
+    assert.equal(normalizeShortcut('Ctrl+'), null);
+    assert.equal(normalizeShortcut(''), null);
+    assert.equal(normalizeShortcut(42), null);
+
+    assert.equal(formatShortcut('Ctrl++'), 'Ctrl + +');
+    assert.equal(formatShortcut('Space'), '空格');
+    assert.equal(formatShortcut('Space', { Space: 'Space' }), 'Space');
+    assert.equal(getAriaKeyShortcut('Ctrl+K'), 'Control+K');
+});
+
+test('保留按键和重复绑定视为冲突', () => {
+    assert.deepEqual(findShortcutConflict(DEFAULT_SHORTCUTS, 'reset', 'Tab'), { reserved: 'focus' });
+    assert.deepEqual(findShortcutConflict(DEFAULT_SHORTCUTS, 'reset', '1'), { reserved: 'checkIn' });
+    assert.deepEqual(findShortcutConflict(DEFAULT_SHORTCUTS, 'reset', 'S'), { command: 'skip' });
+    assert.equal(findShortcutConflict(DEFAULT_SHORTCUTS, 'reset', 'R'), null);
+    assert.equal(findShortcutConflict(DEFAULT_SHORTCUTS, 'reset', ''), null);
+    assert.equal(findShortcutCommand(DEFAULT_SHORTCUTS, 'Ctrl+K'), 'commandPalette');
+});
+
+test('规范化保存的绑定：无效或冲突的项恢复默认值，默认值也冲突时取消绑定', () => {
+    assert.deepEqual(normalizeShortcutBindings(null), DEFAULT_SHORTCUTS);
+
+    const bindings = normalizeShortcutBindings({
+        toggleTimer: 'Alt+a',
+        reset: 'S',
+        skip: 'Enter', // 保留按键，默认值 S 已被 reset 占用，取消绑定
+        extend: '',
+        toggleMute: 'Hyper+M',
+        openSettings: 'Ctrl+,',
+        openStats: 'Alt+A' // 与 toggleTimer 重复，默认不绑定
+    });
+    assert.equal(bindings.toggleTimer, 'Alt+A');
+    assert.equal(bindings.reset, 'S');
+    assert.equal(bindings.skip, '');
+    assert.equal(bindings.extend, '');
+    assert.equal(bindings.toggleMute, 'M');
+    assert.equal(bindings.openSettings, 'Ctrl+,');
+    assert.equal(bindings.openStats, '');
+    assert.deepEqual(Object.keys(bindings), Object.keys(DEFAULT_SHORTCUTS));
+});
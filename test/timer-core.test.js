@@ -0,0 +1,192 @@
+/**
+ * 计时核心单元测试（node --test）
+ * 使用假时钟和手动触发的定时器，不依赖真实时间
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TimerCore, TIMER_STATUS, TIMER_PHASE } = require('../timer-core.js');
+
+/**
+ * 创建使用假时钟的计时器，并记录发出的事件
+ * @param {Object} [config] - 计时配置
+ */
+function createTimer(config = {}) {
+    const clock = { time: 1000000, interval: null };
+    const timer = new TimerCore({
+        config: Object.assign({ focusDuration: 60, breakDuration: 30, reminderInterval: 0 }, config),
+        now: () => clock.time,
+        setInterval: fn => {
+            clock.interval = fn;
+            return 1;
+        },
+        clearInterval: () => {
+            clock.interval = null;
+        }
+    });
+    const events = [];
+    ['phaseStart', 'phaseEnd', 'sessionEnd', 'pause', 'resume', 'reminder'].forEach(name => {
+        timer.on(name, detail => events.push({ name, detail }));
+    });
+
+    /**
+     * 拨快时钟（秒）并执行一次刷新
+     */
+    clock.advance = seconds => {
+        clock.time += seconds * 1000;
+        if (clock.interval) clock.interval();
+    };
+    return { timer, clock, events };
+}
+
+/**
+ * 取出某种事件的数据
+ */
+function detailsOf(events, name) {
+    return events.filter(event => event.name === name).map(event => event.detail);
+}
+
+test('暂停时跳过阶段，继续后新阶段开始会话并正常结束', () => {
+    const { timer, clock, events } = createTimer();
+    timer.start();
+    clock.advance(10);
+    timer.pause();
+    timer.skip();
+
+    assert.equal(timer.status, TIMER_STATUS.PAUSED);
+    assert.equal(timer.phase, TIMER_PHASE.BREAK);
+
+    timer.resume();
+    assert.equal(timer.status, TIMER_STATUS.RUNNING);
+    assert.deepEqual(detailsOf(events, 'phaseStart').map(detail => detail.phase),
+        [TIMER_PHASE.FOCUS, TIMER_PHASE.BREAK]);
+    assert.equal(detailsOf(events, 'resume').length, 0);
+
+    clock.advance(30);
+    const sessions = detailsOf(events, 'sessionEnd');
+    assert.deepEqual(sessions.map(session => `${session.phase}:${session.outcome}`),
+        ['focus:skipped', 'break:completed']);
+    assert.equal(sessions[1].actualDuration, 30);
+});
+
+test('开始后按时钟倒计时，结束时自动进入休息', () => {
+    const { timer, clock, events } = createTimer();
+    timer.start();
+    assert.equal(timer.status, TIMER_STATUS.RUNNING);
+    assert.equal(timer.timeLeft, 60);
+
+    clock.advance(20.5);
+    assert.equal(timer.timeLeft, 40);
+
+    clock.advance(40);
+    assert.equal(timer.phase, TIMER_PHASE.BREAK);
+    assert.equal(timer.timeLeft, 30);
+    assert.deepEqual(detailsOf(events, 'phaseEnd').map(detail => [detail.phase, detail.autoStarted]),
+        [[TIMER_PHASE.FOCUS, true]]);
+    assert.equal(detailsOf(events, 'sessionEnd')[0].outcome, 'completed');
+});
+
+test('暂停期间不计时，会话记录暂停区间', () => {
+    const { timer, clock, events } = createTimer();
+    timer.start();
+    clock.advance(10);
+    timer.pause();
+    assert.equal(timer.status, TIMER_STATUS.PAUSED);
+
+    clock.advance(100);
+    assert.equal(timer.timeLeft, 50);
+
+    timer.resume();
+    assert.equal(detailsOf(events, 'resume').length, 1);
+    clock.advance(50);
+
+    const session = detailsOf(events, 'sessionEnd')[0];
+    assert.equal(session.outcome, 'completed');
+    assert.equal(session.actualDuration, 60);
+    assert.deepEqual(session.pauses.map(pause => pause.end - pause.start), [100000]);
+});
+
+test('运行中跳过专注不计入已完成的专注数', () => {
+    const { timer, clock, events } = createTimer({ longBreakInterval: 2, longBreakDuration: 90 });
+    timer.start();
+    clock.advance(5);
+    timer.skip();
+
+    assert.equal(timer.phase, TIMER_PHASE.BREAK);
+    assert.equal(timer.isRunning, true);
+    assert.equal(timer.completedFocusCount, 0);
+    assert.equal(detailsOf(events, 'sessionEnd')[0].actualDuration, 5);
+    assert.equal(detailsOf(events, 'phaseEnd')[0].skipped, true);
+});
+
+test('延长和缩短阶段，缩短时至少保留 1 秒', () => {
+    const { timer, clock, events } = createTimer();
+    assert.equal(timer.extend(60), 0);
+
+    timer.start();
+    clock.advance(10);
+    assert.equal(timer.extend(60), 60);
+    assert.equal(timer.timeLeft, 110);
+    assert.equal(timer.totalTime, 120);
+
+    assert.equal(timer.extend(-500), -109);
+    assert.equal(timer.timeLeft, 1);
+
+    clock.advance(1);
+    const session = detailsOf(events, 'sessionEnd')[0];
+    assert.equal(session.plannedDuration, 11);
+    assert.equal(session.outcome, 'completed');
+});
+
+test('休眠后补齐期间结束的阶段', () => {
+    const { timer, clock, events } = createTimer({ longBreakInterval: 2, longBreakDuration: 90 });
+    timer.start();
+
+    // 专注 60 + 休息 30 + 专注 60 之后进入长休息的第 10 秒
+    clock.advance(160);
+    assert.equal(timer.phase, TIMER_PHASE.LONG_BREAK);
+    assert.equal(timer.timeLeft, 80);
+
+    const ends = detailsOf(events, 'phaseEnd');
+    assert.deepEqual(ends.map(detail => [detail.phase, detail.catchingUp]),
+        [[TIMER_PHASE.FOCUS, true], [TIMER_PHASE.BREAK, true], [TIMER_PHASE.FOCUS, false]]);
+    assert.deepEqual(detailsOf(events, 'sessionEnd').map(session => session.actualDuration), [60, 30, 60]);
+});
+
+test('下一阶段不自动开始时，补齐停在空闲状态', () => {
+    const { timer, clock } = createTimer({ autoStartFocus: false });
+    timer.start();
+    clock.advance(500);
+
+    assert.equal(timer.status, TIMER_STATUS.IDLE);
+    assert.equal(timer.phase, TIMER_PHASE.FOCUS);
+    assert.equal(timer.timeLeft, 60);
+    assert.equal(clock.interval, null);
+});
+
+test('按区间判断提醒点，刷新被节流时也不会漏掉', () => {
+    const { timer, clock, events } = createTimer({ reminderInterval: 20 });
+    timer.start();
+    clock.advance(25);
+    assert.deepEqual(detailsOf(events, 'reminder').map(detail => detail.timeLeft), [35]);
+
+    clock.advance(10);
+    assert.deepEqual(detailsOf(events, 'reminder').map(detail => detail.timeLeft), [35]);
+
+    // 一次刷新越过剩余 20 秒的提醒点
+    clock.advance(15);
+    assert.deepEqual(detailsOf(events, 'reminder').map(detail => detail.timeLeft), [35, 10]);
+});
+
+test('从快照恢复运行中的计时并补齐休眠期间', () => {
+    const first = createTimer();
+    first.timer.start();
+    first.clock.advance(10);
+    const state = first.timer.serialize();
+
+    const { timer, clock, events } = createTimer();
+    clock.time = first.clock.time + 70 * 1000;
+    assert.equal(timer.restore(state), true);
+    assert.equal(timer.phase, TIMER_PHASE.BREAK);
+    assert.equal(timer.timeLeft, 10);
+    assert.equal(detailsOf(events, 'sessionEnd')[0].outcome, 'completed');
+});
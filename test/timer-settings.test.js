@@ -0,0 +1,37 @@
+/**
+ * 计时设置单元测试（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { TIMER_SETTING_LIMITS, DEFAULT_PRESETS, clampTimerSetting } = require('../timer-settings.js');
+
+test('按数值比较，不按字符串比较', () => {
+    assert.equal(clampTimerSetting('waveReminder', '5', '15'), 5);
+    assert.equal(clampTimerSetting('waveReminder', '20', '15'), 15);
+    assert.equal(clampTimerSetting('breakTime', '9', undefined), 9);
+    assert.equal(clampTimerSetting('longBreakInterval', '100'), 12);
+    assert.equal(clampTimerSetting('longBreakTime', ''), 1);
+    assert.equal(clampTimerSetting('focusTime', 'abc'), 1);
+});
+
+test('内置预设经过校正后保持不变', () => {
+    DEFAULT_PRESETS.forEach(preset => {
+        const { settings } = preset;
+        Object.keys(TIMER_SETTING_LIMITS).forEach(key => {
+            const input = String(settings[key]);
+            assert.equal(clampTimerSetting(key, input, String(settings.focusTime)), settings[key], `${preset.id}.${key}`);
+        });
+    });
+});
+
+test('取值范围与 index.html 中输入框的 min / max 一致', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    Object.keys(TIMER_SETTING_LIMITS).forEach(key => {
+        const match = html.match(new RegExp(`<input[^>]*id="${key}"[^>]*>`));
+        assert.ok(match, key);
+        assert.equal(Number(match[0].match(/min="(\d+)"/)[1]), TIMER_SETTING_LIMITS[key].min, key);
+        assert.equal(Number(match[0].match(/max="(\d+)"/)[1]), TIMER_SETTING_LIMITS[key].max, key);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * 水面物理单元测试（node --test）
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WaterSurface, WATER_STEP_MS, WATER_MAX_STEPS } = require('../water-surface.js');
+
+/**
+ * 连续模拟若干步
+ */
+function runSteps(surface, steps) {
+    for (let i = 0; i < steps && surface.active; i++) surface.step();
+}
+
+test('扰动向两侧相邻的列传播', () => {
+    const surface = new WaterSurface(400);
+    assert.equal(surface.active, false);
+
+    surface.disturb(200, 5, 12);
+    assert.equal(surface.active, true);
+    assert.equal(surface.heightAt(100), 0);
+
+    runSteps(surface, 10);
+    assert.ok(surface.heightAt(200) > 0);
+    assert.notEqual(surface.heightAt(160), 0);
+    assert.notEqual(surface.heightAt(240), 0);
+    assert.ok(Math.abs(surface.heightAt(160) - surface.heightAt(240)) < 1e-4, '两侧对称');
+});
+
+test('扰动逐渐衰减，平静后停止计算', () => {
+    const surface = new WaterSurface(200);
+    surface.disturb(100, 8);
+    runSteps(surface, 5000);
+
+    assert.equal(surface.active, false);
+    assert.equal(surface.heightAt(100), 0);
+    assert.ok(surface.heights.every(height => height === 0));
+});
+
+test('按固定步长推进，一帧最多补算 WATER_MAX_STEPS 步', () => {
+    const surface = new WaterSurface(200);
+    let steps = 0;
+    const step = surface.step.bind(surface);
+    surface.step = () => {
+        steps++;
+        step();
+    };
+
+    surface.update(1000);
+    surface.disturb(100, 3);
+    surface.update(1000 + WATER_STEP_MS * 3.5);
+    assert.equal(steps, 3);
+
+    steps = 0;
+    surface.update(1000 + 60 * 1000);
+    assert.equal(steps, WATER_MAX_STEPS);
+
+    // 平静时不计算
+    surface.reset();
+    steps = 0;
+    surface.update(1000 + 61 * 1000);
+    assert.equal(steps, 0);
+});
+
+test('调整宽度时按比例保留扰动', () => {
+    const surface = new WaterSurface(200);
+    surface.disturb(100, 5);
+    runSteps(surface, 3);
+    const before = surface.heightAt(100);
+    assert.ok(before > 0);
+
+    surface.resize(400);
+    assert.equal(surface.active, true);
+    assert.equal(surface.heights.length, Math.ceil(400 / surface.options.spacing) + 1);
+    assert.ok(Math.abs(surface.heightAt(200) - before) < 1e-4);
+
+    runSteps(surface, 3);
+    assert.equal(surface.active, true);
+});
+
+test('无效的扰动被忽略，reset 恢复平静', () => {
+    const surface = new WaterSurface(200);
+    surface.disturb(NaN, 5);
+    surface.disturb(100, 0);
+    surface.disturb(-500, 5);
+    assert.equal(surface.active, false);
+
+    surface.disturb(50, 5);
+    surface.reset();
+    assert.equal(surface.active, false);
+    assert.ok(surface.velocities.every(velocity => velocity === 0));
+});
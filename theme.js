@@ -0,0 +1,249 @@
+/**
+ * 专注力波浪计时器 - 主题
+ * 统一定义界面和画布使用的颜色：浅色、深色、高对比度预设和用户自定义主题，
+ * 「跟随系统」时按 prefers-color-scheme / prefers-contrast 选择预设
+ * 与界面无关，只负责解析主题和生成 CSS 变量，由 script.js 应用到页面
+ */
+
+// 主题文件格式版本
+const THEME_FORMAT_VERSION = 1;
+
+// 可编辑的主题颜色（均为 #rrggbb），另有 4 个背景渐变色 background
+const THEME_COLOR_KEYS = ['focus', 'focusAccent', 'break', 'breakAccent', 'idle'];
+
+/**
+ * 界面底色：卡片、面板、文字和边框（不随自定义颜色变化）
+ */
+const THEME_SURFACES = {
+    light: {
+        colorScheme: 'light',
+        surface: 'rgba(255, 255, 255, 0.95)',
+        surfaceHover: 'rgba(255, 255, 255, 0.98)',
+        panel: 'rgba(250, 250, 250, 0.8)',
+        panelHover: 'rgba(255, 255, 255, 0.9)',
+        card: 'rgba(255, 255, 255, 0.7)',
+        inputBackground: 'white',
+        border: '#e1e1e1',
+        text: '#2c3e50',
+        textMuted: '#7f8c8d'
+    },
+    dark: {
+        colorScheme: 'dark',
+        surface: 'rgba(24, 28, 38, 0.94)',
+        surfaceHover: 'rgba(28, 33, 45, 0.97)',
+        panel: 'rgba(255, 255, 255, 0.04)',
+        panelHover: 'rgba(255, 255, 255, 0.07)',
+        card: 'rgba(255, 255, 255, 0.06)',
+        inputBackground: '#1f2633',
+        border: '#3d4656',
+        text: '#ecf0f1',
+        textMuted: '#aab7c4'
+    },
+    highContrast: {
+        colorScheme: 'dark',
+        surface: '#000000',
+        surfaceHover: '#000000',
+        panel: '#000000',
+        panelHover: '#000000',
+        card: '#000000',
+        inputBackground: '#000000',
+        border: '#ffffff',
+        text: '#ffffff',
+        textMuted: '#ffffff'
+    }
+};
+
+/**
+ * 预设主题
+ */
+const THEME_PRESETS = {
+    light: {
+        label: '浅色',
+        surface: 'light',
+        colors: {
+            focus: '#e74c3c',
+            focusAccent: '#f39c12',
+            break: '#27ae60',
+            breakAccent: '#1abc9c',
+            idle: '#3498db',
+            background: ['#ee7752', '#e73c7e', '#23a6d5', '#23d5ab']
+        }
+    },
+    dark: {
+        label: '深色',
+        surface: 'dark',
+        colors: {
+            focus: '#ff6b5b',
+            focusAccent: '#ffb142',
+            break: '#2ecc71',
+            breakAccent: '#48e5c2',
+            idle: '#5dade2',
+            background: ['#1a1a2e', '#16213e', '#0f3460', '#1b262c']
+        }
+    },
+    highContrast: {
+        label: '高对比度',
+        surface: 'highContrast',
+        colors: {
+            focus: '#ff4040',
+            focusAccent: '#ffff00',
+            break: '#00ff7f',
+            breakAccent: '#00ffff',
+            idle: '#40a0ff',
+            background: ['#000000', '#000000', '#000000', '#000000']
+        }
+    }
+};
+
+// 主题选项：跟随系统、预设和自定义
+const THEME_MODES = Object.assign(
+    { auto: { label: '跟随系统' } },
+    THEME_PRESETS,
+    { custom: { label: '自定义' } }
+);
+
+const DEFAULT_THEME_MODE = 'auto';
+
+/**
+ * 是否为 #rrggbb 颜色
+ * @param {*} value - 待检查的值
+ * @returns {boolean}
+ */
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * 规范化自定义主题，无效的颜色使用底色对应预设的颜色
+ * @param {Object} raw - { base: 'light' | 'dark', colors }
+ * @returns {Object} 规范化的自定义主题
+ */
+function normalizeCustomTheme(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const base = source.base === 'dark' ? 'dark' : 'light';
+    const fallback = THEME_PRESETS[base].colors;
+    const colors = source.colors && typeof source.colors === 'object' ? source.colors : {};
+
+    const normalized = { base, colors: {} };
+    THEME_COLOR_KEYS.forEach(key => {
+        normalized.colors[key] = isHexColor(colors[key]) ? colors[key].toLowerCase() : fallback[key];
+    });
+    const background = Array.isArray(colors.background) ? colors.background : [];
+    normalized.colors.background = fallback.background.map((color, index) =>
+        isHexColor(background[index]) ? background[index].toLowerCase() : color);
+    return normalized;
+}
+
+/**
+ * 解析当前生效的主题
+ * @param {string} mode - 主题选项（见 THEME_MODES）
+ * @param {Object} customTheme - 自定义主题
+ * @param {Object} [system] - 系统偏好 { dark, highContrast }
+ * @returns {Object} { id, surface, colors }
+ */
+function resolveTheme(mode, customTheme, system = {}) {
+    if (mode === 'custom') {
+        const custom = normalizeCustomTheme(customTheme);
+        return { id: 'custom', surface: THEME_SURFACES[custom.base], colors: custom.colors };
+    }
+
+    // 跟随系统（或未知选项）时按系统偏好选择预设
+    let id = mode;
+    if (!THEME_PRESETS[id]) {
+        id = system.highContrast ? 'highContrast' : (system.dark ? 'dark' : 'light');
+    }
+    const preset = THEME_PRESETS[id];
+    return { id, surface: THEME_SURFACES[preset.surface], colors: preset.colors };
+}
+
+/**
+ * 生成主题的 CSS 变量（对应 style.css 的 :root）
+ * @param {Object} theme - resolveTheme() 的结果
+ * @returns {Object} 变量名 -> 值
+ */
+function getThemeCssVariables(theme) {
+    const { surface, colors } = theme;
+    const variables = {
+        '--primary': colors.idle,
+        '--focus': colors.focus,
+        '--focus-accent': colors.focusAccent,
+        '--break': colors.break,
+        '--break-accent': colors.breakAccent,
+        '--text': surface.text,
+        '--text-muted': surface.textMuted,
+        '--surface': surface.surface,
+        '--surface-hover': surface.surfaceHover,
+        '--panel': surface.panel,
+        '--panel-hover': surface.panelHover,
+        '--card': surface.card,
+        '--input-bg': surface.inputBackground,
+        '--border': surface.border
+    };
+    colors.background.forEach((color, index) => {
+        variables[`--bg-${index + 1}`] = color;
+    });
+    return variables;
+}
+
+/**
+ * 生成可导出的主题文件内容
+ * @param {Object} customTheme - 自定义主题
+ * @returns {string} JSON 文本
+ */
+function serializeTheme(customTheme) {
+    return JSON.stringify({
+        app: 'ConWaveTimer',
+        type: 'theme',
+        version: THEME_FORMAT_VERSION,
+        theme: normalizeCustomTheme(customTheme)
+    }, null, 2);
+}
+
+/**
+ * 解析导入的主题文件
+ * @param {string} text - 文件内容
+ * @returns {Object} 规范化的自定义主题
+ * @throws {Error} 文件无效时，error.code 为 invalidJson / unrecognized / newerVersion，供界面显示对应语言的提示
+ */
+function parseThemeFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw createThemeError('invalidJson', '文件不是有效的 JSON');
+    }
+    if (!data || data.app !== 'ConWaveTimer' || data.type !== 'theme' || !data.theme) {
+        throw createThemeError('unrecognized', '无法识别的主题文件');
+    }
+    if (data.version > THEME_FORMAT_VERSION) {
+        throw createThemeError('newerVersion', '主题文件来自更新的版本，请先升级应用');
+    }
+    return normalizeCustomTheme(data.theme);
+}
+
+/**
+ * 创建带错误码的主题文件错误
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+function createThemeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THEME_PRESETS,
+        THEME_MODES,
+        THEME_COLOR_KEYS,
+        DEFAULT_THEME_MODE,
+        normalizeCustomTheme,
+        resolveTheme,
+        getThemeCssVariables,
+        serializeTheme,
+        parseThemeFile
+    };
+}
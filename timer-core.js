@@ -0,0 +1,581 @@
+/**
+ * 专注力波浪计时器 - 计时核心状态机
+ * 与界面无关：只负责计时状态和阶段切换，通过事件通知波浪渲染、进度条和提醒等模块
+ * 时钟和定时器均可注入，便于在 Node 中使用假时钟进行单元测试
+ */
+
+// 计时器运行状态
+const TIMER_STATUS = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PAUSED: 'paused'
+};
+
+// 计时阶段
+const TIMER_PHASE = {
+    FOCUS: 'focus',
+    BREAK: 'break',
+    LONG_BREAK: 'longBreak'
+};
+
+// 默认配置（时长单位均为秒）
+const TIMER_DEFAULT_CONFIG = {
+    focusDuration: 25 * 60,
+    breakDuration: 5 * 60,
+    longBreakDuration: 15 * 60,
+    longBreakInterval: 0, // 每完成多少个专注阶段进入长休息，0 表示不启用
+    autoStartBreak: true, // 专注结束后自动开始休息
+    autoStartFocus: true, // 休息结束后自动开始专注
+    reminderInterval: 10 * 60,
+    tickInterval: 250 // 刷新间隔（毫秒）
+};
+
+/**
+ * 计时核心
+ *
+ * 事件：
+ * - statechange: 运行状态或阶段变化 { status, phase }
+ * - phaseStart: 新阶段开始计时 { phase, totalTime }
+ * - tick: 剩余秒数变化 { timeLeft, totalTime, phase }
+ * - reminder: 专注阶段到达波浪提醒点 { timeLeft }
+ * - phaseEnd: 阶段结束 { phase, nextPhase, endedAt, skipped, catchingUp, autoStarted }
+ * - sessionEnd: 一次计时会话结束（完成、跳过或重置），数据见 finishSession()
+ * - extend: 当前阶段被延长或缩短 { seconds, timeLeft, totalTime, phase }
+ * - pause / resume / reset
+ */
+class TimerCore {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config] - 计时配置，见 TIMER_DEFAULT_CONFIG
+     * @param {Function} [options.now] - 时钟函数，返回毫秒时间戳
+     * @param {Function} [options.setInterval] - 定时器函数
+     * @param {Function} [options.clearInterval] - 清除定时器函数
+     */
+    constructor(options = {}) {
+        this.config = Object.assign({}, TIMER_DEFAULT_CONFIG, options.config);
+        this.now = options.now || (() => Date.now());
+        this.setIntervalFn = options.setInterval || ((fn, ms) => setInterval(fn, ms));
+        this.clearIntervalFn = options.clearInterval || (id => clearInterval(id));
+
+        this.listeners = {};
+        this.intervalId = null;
+
+        this.status = TIMER_STATUS.IDLE;
+        this.phase = TIMER_PHASE.FOCUS;
+        this.totalTime = this.config.focusDuration;
+        this.timeLeft = this.totalTime;
+        this.phaseEndTime = 0; // 运行时当前阶段结束的时间戳（毫秒）
+        this.lastReminderTime = this.timeLeft;
+        this.completedFocusCount = 0; // 当前周期内已完成的专注阶段数
+        this.session = null; // 当前会话记录（开始时间、暂停、提醒次数）
+    }
+
+    get isIdle() {
+        return this.status === TIMER_STATUS.IDLE;
+    }
+
+    get isRunning() {
+        return this.status === TIMER_STATUS.RUNNING;
+    }
+
+    get isPaused() {
+        return this.status === TIMER_STATUS.PAUSED;
+    }
+
+    get isFocus() {
+        return this.phase === TIMER_PHASE.FOCUS;
+    }
+
+    /**
+     * 当前阶段进度（0-1）
+     */
+    get progress() {
+        return this.totalTime > 0 ? (this.totalTime - this.timeLeft) / this.totalTime : 0;
+    }
+
+    /**
+     * 当前周期位置，如「第 3 / 4 个专注」
+     * total 为 0 表示未启用长休息
+     */
+    get cyclePosition() {
+        const total = this.config.longBreakInterval > 0 ? this.config.longBreakInterval : 0;
+        let current;
+        if (this.phase === TIMER_PHASE.FOCUS) {
+            current = this.completedFocusCount + 1;
+        } else if (this.phase === TIMER_PHASE.LONG_BREAK) {
+            current = total;
+        } else {
+            current = Math.max(1, this.completedFocusCount);
+        }
+        return { current, total };
+    }
+
+    /**
+     * 当前阶段结束后进入的阶段
+     */
+    get upcomingPhase() {
+        return this.getNextPhase(this.phase, this.completedFocusCount + (this.isFocus ? 1 : 0));
+    }
+
+    /**
+     * 订阅事件
+     * @param {string} event - 事件名
+     * @param {Function} handler - 回调函数
+     * @returns {Function} 取消订阅的函数
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * 取消订阅事件
+     * @param {string} event - 事件名
+     * @param {Function} handler - 回调函数
+     */
+    off(event, handler) {
+        const handlers = this.listeners[event];
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+
+    /**
+     * 触发事件
+     * @param {string} event - 事件名
+     * @param {Object} [detail] - 事件数据
+     */
+    emit(event, detail = {}) {
+        const handlers = this.listeners[event];
+        if (!handlers) return;
+        handlers.slice().forEach(handler => handler(detail));
+    }
+
+    /**
+     * 更新配置
+     * 空闲时立即应用到当前阶段，计时中的阶段不受影响，从下一阶段开始生效
+     * @param {Object} patch - 要更新的配置项
+     */
+    configure(patch) {
+        Object.assign(this.config, patch);
+
+        if (this.isIdle) {
+            this.loadPhase(this.phase);
+            this.emit('tick', this.getTickDetail());
+        }
+    }
+
+    /**
+     * 获取阶段时长
+     * @param {string} phase - 阶段
+     * @returns {number} 时长（秒）
+     */
+    getDuration(phase) {
+        switch (phase) {
+            case TIMER_PHASE.BREAK:
+                return this.config.breakDuration;
+            case TIMER_PHASE.LONG_BREAK:
+                return this.config.longBreakDuration;
+            default:
+                return this.config.focusDuration;
+        }
+    }
+
+    /**
+     * 计算下一阶段
+     * @param {string} phase - 当前阶段
+     * @param {number} completedFocusCount - 结束当前阶段后已完成的专注阶段数
+     * @returns {string} 下一阶段
+     */
+    getNextPhase(phase, completedFocusCount) {
+        if (phase !== TIMER_PHASE.FOCUS) return TIMER_PHASE.FOCUS;
+
+        const interval = this.config.longBreakInterval;
+        if (interval > 0 && completedFocusCount > 0 && completedFocusCount % interval === 0) {
+            return TIMER_PHASE.LONG_BREAK;
+        }
+        return TIMER_PHASE.BREAK;
+    }
+
+    /**
+     * 判断阶段结束后是否自动开始下一阶段
+     * @param {string} phase - 下一阶段
+     * @returns {boolean} 是否自动开始
+     */
+    shouldAutoStart(phase) {
+        return phase === TIMER_PHASE.FOCUS ? this.config.autoStartFocus : this.config.autoStartBreak;
+    }
+
+    /**
+     * 开始计时
+     * 空闲时开始当前阶段（包括等待用户开始的下一阶段），暂停时继续计时
+     */
+    start() {
+        if (this.isRunning) return;
+        if (this.isPaused) {
+            this.resume();
+            return;
+        }
+
+        this.loadPhase(this.phase);
+        this.run();
+        this.beginSession(this.now());
+        this.emit('phaseStart', { phase: this.phase, totalTime: this.totalTime });
+        this.setStatus(TIMER_STATUS.RUNNING);
+        this.tick();
+    }
+
+    /**
+     * 暂停计时
+     */
+    pause() {
+        if (!this.isRunning) return;
+
+        // 暂停前先按时钟同步一次剩余时间
+        this.tick();
+        if (!this.isRunning) return;
+
+        this.stopLoop();
+        this.phaseEndTime = 0;
+        if (this.session) {
+            this.session.pauses.push({ start: this.now(), end: null });
+        }
+        this.setStatus(TIMER_STATUS.PAUSED);
+        this.emit('pause', this.getTickDetail());
+    }
+
+    /**
+     * 从暂停中继续计时
+     * 暂停时跳过的阶段还没有会话记录，继续时才开始该阶段的会话并触发 phaseStart
+     */
+    resume() {
+        if (!this.isPaused) return;
+
+        const starting = !this.session;
+        const openPause = this.session && this.session.pauses[this.session.pauses.length - 1];
+        if (openPause && openPause.end === null) {
+            openPause.end = this.now();
+        }
+        this.run();
+        if (starting) {
+            this.beginSession(this.now());
+            this.emit('phaseStart', { phase: this.phase, totalTime: this.totalTime });
+        }
+        this.setStatus(TIMER_STATUS.RUNNING);
+        if (!starting) this.emit('resume', this.getTickDetail());
+        this.tick();
+    }
+
+    /**
+     * 重置计时器，回到空闲的专注阶段
+     */
+    reset() {
+        const previous = { status: this.status, phase: this.phase, timeLeft: this.timeLeft };
+
+        if (this.isRunning) this.tick();
+        this.finishSession('reset', this.now());
+        this.stopLoop();
+        this.status = TIMER_STATUS.IDLE;
+        this.phaseEndTime = 0;
+        this.completedFocusCount = 0;
+        this.loadPhase(TIMER_PHASE.FOCUS);
+
+        this.emit('reset', previous);
+        this.emit('statechange', { status: this.status, phase: this.phase });
+        this.emit('tick', this.getTickDetail());
+    }
+
+    /**
+     * 跳过当前阶段，立即进入下一阶段
+     */
+    skip() {
+        if (this.isRunning) this.tick();
+        this.completePhase(this.now(), { skipped: true });
+        this.emit('tick', this.getTickDetail());
+    }
+
+    /**
+     * 延长（正数）或缩短（负数）正在进行或暂停中的阶段
+     * 缩短时至少保留 1 秒，阶段仍由计时循环正常结束；空闲时阶段尚未开始，不做调整
+     * @param {number} seconds - 调整的秒数
+     * @returns {number} 实际调整的秒数（未调整时为 0）
+     */
+    extend(seconds) {
+        if (this.isIdle || !Number.isFinite(seconds)) return 0;
+
+        // 先按时钟同步剩余时间，再计算实际可调整的量
+        if (this.isRunning) this.tick();
+        if (this.isIdle) return 0;
+
+        const delta = Math.max(Math.round(seconds), 1 - this.timeLeft);
+        if (delta === 0) return 0;
+
+        this.totalTime += delta;
+        this.timeLeft += delta;
+        this.lastReminderTime = Math.max(this.timeLeft, this.lastReminderTime + delta);
+        if (this.isRunning) this.phaseEndTime += delta * 1000;
+        if (this.session) this.session.plannedDuration += delta;
+
+        this.emit('extend', Object.assign({ seconds: delta }, this.getTickDetail()));
+        this.emit('tick', this.getTickDetail());
+        return delta;
+    }
+
+    /**
+     * 刷新计时 - 根据时钟计算剩余时间
+     * 页面休眠或被节流后再次执行时，会依次补齐期间已经结束的阶段
+     * 下一阶段未设置自动开始时，补齐在该阶段停下等待用户
+     */
+    tick() {
+        if (!this.isRunning) return;
+
+        const now = this.now();
+        let switched = false;
+
+        while (this.isRunning && now >= this.phaseEndTime) {
+            const nextPhase = this.upcomingPhase;
+            const catchingUp = this.shouldAutoStart(nextPhase) &&
+                now >= this.phaseEndTime + this.getDuration(nextPhase) * 1000;
+            this.completePhase(this.phaseEndTime, { catchingUp });
+            switched = true;
+        }
+        if (!this.isRunning) {
+            if (switched) this.emit('tick', this.getTickDetail());
+            return;
+        }
+
+        const timeLeft = Math.max(0, Math.ceil((this.phaseEndTime - now) / 1000));
+        if (timeLeft === this.timeLeft && !switched) return;
+        this.timeLeft = timeLeft;
+
+        this.emit('tick', this.getTickDetail());
+
+        if (this.shouldRemind()) {
+            this.lastReminderTime = this.timeLeft;
+            if (this.session) this.session.reminders++;
+            this.emit('reminder', { timeLeft: this.timeLeft });
+        }
+    }
+
+    /**
+     * 检查是否到达波浪提醒点（仅在专注阶段）
+     * 按区间判断是否越过提醒点，避免刷新被节流时漏掉整分钟的时刻
+     * @returns {boolean} 是否应该提醒
+     */
+    shouldRemind() {
+        const interval = this.config.reminderInterval;
+        if (!this.isFocus || !(interval > 0)) return false;
+        if (this.timeLeft <= 0 || this.timeLeft >= this.lastReminderTime) return false;
+
+        // 上次提醒之后最近的一个提醒点
+        const nextReminderPoint = Math.floor((this.lastReminderTime - 1) / interval) * interval;
+        return nextReminderPoint > 0 && this.timeLeft <= nextReminderPoint;
+    }
+
+    /**
+     * 计算下一次波浪提醒的时间戳（用于提前安排系统通知）
+     * @returns {number|null} 时间戳（毫秒），没有待触发的提醒时返回 null
+     */
+    getNextReminderTime() {
+        const interval = this.config.reminderInterval;
+        if (!this.isRunning || !this.isFocus || !(interval > 0)) return null;
+
+        const nextReminderPoint = Math.floor((this.lastReminderTime - 1) / interval) * interval;
+        if (nextReminderPoint <= 0) return null;
+        return this.phaseEndTime - nextReminderPoint * 1000;
+    }
+
+    /**
+     * 结束当前阶段并进入下一阶段
+     * 下一阶段未设置自动开始时，停在空闲状态等待用户开始
+     * @param {number} endedAt - 阶段结束的时间戳，下一阶段从该时刻起算
+     * @param {Object} [flags]
+     * @param {boolean} [flags.skipped] - 是否为手动跳过
+     * @param {boolean} [flags.catchingUp] - 是否在补齐休眠期间的阶段
+     */
+    completePhase(endedAt, { skipped = false, catchingUp = false } = {}) {
+        const phase = this.phase;
+        this.finishSession(skipped ? 'skipped' : 'completed', endedAt);
+
+        if (phase === TIMER_PHASE.FOCUS && !skipped) {
+            this.completedFocusCount++;
+        }
+
+        const nextPhase = this.getNextPhase(phase, this.completedFocusCount);
+        if (nextPhase === TIMER_PHASE.LONG_BREAK) {
+            this.completedFocusCount = 0;
+        }
+
+        this.loadPhase(nextPhase);
+        if (this.isRunning && !this.shouldAutoStart(nextPhase)) {
+            this.stopLoop();
+            this.status = TIMER_STATUS.IDLE;
+            this.phaseEndTime = 0;
+        }
+        if (this.isRunning) {
+            this.phaseEndTime = endedAt + this.totalTime * 1000;
+            this.beginSession(endedAt);
+        }
+
+        this.emit('phaseEnd', { phase, nextPhase, endedAt, skipped, catchingUp, autoStarted: this.isRunning });
+        this.emit('statechange', { status: this.status, phase: this.phase });
+        if (this.isRunning) {
+            this.emit('phaseStart', { phase: this.phase, totalTime: this.totalTime });
+        }
+    }
+
+    /**
+     * 开始记录一次会话
+     * @param {number} startTime - 会话开始的时间戳
+     */
+    beginSession(startTime) {
+        this.session = {
+            phase: this.phase,
+            startTime,
+            plannedDuration: this.totalTime,
+            pauses: [],
+            reminders: 0
+        };
+    }
+
+    /**
+     * 结束当前会话并通过 sessionEnd 事件发出记录
+     * @param {string} outcome - 结束方式：completed / skipped / reset
+     * @param {number} endTime - 结束时间戳
+     */
+    finishSession(outcome, endTime) {
+        const session = this.session;
+        if (!session) return;
+        this.session = null;
+
+        // 未结束的暂停截止到会话结束
+        const pauses = session.pauses.map(pause => ({
+            start: pause.start,
+            end: pause.end === null ? endTime : pause.end
+        }));
+        const pausedMs = pauses.reduce((sum, pause) => sum + Math.max(0, pause.end - pause.start), 0);
+
+        this.emit('sessionEnd', {
+            phase: session.phase,
+            startTime: session.startTime,
+            endTime,
+            plannedDuration: session.plannedDuration,
+            actualDuration: Math.max(0, Math.round((endTime - session.startTime - pausedMs) / 1000)),
+            pauses,
+            remindersFired: session.reminders,
+            outcome,
+            completed: outcome === 'completed',
+            resetEarly: outcome === 'reset'
+        });
+    }
+
+    /**
+     * 载入阶段的完整时长
+     * @param {string} phase - 阶段
+     */
+    loadPhase(phase) {
+        this.phase = phase;
+        this.totalTime = this.getDuration(phase);
+        this.timeLeft = this.totalTime;
+        this.lastReminderTime = this.timeLeft;
+    }
+
+    /**
+     * 以当前剩余时间推算结束时间戳并启动刷新循环
+     */
+    run() {
+        this.phaseEndTime = this.now() + this.timeLeft * 1000;
+        this.stopLoop();
+        this.intervalId = this.setIntervalFn(() => this.tick(), this.config.tickInterval);
+    }
+
+    /**
+     * 停止刷新循环
+     */
+    stopLoop() {
+        if (this.intervalId !== null) {
+            this.clearIntervalFn(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /**
+     * 设置运行状态并通知订阅者
+     * @param {string} status - 新状态
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emit('statechange', { status: this.status, phase: this.phase });
+    }
+
+    /**
+     * 获取 tick 事件数据
+     * @returns {Object} 当前计时数据
+     */
+    getTickDetail() {
+        return { timeLeft: this.timeLeft, totalTime: this.totalTime, phase: this.phase };
+    }
+
+    /**
+     * 导出可持久化的状态，用于页面刷新后恢复
+     * @returns {Object} 状态快照
+     */
+    serialize() {
+        return {
+            status: this.status,
+            phase: this.phase,
+            phaseEndTime: this.phaseEndTime,
+            timeLeft: this.timeLeft,
+            totalTime: this.totalTime,
+            lastReminderTime: this.lastReminderTime,
+            completedFocusCount: this.completedFocusCount,
+            session: this.session
+        };
+    }
+
+    /**
+     * 从状态快照恢复
+     * 运行中的会话按结束时间戳继续，期间结束的阶段会被补齐；
+     * 空闲状态只恢复当前阶段和周期进度
+     * @param {Object} state - serialize() 导出的状态
+     * @returns {boolean} 是否恢复成功
+     */
+    restore(state) {
+        if (!state || !Object.values(TIMER_STATUS).includes(state.status)) return false;
+        if (!Object.values(TIMER_PHASE).includes(state.phase) || !(state.totalTime > 0)) return false;
+        if (state.status === TIMER_STATUS.RUNNING && !(state.phaseEndTime > 0)) return false;
+
+        this.stopLoop();
+        this.phase = state.phase;
+        this.totalTime = state.totalTime;
+        this.timeLeft = Math.min(Math.max(0, state.timeLeft), state.totalTime);
+        this.lastReminderTime = state.lastReminderTime || this.timeLeft;
+        this.completedFocusCount = state.completedFocusCount || 0;
+        this.session = state.session && state.session.startTime > 0 && Array.isArray(state.session.pauses) ?
+            state.session : null;
+        this.status = state.status;
+
+        if (this.isIdle) {
+            // 空闲时按当前配置载入阶段时长
+            this.loadPhase(this.phase);
+        }
+
+        if (this.isRunning) {
+            this.phaseEndTime = state.phaseEndTime;
+            this.intervalId = this.setIntervalFn(() => this.tick(), this.config.tickInterval);
+        } else {
+            this.phaseEndTime = 0;
+        }
+
+        this.emit('statechange', { status: this.status, phase: this.phase });
+        this.emit('tick', this.getTickDetail());
+        this.tick();
+        return true;
+    }
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerCore, TIMER_STATUS, TIMER_PHASE, TIMER_DEFAULT_CONFIG };
+}
@@ -0,0 +1,46 @@
+/**
+ * 专注力波浪计时器 - 计时设置
+ * 计时设置项（单位为分钟或次数）的取值范围、校正规则和内置预设方案，
+ * 与界面无关，由 script.js 的输入校验和预设方案使用
+ */
+
+// 计时设置项的取值范围（与 index.html 中对应输入框的 min / max 一致）
+const TIMER_SETTING_LIMITS = {
+    focusTime: { min: 1, max: 60 },
+    breakTime: { min: 1, max: 30 },
+    waveReminder: { min: 1, max: 25 },
+    longBreakTime: { min: 1, max: 60 },
+    longBreakInterval: { min: 1, max: 12 }
+};
+
+// 内置预设方案（首次使用时写入，之后可自由修改和删除）
+const DEFAULT_PRESETS = [
+    { id: 'deep-work', name: '深度工作 50/10', settings: { focusTime: 50, breakTime: 10, waveReminder: 15, longBreakTime: 30, longBreakInterval: 3 } },
+    { id: 'study', name: '学习 25/5', settings: { focusTime: 25, breakTime: 5, waveReminder: 10, longBreakTime: 15, longBreakInterval: 4 } },
+    { id: 'sprint', name: '冲刺 15/3', settings: { focusTime: 15, breakTime: 3, waveReminder: 5, longBreakTime: 10, longBreakInterval: 4 } }
+];
+
+/**
+ * 把计时设置项限制在允许范围内
+ * 输入框的 value 是字符串，必须先转为数字再比较（按字符串比较时 "5" > "15"）
+ * @param {string} key - TIMER_SETTING_LIMITS 中的设置项
+ * @param {*} value - 输入值
+ * @param {number} [focusTime] - 专注时长（分钟），波浪提醒间隔不能超过它
+ * @returns {number} 校正后的值，无法解析时为最小值
+ */
+function clampTimerSetting(key, value, focusTime) {
+    const limits = TIMER_SETTING_LIMITS[key];
+    const number = Number(value);
+    if (!Number.isFinite(number)) return limits.min;
+
+    let max = limits.max;
+    if (key === 'waveReminder' && Number(focusTime) >= limits.min) {
+        max = Math.min(max, Number(focusTime));
+    }
+    return Math.min(max, Math.max(limits.min, number));
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIMER_SETTING_LIMITS, DEFAULT_PRESETS, clampTimerSetting };
+}
@@ -0,0 +1,192 @@
+/**
+ * 专注力波浪计时器 - 水面物理
+ * 用一维高度场模拟水面：每一列是一个带阻尼的弹簧，并把高度差传给相邻的列，
+ * 点击和拖动产生的扰动会向两侧传播、在边缘反射并逐渐衰减；
+ * 与界面无关，由 script.js 把各处的位移叠加到波浪形状上
+ */
+
+/**
+ * 默认的水面参数
+ *   spacing: 列间距（像素），越小越细腻也越耗时
+ *   tension: 弹簧劲度，把每一列拉回平衡位置
+ *   damping: 阻尼，每一步损失的速度比例
+ *   spread: 传播系数，每次传播时把高度差的多少传给相邻的列
+ *   passes: 每一步的传播次数，越多扰动传得越快越远
+ *   maxHeight: 最大位移（像素）
+ */
+const WATER_SURFACE_DEFAULTS = {
+    spacing: 4,
+    tension: 0.025,
+    damping: 0.025,
+    spread: 0.2,
+    passes: 4,
+    maxHeight: 60
+};
+
+// 固定的模拟步长（毫秒），与实际帧率无关
+const WATER_STEP_MS = 1000 / 60;
+
+// 一帧最多补算的步数（降低帧率或动画暂停后避免一次计算太多）
+const WATER_MAX_STEPS = 20;
+
+// 所有列的位移和速度都低于此值时视为恢复平静，停止计算
+const WATER_REST_THRESHOLD = 0.02;
+
+/**
+ * 水面高度场
+ * 高度为正表示向下（与画布坐标一致）
+ */
+class WaterSurface {
+    /**
+     * @param {number} width - 水面宽度（像素）
+     * @param {Object} [options] - 覆盖 WATER_SURFACE_DEFAULTS 中的参数
+     */
+    constructor(width, options = {}) {
+        this.options = Object.assign({}, WATER_SURFACE_DEFAULTS, options);
+        this.width = 0;
+        this.heights = new Float32Array(0);
+        this.velocities = new Float32Array(0);
+        this.active = false; // 是否有未平息的扰动
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.resize(width);
+    }
+
+    /**
+     * 调整水面宽度，已有的扰动按比例重新采样
+     * @param {number} width - 新的宽度（像素）
+     */
+    resize(width) {
+        const count = Math.max(2, Math.ceil(width / this.options.spacing) + 1);
+        if (count === this.heights.length) {
+            this.width = width;
+            return;
+        }
+
+        const heights = new Float32Array(count);
+        const velocities = new Float32Array(count);
+        if (this.active) {
+            const scale = (this.heights.length - 1) / (count - 1);
+            for (let i = 0; i < count; i++) {
+                heights[i] = sampleColumns(this.heights, i * scale);
+                velocities[i] = sampleColumns(this.velocities, i * scale);
+            }
+        }
+        this.width = width;
+        this.heights = heights;
+        this.velocities = velocities;
+        this.deltas = new Float32Array(count);
+    }
+
+    /**
+     * 在某处施加扰动：给附近的列一个竖直速度，随距离按余弦曲线减弱
+     * @param {number} x - 横坐标（像素）
+     * @param {number} force - 速度（像素/步），正数向下压，负数向上提
+     * @param {number} [radius] - 影响半径（像素）
+     */
+    disturb(x, force, radius = 24) {
+        if (!Number.isFinite(x) || !Number.isFinite(force) || force === 0) return;
+
+        const spacing = this.options.spacing;
+        const first = Math.max(0, Math.ceil((x - radius) / spacing));
+        const last = Math.min(this.heights.length - 1, Math.floor((x + radius) / spacing));
+        for (let i = first; i <= last; i++) {
+            const distance = Math.abs(i * spacing - x) / radius;
+            this.velocities[i] += force * 0.5 * (1 + Math.cos(Math.PI * Math.min(1, distance)));
+        }
+        if (first <= last) this.active = true;
+    }
+
+    /**
+     * 按经过的时间推进模拟（每帧调用）
+     * @param {number} timestamp - 当前时间（毫秒）
+     */
+    update(timestamp) {
+        const elapsed = this.lastTime ? timestamp - this.lastTime : WATER_STEP_MS;
+        this.lastTime = timestamp;
+        if (!this.active) return;
+
+        this.accumulator = Math.min(this.accumulator + Math.max(0, elapsed), WATER_STEP_MS * WATER_MAX_STEPS);
+        while (this.active && this.accumulator >= WATER_STEP_MS) {
+            this.step();
+            this.accumulator -= WATER_STEP_MS;
+        }
+    }
+
+    /**
+     * 模拟一步：先让每一列按弹簧运动，再把高度差向相邻的列传播
+     */
+    step() {
+        const { tension, damping, spread, passes, maxHeight } = this.options;
+        const heights = this.heights;
+        const velocities = this.velocities;
+        const deltas = this.deltas;
+        const count = heights.length;
+
+        for (let i = 0; i < count; i++) {
+            velocities[i] += -tension * heights[i] - damping * velocities[i];
+            heights[i] = Math.max(-maxHeight, Math.min(maxHeight, heights[i] + velocities[i]));
+        }
+
+        // 每次传播前先算出所有高度差，避免从左到右依次更新造成偏向
+        for (let pass = 0; pass < passes; pass++) {
+            for (let i = 0; i < count - 1; i++) {
+                deltas[i] = spread * (heights[i + 1] - heights[i]);
+            }
+            for (let i = 0; i < count - 1; i++) {
+                velocities[i] += deltas[i];
+                velocities[i + 1] -= deltas[i];
+                heights[i] += deltas[i];
+                heights[i + 1] -= deltas[i];
+            }
+        }
+
+        let energy = 0;
+        for (let i = 0; i < count; i++) {
+            energy = Math.max(energy, Math.abs(heights[i]), Math.abs(velocities[i]));
+        }
+        if (energy < WATER_REST_THRESHOLD) this.reset();
+    }
+
+    /**
+     * 某处的水面位移（列之间线性插值）
+     * @param {number} x - 横坐标（像素）
+     * @returns {number} 位移（像素），正数向下
+     */
+    heightAt(x) {
+        if (!this.active) return 0;
+        return sampleColumns(this.heights, x / this.options.spacing);
+    }
+
+    /**
+     * 清除所有扰动，水面恢复平静
+     */
+    reset() {
+        this.heights.fill(0);
+        this.velocities.fill(0);
+        this.active = false;
+        this.accumulator = 0;
+    }
+}
+
+/**
+ * 在列数组中按小数下标线性插值，超出范围时取边缘的值
+ * @param {Float32Array} columns - 列数组
+ * @param {number} position - 小数下标
+ * @returns {number}
+ */
+function sampleColumns(columns, position) {
+    const last = columns.length - 1;
+    if (last < 0) return 0;
+    if (position <= 0) return columns[0];
+    if (position >= last) return columns[last];
+
+    const index = Math.floor(position);
+    const t = position - index;
+    return columns[index] * (1 - t) + columns[index + 1] * t;
+}
+
+// 在 Node 环境中导出，便于单元测试
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaterSurface, WATER_SURFACE_DEFAULTS, WATER_STEP_MS, WATER_MAX_STEPS };
+}